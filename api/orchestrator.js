@@ -1,269 +1,963 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 
-const execAsync = promisify(exec);
+const {
+  PHASES,
+  PHASE_TITLES,
+  EVENTS,
+  GATES,
+  INITIAL_STEP,
+  getStep,
+  firstStepOf,
+  resolvePhase,
+  resolveGates,
+  assertTransition,
+  matchesWait,
+  waitForWorkflow,
+  waitForApproval
+} = require('../lib/pipeline');
+const { runId, createRun, MemoryRunStore } = require('../lib/run-store');
+const { createProvider } = require('../lib/providers');
+const { parseResponse, repairPrompt, extractFiles, FILE_FORMAT } = require('../lib/responses');
+const { renderPrompt } = require('../lib/prompts');
+const { DEFAULT_ROLES, getRole, resolveRoles, describeRoles, parallelLimit } = require('../lib/roles');
+const { StatusReporter } = require('../lib/status');
+const { DEFAULT_CONFIG, CLEANUP_MODES, branchName } = require('../lib/config');
+const {
+  Changeset,
+  ensureBranch,
+  headSha,
+  restoreCommit,
+  listFiles,
+  deleteBranch
+} = require('../lib/changeset');
+const { extractZip } = require('../lib/zip');
+const { isResultFile, buildResult, groupResults } = require('../lib/results');
+const { isReportFile, collectReports, scoreReports, formatIssue } = require('../lib/reports');
+const { evaluate, bestIndex, decide, describeEvaluation } = require('../lib/scoring');
+const { createUsage, grantBudget, budgetExceeded, describeUsage } = require('../lib/budget');
+const { isRateLimitError, rateLimitResetAt } = require('../lib/github');
+const { logger } = require('../lib/logger');
+const {
+  startPhase,
+  finishPhase,
+  recordModelRequest,
+  recordModelResponse,
+  recordWorkflow
+} = require('../lib/metrics');
+
+// How many times the model is re-asked after an invalid response
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// How far readResultsFromRepo descends below the results directory
+const MAX_RESULTS_DEPTH = 3;
+
+// Jobs of the verification workflow, each uploading `<job>-reports`
+const CHECK_JOBS = ['lint', 'tests', 'security'];
+
+// Directories of the files a run generates, removed by the 'files' cleanup
+const GENERATED_DIRS = ['plans/', 'research/', 'improvements/', 'reports/'];
+
+// Failures kept in `run.errors`
+const ERROR_LIMIT = 20;
+
+// Dispatched workflows tag their run name with the correlation ID
+const DISPATCH_TAG = /\[mcp:[\w-]+\]/;
+
+// Issues per check quoted in a prompt
+const MAX_PROMPT_ISSUES = 20;
+
+// A cancelled run stays cancelled; a new one starts from the issue
+const CANCELLED_RUN = 'Run was cancelled; label the issue again to start a new one';
+
+function formatList(title, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return '';
+  }
+  
+  const lines = items.map(item => `- ${typeof item === 'string' ? item : JSON.stringify(item)}`);
+  return `**${title}:**\n${lines.join('\n')}\n`;
+}
+
+function limitIssues(issues) {
+  const lines = issues.slice(0, MAX_PROMPT_ISSUES).map(formatIssue);
+  if (issues.length > MAX_PROMPT_ISSUES) {
+    lines.push(`...and ${issues.length - MAX_PROMPT_ISSUES} more`);
+  }
+  return lines;
+}
+
+// Check results as a prompt section: score, summary and the first issues
+function formatChecks(checks) {
+  return Object.entries(checks || {})
+    .map(([check, result]) => [
+      `- ${check}: ${result.score}% (${result.summary})`,
+      ...limitIssues(result.issues).map(issue => `  - ${issue}`)
+    ].join('\n'))
+    .join('\n');
+}
 
 class MCPLiteOrchestrator {
-  constructor(octokit, owner, repo, issueNumber) {
+  constructor(octokit, owner, repo, issueNumber, options = {}) {
     this.octokit = octokit;
     this.owner = owner;
     this.repo = repo;
     this.issueNumber = issueNumber;
-    this.projectBranch = `project-${issueNumber}`;
+    this.installationId = options.installationId || null;
+    this.store = options.store || new MemoryRunStore();
+    this.provider = options.provider || createProvider({ octokit, owner, repo });
+    this.gates = options.gates || resolveGates();
+    this.reporter = options.reporter || new StatusReporter(octokit, owner, repo, issueNumber);
+    // Repository config for a new run; existing runs keep their own snapshot
+    this.initialConfig = options.config || DEFAULT_CONFIG;
+    // Local runs (lib/runner.js) may stop once this phase is done
+    this.untilPhase = options.untilPhase ? resolvePhase(options.untilPhase) : null;
+    this.run = null;
+    // Read at every line, so entries carry the run's current phase
+    this.logger = logger.child(() => ({
+      repository: `${owner}/${repo}`,
+      issue: issueNumber,
+      runId: this.run && this.run.id,
+      phase: this.run && this.run.phase
+    }));
+  }
+  
+  get config() {
+    return (this.run && this.run.config) || this.initialConfig;
+  }
+  
+  get projectBranch() {
+    return (this.run && this.run.branch) || branchName(this.config, this.issueNumber);
   }
   
+  // Starts a run for the issue, or resumes an unfinished one from its current
+  // step. Returns as soon as the run has to wait for an external event.
   async processRequest(requirements) {
-    console.log(`Starting processing for issue #${this.issueNumber}`);
+    this.logger.info(`Starting processing for issue #${this.issueNumber}`);
     
-    try {
-      // Update issue to show we're processing
-      await this.updateIssue('🚀 MCP-LITE V2.5 Starting...');
-      
-      // ФАЗА 1: Анализ и создание плана
-      await this.updateIssue('📋 Phase 1: Project Analysis');
-      const plan = await this.phase1_createPlan(requirements);
-      
-      // ФАЗА 2: Research
-      await this.updateIssue('🔍 Phase 2: Research Phase');
-      const research = await this.phase2_research(plan);
-      
-      // ФАЗА 3: Разработка на основе research
-      await this.updateIssue('📝 Phase 3: Creating Development Plan');
-      const devPlan = await this.phase3_createDevPlan(plan, research);
-      
-      // ФАЗА 4: Параллельная разработка
-      await this.updateIssue('🛠️ Phase 4: Development');
-      await this.phase4_development(devPlan);
-      
-      // ФАЗА 5: Верификация и итерации
-      await this.updateIssue('✅ Phase 5: Verification');
-      await this.phase5_verification();
-      
-      // ФАЗА 6: Финальный отчет
-      await this.updateIssue('📊 Phase 6: Final Report');
-      await this.phase6_finalReport();
-      
-      await this.updateIssue('✨ Project completed successfully!');
-    } catch (error) {
-      console.error('Error in processRequest:', error);
-      await this.updateIssue(`❌ Error: ${error.message}`);
-      throw error;
+    const run = await this.loadRun(requirements);
+    if (run.state === 'queued') {
+      run.state = 'running';
+    }
+    run.queue = null;
+    
+    if (run.waitingFor) {
+      this.logger.info(`Run ${run.id} is waiting for ${run.waitingFor.type} in ${run.step}`);
+      return run;
+    }
+    
+    // Update issue to show we're processing
+    if (!run.phase) {
+      // Every phase commits to the project branch, so it exists from the start
+      await this.createBranch();
+      await this.updateStatus('🚀 MCP-LITE V2.5 Starting...');
+    } else {
+      await this.updateStatus(`♻️ MCP-LITE V2.5 Resuming at ${run.step}`);
     }
+    
+    return await this.advance();
   }
   
-  async phase1_createPlan(requirements) {
-    let planQuality = 0;
-    let iteration = 0;
-    let currentPlan = '';
+  // Puts a new run, or a failed one for the issue, into the queue. The run
+  // starts with processRequest once lib/queue.js lets it in.
+  async enqueue(requirements) {
+    const run = await this.loadRun(requirements);
     
-    while (planQuality < 95 && iteration < 5) {
-      console.log(`Plan iteration ${iteration + 1}`);
-      
-      // Create plan using Claude through direct command
-      const planPrompt = `As project-analyzer, create a detailed implementation plan for: ${requirements}
+    run.state = 'queued';
+    run.queue = { since: new Date().toISOString(), position: null };
+    await this.saveRun();
+    return run;
+  }
+  
+  // Takes a stopped run up again at its current step. A run that still holds
+  // a slot goes on at once; any other goes back into the queue, so the
+  // repository and installation limits hold, and starts once the caller has
+  // let go of the issue's lock and queued runs get their chance.
+  async restart() {
+    const { run } = this;
+    run.waitingFor = null;
+    run.error = null;
+    run.paused = null;
+    
+    if (run.state === 'running') {
+      await this.saveRun();
+      return await this.advance();
+    }
+    
+    // A run already queued keeps its place
+    if (run.state !== 'queued') {
+      run.state = 'queued';
+      run.queue = { since: new Date().toISOString(), position: null };
+    }
+    await this.saveRun();
+    return run;
+  }
+  
+  // Where the run is after restart(), for command replies
+  describeProgress() {
+    const { run } = this;
+    return run.state === 'queued' ? `queued at \`${run.step}\`` : `now at \`${run.step}\``;
+  }
+  
+  // Tells a queued run where it stands, in its status comment
+  async reportQueuePosition(position) {
+    const run = await this.requireRun();
+    
+    if (run.state !== 'queued' || run.queue.position === position) {
+      return;
+    }
+    
+    run.queue.position = position;
+    await this.updateStatus(`⏳ Queued at position ${position}, waiting for other runs to finish`);
+  }
+  
+  // Feeds a webhook event (model response, workflow completion, approval) to
+  // the run it belongs to. Events the run is not waiting for are ignored.
+  async handleEvent(event) {
+    const run = await this.store.get(runId(this.owner, this.repo, this.issueNumber));
+    
+    if (!run || run.state !== 'running') {
+      this.logger.info(`No active run for issue #${this.issueNumber}, ignoring ${event.type}`);
+      return null;
+    }
+    
+    this.run = run;
+    
+    if (!matchesWait(run.waitingFor, event)) {
+      this.logger.info(`Run ${run.id} in ${run.step} is not waiting for this ${event.type}, ignoring`);
+      return run;
+    }
+    
+    if (event.type === EVENTS.MODEL_RESPONSE) {
+      this.recordModelLatency(Date.parse(run.waitingFor.requestedAt));
+    }
+    if (event.type === EVENTS.WORKFLOW_COMPLETED) {
+      this.recordWorkflowRun(event);
+    }
+    
+    return await this.advance(event);
+  }
+  
+  // Runs step handlers until the run has to wait or reaches a final step.
+  async advance(event = null) {
+    const { run } = this;
+    let pendingEvent = event;
+    
+    try {
+      while (!getStep(run.step).final) {
+        const step = getStep(run.step);
+        let result;
         
-${iteration > 0 ? `Previous plan had quality score ${planQuality}%. Improve it.` : ''}
+        if (pendingEvent) {
+          run.waitingFor = null;
+          result = await this[step.on[pendingEvent.type]](pendingEvent);
+          pendingEvent = null;
+        } else if (run.waitingFor) {
+          break;
+        } else {
+          if (this.untilPhase && PHASES.indexOf(step.phase) > PHASES.indexOf(this.untilPhase)) {
+            await this.pause(`stopped after ${PHASE_TITLES[this.untilPhase]}`, { kind: 'stop' });
+            break;
+          }
+          
+          // New work only starts within the run's budget
+          const exceeded = budgetExceeded(run);
+          if (exceeded) {
+            await this.pause(`the run ${exceeded}`, { kind: 'budget' });
+            break;
+          }
+          
+          await this.enterPhase(step.phase);
+          result = await this[step.enter]();
+        }
         
-Include:
-1. Technology stack with justification
-2. Component breakdown  
-3. List of required researchers
-4. List of required developers
-5. List of required verifiers
-6. Success criteria
-7. Estimated complexity
+        // Synchronous providers answer right away; handle it as the event
+        if (result && result.event) {
+          pendingEvent = result.event;
+          continue;
+        }
         
-Format as structured JSON.`;
-      
-      currentPlan = await this.callClaude(planPrompt);
+        if (result && result.wait) {
+          run.waitingFor = result.wait;
+          await this.updateStatus();
+          break;
+        }
+        
+        assertTransition(run.step, result);
+        run.step = result;
+        await this.saveRun();
+      }
       
-      // Save plan to repository
-      await this.saveToRepo(
-        `plans/iteration-${iteration}.json`,
-        currentPlan,
-        `Plan iteration ${iteration + 1}`
-      );
+      if (getStep(run.step).final) {
+        await this.completeRun();
+      }
+    } catch (error) {
+      // Not the run's fault; it can go on once the limit resets
+      if (isRateLimitError(error)) {
+        const resetAt = rateLimitResetAt(error);
+        await this.pause(
+          `GitHub API rate limit reached${resetAt ? `, it resets at ${resetAt}` : ''}`,
+          { kind: 'rateLimit', resetAt }
+        );
+        return run;
+      }
       
-      // Verify plan
-      const verificationPrompt = `As verification-coordinator, analyze this plan for quality:
-        
-${currentPlan}
-        
-Rate from 0-100 and return JSON: {"score": NUMBER, "issues": []}`;
+      this.logger.error('Error in processRequest', { error });
       
-      const verification = await this.callClaude(verificationPrompt);
+      run.state = 'failed';
+      run.waitingFor = null;
+      run.error = error.message;
+      this.recordError(error.message);
+      await this.saveRun();
       
-      try {
-        const result = JSON.parse(verification);
-        planQuality = result.score || 0;
-      } catch (e) {
-        planQuality = 0;
+      await this.updateStatus(`❌ Error: ${error.message}`);
+      // The run has it on record; delivering the event again cannot help
+      error.runFailed = true;
+      throw error;
+    }
+    
+    return run;
+  }
+  
+  // Stops the run without failing it. `/mcp resume` re-enters the current
+  // step; `details.kind` says why it stopped ('budget', 'rateLimit' or 'stop'
+  // for a local run told to stop after a phase).
+  async pause(reason, details = {}) {
+    const { run } = this;
+    run.state = 'paused';
+    run.waitingFor = null;
+    run.paused = { reason, at: new Date().toISOString(), ...details };
+    await this.saveRun();
+    
+    try {
+      await this.updateStatus(`⏸️ Paused: ${reason}. Comment \`/mcp resume\` to continue.`);
+    } catch (error) {
+      // A rate limit may block the status update too; the run is saved
+      this.logger.error('Error reporting the pause', { error });
+    }
+  }
+  
+  countUsage(key) {
+    const { run } = this;
+    run.usage = run.usage || createUsage();
+    run.usage[key]++;
+  }
+  
+  async enterPhase(phase) {
+    const { run } = this;
+    if (run.phase === phase) {
+      return;
+    }
+    
+    if (run.phase) {
+      run.completedPhases.push(run.phase);
+    }
+    this.finishPhaseTiming();
+    run.phase = phase;
+    startPhase(run, phase);
+    run.iteration = 0;
+    run.context = {};
+    this.startScoringRound();
+    await this.saveRun();
+    
+    await this.updateStatus(PHASE_TITLES[phase]);
+  }
+  
+  async completeRun() {
+    const { run } = this;
+    if (run.phase) {
+      run.completedPhases.push(run.phase);
+    }
+    this.finishPhaseTiming();
+    run.state = 'completed';
+    run.phase = null;
+    await this.saveRun();
+    
+    await this.updateStatus('✨ Project completed successfully!');
+  }
+  
+  finishPhaseTiming() {
+    const finished = finishPhase(this.run);
+    if (finished) {
+      this.logger.info('Finished phase', {
+        span: 'phase',
+        phase: finished.phase,
+        durationMs: Math.round(finished.seconds * 1000)
+      });
+    }
+  }
+  
+  // Adds a failure to `run.errors`, which operators read back
+  recordError(message) {
+    this.run.errors = [
+      ...(this.run.errors || []),
+      { at: new Date().toISOString(), step: this.run.step, message }
+    ].slice(-ERROR_LIMIT);
+  }
+  
+  // The record of the dispatch that started a workflow run
+  workflowRecord(event) {
+    return (this.run.workflowRuns || []).find(entry =>
+      (event.correlationId && entry.correlationId === event.correlationId) || entry.id === event.runId
+    );
+  }
+  
+  // Completes the record of the dispatch that started this workflow run.
+  // Re-runs of failed jobs complete the same workflow run again.
+  recordWorkflowRun(event) {
+    const record = this.workflowRecord(event);
+    if (record) {
+      Object.assign(record, {
+        id: event.runId,
+        attempt: event.attempt,
+        conclusion: event.conclusion,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+  
+  recordModelLatency(startedAt) {
+    const durationMs = this.logger.span('model_call', { provider: this.provider.name }, startedAt).end();
+    recordModelResponse(this.run, this.run.phase, durationMs / 1000);
+  }
+  
+  // Run state
+  
+  async loadRun(requirements) {
+    let run = await this.store.get(runId(this.owner, this.repo, this.issueNumber));
+    
+    if (!run || run.state === 'completed' || run.state === 'cancelled') {
+      run = createRun({
+        owner: this.owner,
+        repo: this.repo,
+        issueNumber: this.issueNumber,
+        installationId: this.installationId,
+        requirements,
+        config: this.initialConfig,
+        branch: branchName(this.initialConfig, this.issueNumber),
+        budget: grantBudget(this.initialConfig.budget)
+      });
+    } else if (run.state === 'failed') {
+      // Re-enter the step that failed
+      this.logger.info(`Resuming run ${run.id} at ${run.step}`);
+      run.state = 'running';
+      run.error = null;
+    }
+    
+    this.run = run;
+    await this.saveRun();
+    return run;
+  }
+  
+  async saveRun() {
+    await this.store.save(this.run);
+  }
+  
+  async recordIteration(score) {
+    const { run } = this;
+    run.iteration++;
+    run.scores[run.phase] = run.scores[run.phase] || [];
+    run.scores[run.phase].push(score);
+    await this.saveRun();
+  }
+  
+  // Starts a new round of the current phase's quality loop. Stagnation and
+  // the fallback to the best iteration only look at the current round, so
+  // maintainer feedback is not judged against plans made before it.
+  startScoringRound() {
+    const { run } = this;
+    run.history = run.history || {};
+    run.scoring = run.scoring || {};
+    run.scoring[run.phase] = { from: (run.history[run.phase] || []).length, best: null };
+  }
+  
+  // Scores one iteration of the current phase, adds it to the history and
+  // decides how the loop goes on. `snapshot` is what the iteration produced;
+  // it is kept while the iteration is the best of the round. Resolves to
+  // `{ evaluation, decision, revertTo }`, where `revertTo` holds an earlier,
+  // better iteration's number and snapshot when the loop stops on a worse one.
+  // Without `canImprove`, another iteration would change nothing, so the loop
+  // stops as stagnated instead of going on.
+  async scoreIteration(dimensions, snapshot, maxIterations, { canImprove = true } = {}) {
+    const { run } = this;
+    const { scoring, qualityThreshold } = this.config;
+    
+    if (!run.scoring || !run.scoring[run.phase]) {
+      this.startScoringRound();
+    }
+    const round = run.scoring[run.phase];
+    const history = run.history[run.phase] = run.history[run.phase] || [];
+    
+    const evaluation = evaluate(dimensions, {
+      threshold: qualityThreshold,
+      weights: scoring.weights,
+      minimums: scoring.minimums
+    });
+    const entry = { iteration: run.iteration, ...evaluation, at: new Date().toISOString() };
+    history.push(entry);
+    
+    const roundHistory = history.slice(round.from);
+    const best = round.from + bestIndex(roundHistory);
+    if (best === history.length - 1) {
+      round.best = { iteration: run.iteration, snapshot: JSON.parse(JSON.stringify(snapshot === undefined ? null : snapshot)) };
+    }
+    
+    let decision = decide(roundHistory, {
+      iteration: run.iteration + 1,
+      maxIterations,
+      patience: scoring.patience,
+      minImprovement: scoring.minImprovement
+    });
+    const stuck = decision === 'continue' && !canImprove;
+    if (stuck) {
+      decision = 'stagnated';
+    }
+    entry.decision = decision;
+    
+    const revertTo = (decision === 'stagnated' || decision === 'exhausted') && best !== history.length - 1
+      ? { ...round.best, score: history[best].score }
+      : null;
+    
+    await this.recordIteration(evaluation.score);
+    
+    if (decision === 'stagnated' || decision === 'exhausted') {
+      let reason = `iteration limit reached at ${describeEvaluation(evaluation)}`;
+      if (stuck) {
+        reason = `no usable improvements proposed at ${describeEvaluation(evaluation)}`;
+      } else if (decision === 'stagnated') {
+        reason = `quality stopped improving (${roundHistory.map(item => `${item.score}%`).join(' → ')})`;
       }
-      
-      console.log(`Plan quality: ${planQuality}%`);
-      iteration++;
+      const fallback = revertTo ? `, going back to iteration ${revertTo.iteration + 1} (${revertTo.score}%)` : '';
+      await this.updateStatus(`${PHASE_TITLES[run.phase]}: ${reason}${fallback}`);
+    }
+    
+    return { evaluation, decision, revertTo };
+  }
+  
+  async recordArtifact(name, filePath) {
+    this.run.artifacts[name] = filePath;
+    await this.saveRun();
+  }
+  
+  // ФАЗА 1: Анализ и создание плана
+  
+  async requestPlan() {
+    const { run } = this;
+    const scores = run.scores.phase1_createPlan || [];
+    this.logger.info(`Plan iteration ${run.iteration + 1}`);
+    
+    return await this.ask('plan.generate', {
+      requirements: run.requirements,
+      researchers: describeRoles('researcher'),
+      developers: describeRoles('developer'),
+      previousScore: run.iteration > 0 ? scores[scores.length - 1] : null,
+      feedback: run.context.feedback,
+      previousPlan: run.context.feedback ? run.context.currentPlan : null
+    });
+  }
+  
+  async receivePlan({ body }) {
+    const { run } = this;
+    
+    const parsed = await this.parseModelResponse(body, 'plan');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    run.context.currentPlan = await this.checkPlanRoles(parsed.value);
+    
+    // Save plan to repository
+    await this.saveToRepo(
+      `plans/iteration-${run.iteration}.json`,
+      JSON.stringify(run.context.currentPlan, null, 2),
+      `Plan iteration ${run.iteration + 1}`
+    );
+    await this.recordArtifact('plan', `plans/iteration-${run.iteration}.json`);
+    
+    return 'plan.verify';
+  }
+  
+  // Keeps the plan to registered researchers and developers. Unknown names
+  // are left out, and a plan left without any gets the default.
+  async checkPlanRoles(plan) {
+    const researchers = resolveRoles(plan.researchers, 'researcher');
+    const developers = resolveRoles(plan.developers, 'developer');
+    
+    const unknown = [...researchers.unknown, ...developers.unknown];
+    if (unknown.length > 0) {
+      await this.updateStatus(`⚠️ Left out roles the plan named but the registry does not have: ${unknown.join(', ')}`);
+    }
+    return { ...plan, researchers: researchers.roles, developers: developers.roles };
+  }
+  
+  async requestPlanVerification() {
+    return await this.ask('plan.verify', { plan: this.run.context.currentPlan });
+  }
+  
+  async receivePlanVerification({ body }) {
+    const { run } = this;
+    
+    const parsed = await this.parseModelResponse(body, 'verification');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    this.logger.info(`Plan quality: ${parsed.value.score}%`);
+    
+    const { decision, revertTo } = await this.scoreIteration(
+      { plan: parsed.value.score },
+      run.context.currentPlan,
+      this.config.iterations.plan
+    );
+    if (decision === 'continue') {
+      return 'plan.generate';
+    }
+    
+    if (revertTo) {
+      run.context.currentPlan = revertTo.snapshot;
+      await this.recordArtifact('plan', `plans/iteration-${revertTo.iteration}.json`);
+    }
+    run.outputs.plan = run.context.currentPlan;
+    return this.gates.includes('phase1_createPlan') ? 'plan.gate' : 'research.dispatch';
+  }
+  
+  async openPlanGate() {
+    const plan = this.run.outputs.plan;
+    
+    await this.postComment(`🚦 **Plan ready for review**
+
+${formatList('Technology stack', plan.technologyStack)}
+${formatList('Components', plan.components)}
+${formatList('Researchers', plan.researchers)}
+${formatList('Developers', plan.developers)}
+${formatList('Verifiers', plan.verifiers)}
+${formatList('Success criteria', plan.successCriteria)}
+${plan.complexity ? `**Complexity:** ${plan.complexity}\n` : ''}
+<details><summary>Full plan</summary>
+
+\`\`\`json
+${JSON.stringify(plan, null, 2)}
+\`\`\`
+</details>
+
+Comment \`/mcp approve\` to start research, or \`/mcp request-changes <feedback>\` to revise the plan.`);
+    
+    return waitForApproval();
+  }
+  
+  async receivePlanDecision({ decision, feedback }) {
+    const { run } = this;
+    
+    if (decision === 'changes') {
+      // Feed the feedback into the next plan iteration
+      run.context.feedback = feedback;
+      this.startScoringRound();
+      return 'plan.generate';
     }
     
-    return JSON.parse(currentPlan);
+    return 'research.dispatch';
+  }
+  
+  // ФАЗА 2: Research
+  
+  researchers() {
+    return resolveRoles(this.run.outputs.plan.researchers, 'researcher').roles;
   }
   
-  async phase2_research(plan) {
-    console.log('Starting parallel research phase');
+  async dispatchResearch() {
+    const { run } = this;
+    this.logger.info('Starting parallel research phase');
     
     // Save plan for GitHub Actions
     await this.saveToRepo(
       'plans/final-plan.json',
-      JSON.stringify(plan, null, 2),
+      JSON.stringify(run.outputs.plan, null, 2),
       'Save plan for research phase'
     );
+    await this.recordArtifact('finalPlan', 'plans/final-plan.json');
     
     try {
       // Trigger GitHub Actions workflow for parallel research
-      const { data: workflow } = await this.octokit.request(
-        'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          workflow_id: 'mcp-lite-build.yml',
-          ref: this.projectBranch,
-          inputs: {
-            researchers: JSON.stringify(plan.researchers || ['web-technology-researcher']),
-            plan_path: 'plans/final-plan.json',
-            issue_number: String(this.issueNumber)
-          }
-        }
-      );
-      
-      await this.updateIssue('🔬 Triggered parallel research workflow');
-      
-      // Wait for workflow to complete
-      await this.waitForWorkflowCompletion('research');
-      
-      // Collect research results from artifacts
-      const researchResults = await this.collectWorkflowArtifacts('research');
-      
-      // Verify research quality with iterations
-      let researchQuality = 0;
-      let iteration = 0;
-      
-      while (researchQuality < 95 && iteration < 3) {
-        const verifyPrompt = `As verification-coordinator, verify this research:
-          
-${JSON.stringify(researchResults, null, 2)}
-          
-Return JSON: {"score": NUMBER, "improvements": []}`;
-        
-        const verification = await this.callClaude(verifyPrompt);
-        
-        try {
-          const result = JSON.parse(verification);
-          researchQuality = result.score || 0;
-          
-          if (researchQuality < 95 && result.improvements) {
-            await this.updateIssue(`🔄 Research quality: ${researchQuality}%, applying improvements...`);
-            
-            // Re-run specific researchers with improvements
-            for (const improvement of result.improvements) {
-              if (improvement.researcher && improvement.suggestion) {
-                // Trigger single researcher with improvement suggestion
-                await this.triggerSingleResearcher(improvement.researcher, improvement.suggestion);
-              }
-            }
-            
-            // Collect updated results
-            researchResults = await this.collectWorkflowArtifacts('research');
-          }
-        } catch (e) {
-          researchQuality = 0;
-        }
-        
-        iteration++;
-      }
-      
-      return researchResults;
+      const wait = await this.dispatchWorkflow(this.config.workflows.research, {
+        researchers: JSON.stringify(this.researchers()),
+        plan_path: 'plans/final-plan.json',
+        issue_number: String(this.issueNumber),
+        max_parallel: String(parallelLimit(this.researchers()))
+      });
       
+      await this.updateStatus('🔬 Triggered parallel research workflow');
+      return wait;
     } catch (error) {
+      // A rate limit pauses the run rather than changing its course
+      if (isRateLimitError(error)) {
+        throw error;
+      }
       // Fallback to sequential if GitHub Actions not available
-      console.error('GitHub Actions not available, using sequential research:', error);
-      
-      const researchResults = {};
+      this.logger.warn('GitHub Actions not available, using sequential research', { error });
       
-      for (const researcher of plan.researchers || ['web-technology-researcher']) {
-        const researchPrompt = `As ${researcher}, research based on this plan:
-          
-${JSON.stringify(plan, null, 2)}
-          
-Find best practices, code examples, and recommendations.
-Return results as JSON.`;
-        
-        const result = await this.callClaude(researchPrompt);
-        researchResults[researcher] = JSON.parse(result);
+      run.context.researcherIndex = 0;
+      run.context.researchResults = {};
+      return 'research.sequential';
+    }
+  }
+  
+  async receiveResearch(event) {
+    const settled = await this.settleWorkflow(event, this.researchers());
+    if (settled.wait) {
+      return settled;
+    }
+    
+    // Collect research results from artifacts of the researchers that finished
+    this.run.outputs.research = await this.collectWorkflowArtifacts(event.runId, settled.succeeded, 'research');
+    return 'research.verify';
+  }
+  
+  async requestSequentialResearch() {
+    const researcher = this.researchers()[this.run.context.researcherIndex];
+    
+    return await this.ask('research.sequential', { researcher, plan: this.run.outputs.plan });
+  }
+  
+  async receiveSequentialResearch({ body }) {
+    const { context } = this.run;
+    const researchers = this.researchers();
+    
+    const parsed = await this.parseModelResponse(body, 'research');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    
+    context.researchResults[researchers[context.researcherIndex]] = parsed.value;
+    context.researcherIndex++;
+    
+    if (context.researcherIndex < researchers.length) {
+      return 'research.sequential';
+    }
+    
+    const files = Object.entries(context.researchResults).map(([researcher, result]) => ({
+      path: `research/${researcher}.json`,
+      content: JSON.stringify(result, null, 2)
+    }));
+    this.run.outputs.research = groupResults(files, 'research');
+    await this.commitFiles(files, 'Sequential research results');
+    return 'devplan.generate';
+  }
+  
+  async requestResearchVerification() {
+    return await this.ask('research.verify', { research: this.run.outputs.research });
+  }
+  
+  async receiveResearchVerification({ body }) {
+    const { run } = this;
+    
+    const parsed = await this.parseModelResponse(body, 'verification');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    const researchQuality = parsed.value.score;
+    // Only improvements a known researcher can act on change the research
+    const improvements = (parsed.value.improvements || [])
+      .filter(i => i && i.researcher && i.suggestion && this.researchers().includes(i.researcher));
+    
+    const { decision, revertTo } = await this.scoreIteration(
+      { research: researchQuality },
+      run.outputs.research,
+      this.config.iterations.research,
+      { canImprove: improvements.length > 0 }
+    );
+    if (decision !== 'continue') {
+      if (revertTo) {
+        run.outputs.research = revertTo.snapshot;
       }
-      
-      return researchResults;
+      return 'devplan.generate';
     }
+    
+    // Re-run specific researchers with improvements
+    run.context.improvements = improvements;
+    run.context.improvementIndex = 0;
+    
+    await this.updateStatus(`🔄 Research quality: ${researchQuality}%, applying improvements...`);
+    return 'research.improve';
   }
   
-  async phase3_createDevPlan(originalPlan, research) {
-    console.log('Creating development plan based on research');
+  async dispatchResearchImprovement() {
+    const { researcher, suggestion } = this.run.context.improvements[this.run.context.improvementIndex];
     
-    const devPlanPrompt = `As project-analyzer, create development plan based on research.
-      
-Original requirements: ${originalPlan.requirements}
-Research findings: ${JSON.stringify(research, null, 2)}
-      
-Create detailed development plan with:
-1. Exact file structure
-2. Code patterns to use
-3. Component dependencies
-4. Integration points
+    try {
+      // Create improvement task file
+      await this.saveToRepo(
+        `improvements/${researcher}-improvement.md`,
+        suggestion,
+        `Improvement task for ${researcher}`
+      );
       
-Return as JSON.`;
+      // Trigger single researcher workflow
+      return await this.dispatchWorkflow(this.config.workflows.research, {
+        researchers: JSON.stringify([researcher]),
+        plan_path: 'plans/final-plan.json',
+        issue_number: String(this.issueNumber),
+        improvement_mode: 'true'
+      });
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      // The researcher keeps its earlier result, and the failure is on record
+      this.logger.error('Error triggering single researcher', { error });
+      this.recordError(`Improving ${researcher} failed: ${error.message}`);
+      await this.updateStatus(`⚠️ Could not dispatch the improvement for ${researcher}: ${error.message}`);
+      return await this.nextResearchImprovement();
+    }
+  }
+  
+  // A failed improvement keeps the researcher's earlier result
+  async receiveResearchImprovement(event) {
+    const { run } = this;
+    const { researcher } = run.context.improvements[run.context.improvementIndex];
     
-    let devPlan = await this.callClaude(devPlanPrompt);
+    const settled = await this.settleWorkflow(event, [researcher], { quorum: 0 });
+    if (settled.wait) {
+      return settled;
+    }
     
-    // Verify dev plan
-    let planQuality = 0;
-    let iteration = 0;
+    run.outputs.research = {
+      ...run.outputs.research,
+      ...await this.collectWorkflowArtifacts(event.runId, settled.succeeded, 'research')
+    };
+    return await this.nextResearchImprovement();
+  }
+  
+  async nextResearchImprovement() {
+    const { run } = this;
+    run.context.improvementIndex++;
     
-    while (planQuality < 95 && iteration < 3) {
-      const verifyPrompt = `As verification-coordinator, verify this development plan:
-        
-${devPlan}
-        
-Return JSON: {"score": NUMBER, "issues": []}`;
-      
-      const verification = await this.callClaude(verifyPrompt);
-      
-      try {
-        const result = JSON.parse(verification);
-        planQuality = result.score || 0;
-        
-        if (planQuality < 95) {
-          const improvePrompt = `As project-analyzer, improve the development plan:
-Issues found: ${JSON.stringify(result.issues)}
-Current plan: ${devPlan}
-Return improved plan as JSON.`;
-          
-          devPlan = await this.callClaude(improvePrompt);
-        }
-      } catch (e) {
-        planQuality = 0;
+    return run.context.improvementIndex < run.context.improvements.length ? 'research.improve' : 'research.verify';
+  }
+  
+  // ФАЗА 3: Разработка на основе research
+  
+  async requestDevPlan() {
+    this.logger.info('Creating development plan based on research');
+    
+    return await this.ask('devplan.generate', {
+      requirements: this.run.outputs.plan.requirements,
+      research: this.run.outputs.research,
+      developers: describeRoles('developer')
+    });
+  }
+  
+  async receiveDevPlan({ body }) {
+    const parsed = await this.parseModelResponse(body, 'devPlan');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    
+    this.run.context.devPlan = await this.checkDevPlanRoles(parsed.value);
+    return 'devplan.verify';
+  }
+  
+  // Gives every component a registered developer, the default one when it
+  // names none or an unknown one, and lists the developers the plan uses
+  async checkDevPlanRoles(devPlan) {
+    const unknown = [];
+    const components = devPlan.components.map(component => {
+      const role = getRole(component.developer);
+      if (role && role.kind === 'developer') {
+        return component;
       }
-      
-      iteration++;
+      if (component.developer) {
+        unknown.push(`${component.developer} (${component.name})`);
+      }
+      return { ...component, developer: DEFAULT_ROLES.developer };
+    });
+    
+    if (unknown.length > 0) {
+      await this.updateStatus(`⚠️ Unknown developers replaced by ${DEFAULT_ROLES.developer}: ${unknown.join(', ')}`);
+    }
+    return { ...devPlan, components, developers: [...new Set(components.map(component => component.developer))] };
+  }
+  
+  async requestDevPlanVerification() {
+    return await this.ask('devplan.verify', { devPlan: this.run.context.devPlan });
+  }
+  
+  async receiveDevPlanVerification({ body }) {
+    const { run } = this;
+    
+    const parsed = await this.parseModelResponse(body, 'verification');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    const { decision, revertTo } = await this.scoreIteration(
+      { devPlan: parsed.value.score },
+      run.context.devPlan,
+      this.config.iterations.devPlan
+    );
+    if (decision === 'continue') {
+      run.context.issues = parsed.value.issues || [];
+      return 'devplan.improve';
+    }
+    
+    if (revertTo) {
+      run.context.devPlan = revertTo.snapshot;
+    }
+    return this.finishDevPlan();
+  }
+  
+  async requestDevPlanImprovement() {
+    return await this.ask('devplan.improve', {
+      issues: this.run.context.issues,
+      devPlan: this.run.context.devPlan
+    });
+  }
+  
+  async receiveDevPlanImprovement({ body }) {
+    const parsed = await this.parseModelResponse(body, 'devPlan');
+    if (parsed.retry) {
+      return parsed.retry;
     }
     
-    return JSON.parse(devPlan);
+    this.run.context.devPlan = await this.checkDevPlanRoles(parsed.value);
+    return 'devplan.verify';
+  }
+  
+  finishDevPlan() {
+    this.run.outputs.devPlan = this.run.context.devPlan;
+    return this.gates.includes('phase3_createDevPlan') ? 'devplan.gate' : 'development.dispatch';
   }
   
-  async phase4_development(devPlan) {
-    console.log('Starting parallel development phase');
+  async openDevPlanGate() {
+    const devPlan = this.run.outputs.devPlan;
+    const components = devPlan.components.map(component => `${component.name} (${component.developer || 'fullstack-developer'})`);
     
-    // Create project branch
-    await this.createBranch(this.projectBranch);
+    await this.postComment(`🚦 **Development plan ready for review**
+
+${formatList('Components', components)}
+<details><summary>Full development plan</summary>
+
+\`\`\`json
+${JSON.stringify(devPlan, null, 2)}
+\`\`\`
+</details>
+
+Comment \`/mcp approve\` to start development, or \`/mcp request-changes <feedback>\` to revise the plan.`);
+    
+    return waitForApproval();
+  }
+  
+  async receiveDevPlanDecision({ decision, feedback }) {
+    if (decision === 'changes') {
+      this.run.context.issues = [`Maintainer feedback: ${feedback}`];
+      this.startScoringRound();
+      return 'devplan.improve';
+    }
+    
+    return 'development.dispatch';
+  }
+  
+  // ФАЗА 4: Параллельная разработка
+  
+  async dispatchDevelopment() {
+    const { run } = this;
+    const devPlan = run.outputs.devPlan;
+    this.logger.info('Starting parallel development phase');
     
     // Save development plan for GitHub Actions
     await this.saveToRepo(
@@ -271,293 +965,774 @@ Return improved plan as JSON.`;
       JSON.stringify(devPlan, null, 2),
       'Save development plan for parallel execution'
     );
+    await this.recordArtifact('devPlan', 'plans/development-plan.json');
     
     // Trigger GitHub Actions workflow for parallel development
     try {
-      const { data: workflow } = await this.octokit.request(
-        'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          workflow_id: 'development.yml',
-          ref: this.projectBranch,
-          inputs: {
-            components: JSON.stringify(devPlan.components || []),
-            developers: JSON.stringify(devPlan.developers || []),
-            issue_number: String(this.issueNumber)
-          }
-        }
-      );
+      const wait = await this.dispatchWorkflow(this.config.workflows.development, {
+        components: JSON.stringify(devPlan.components || []),
+        developers: JSON.stringify(devPlan.developers || []),
+        issue_number: String(this.issueNumber),
+        max_parallel: String(parallelLimit((devPlan.components || []).map(component => component.developer)))
+      });
       
-      await this.updateIssue('🚀 Triggered parallel development workflow');
+      await this.updateStatus('🚀 Triggered parallel development workflow');
+      return wait;
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      // If GitHub Actions is not available, fall back to sequential development
+      this.logger.warn('GitHub Actions not available, using sequential development', { error });
       
-      // Wait for workflow to complete
-      await this.waitForWorkflowCompletion('development');
+      run.context.componentIndex = 0;
+      return (devPlan.components || []).length > 0 ? 'development.sequential' : 'verification.checks';
+    }
+  }
+  
+  async receiveDevelopment(event) {
+    const components = (this.run.outputs.devPlan.components || []).map(component => component.name);
+    
+    const settled = await this.settleWorkflow(event, components);
+    if (settled.wait) {
+      return settled;
+    }
+    
+    this.run.outputs.development = { succeeded: settled.succeeded, failed: settled.failed };
+    return 'verification.checks';
+  }
+  
+  async requestComponent() {
+    const component = this.run.outputs.devPlan.components[this.run.context.componentIndex];
+    
+    return await this.ask('development.sequential', {
+      developer: component.developer || DEFAULT_ROLES.developer,
+      name: component.name,
+      component
+    }, { files: true });
+  }
+  
+  async receiveComponent({ body }) {
+    const { run } = this;
+    const components = run.outputs.devPlan.components;
+    
+    await this.commitResponseFiles(body, `Implement ${components[run.context.componentIndex].name} component`);
+    
+    run.context.componentIndex++;
+    return run.context.componentIndex < components.length ? 'development.sequential' : 'verification.checks';
+  }
+  
+  // ФАЗА 5: Верификация и итерации
+  
+  // Runs linters, tests with coverage and scanners on the project branch via
+  // the verification workflow. Without one, the verifiers judge on their own.
+  // The previous results stay in outputs.checks until the new ones arrive.
+  async dispatchChecks() {
+    const { run } = this;
+    const workflow = this.config.workflows.verification;
+    
+    if (!workflow) {
+      run.outputs.checks = {};
+      return 'verification.verify';
+    }
+    
+    try {
+      const wait = await this.dispatchWorkflow(workflow, {
+        issue_number: String(this.issueNumber)
+      });
       
+      await this.updateStatus('🧪 Triggered verification workflow');
+      return wait;
     } catch (error) {
-      // If GitHub Actions is not available, fall back to sequential development
-      console.error('GitHub Actions not available, using sequential development:', error);
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      this.logger.warn('Verification workflow not available, verifying without reports', { error });
+      run.outputs.checks = {};
+      return 'verification.verify';
+    }
+  }
+  
+  // Scores the uploaded reports. A job that failed to run leaves its check out
+  // rather than failing the phase.
+  async receiveChecks(event) {
+    const { run } = this;
+    
+    const settled = await this.settleWorkflow(event, CHECK_JOBS, { quorum: 0 });
+    if (settled.wait) {
+      return settled;
+    }
+    
+    const files = await this.collectReportFiles(event.runId, settled.failed);
+    const reports = collectReports(files);
+    run.outputs.checks = scoreReports(reports);
+    
+    const summary = Object.entries(run.outputs.checks)
+      .map(([check, result]) => `${check} ${result.score}%`)
+      .join(', ');
+    await this.updateStatus(`🧪 Checks: ${summary || 'no reports found'}${reports.errors.length > 0 ? ` (unreadable: ${reports.errors.join('; ')})` : ''}`);
+    
+    return 'verification.verify';
+  }
+  
+  // Asks each pending verifier in turn. The latest result per verifier is kept
+  // in outputs.verification so a single verifier can be re-run later.
+  async requestVerifier() {
+    const { run } = this;
+    run.context.pending = run.context.pending || [...this.config.verifiers];
+    
+    const verifier = run.context.pending[0];
+    return await this.ask('verification.verify', {
+      verifier,
+      branch: this.projectBranch,
+      checks: formatChecks(run.outputs.checks)
+    });
+  }
+  
+  async receiveVerifier({ body }) {
+    const { run } = this;
+    const { context } = run;
+    
+    const parsed = await this.parseModelResponse(body, 'verification');
+    if (parsed.retry) {
+      return parsed.retry;
+    }
+    
+    run.outputs.verification = run.outputs.verification || {};
+    run.outputs.verification[context.pending.shift()] = parsed.value;
+    
+    if (context.pending.length > 0) {
+      return 'verification.verify';
+    }
+    
+    // Overall quality counts the tool checks alongside the verifiers
+    const results = this.config.verifiers
+      .filter(verifier => run.outputs.verification[verifier])
+      .map(verifier => ({ name: verifier, source: verifier, ...run.outputs.verification[verifier] }));
+    const checks = Object.entries(run.outputs.checks || {})
+      .map(([check, result]) => ({ name: check, source: `${check} check`, ...result }));
+    const dimensions = Object.fromEntries([...results, ...checks].map(result => [result.name, result.score]));
+    
+    const { evaluation, decision, revertTo } = await this.scoreIteration(
+      dimensions,
+      await this.branchHead(),
+      this.config.iterations.verification
+    );
+    this.logger.info(`Iteration ${run.iteration}: Quality ${describeEvaluation(evaluation)}`);
+    
+    if (decision !== 'continue') {
+      if (revertTo && revertTo.snapshot) {
+        await this.restoreIteration(revertTo);
+      }
+      return 'report.generate';
+    }
+    
+    const belowMinimum = evaluation.belowMinimum.map(({ name }) => name);
+    const needsFix = result => result.score < this.config.qualityThreshold || belowMinimum.includes(result.name);
+    
+    // Apply fixes: the verifiers' suggestions, then the actual failures
+    context.fixes = [
+      ...results
+        .filter(verification => verification.fixes && verification.fixes.length > 0)
+        .map(verification => ({
+          source: verification.source,
+          items: verification.fixes.map(fix => (typeof fix === 'string' ? fix : JSON.stringify(fix)))
+        })),
+      ...checks
+        .filter(needsFix)
+        .map(check => ({ source: check.source, summary: check.summary, items: limitIssues(check.issues) }))
+    ];
+    context.fixIndex = 0;
+    
+    return context.fixes.length > 0 ? 'verification.fix' : this.finishFixes();
+  }
+  
+  async requestFix() {
+    const { source, summary, items } = this.run.context.fixes[this.run.context.fixIndex];
+    return await this.ask('verification.fix', { source, summary, items }, { files: true });
+  }
+  
+  async receiveFix({ body }) {
+    const { run } = this;
+    const { context } = run;
+    
+    await this.commitResponseFiles(body, `Apply verification fixes - iteration ${run.iteration}`);
+    context.fixIndex++;
+    
+    return context.fixIndex < context.fixes.length ? 'verification.fix' : this.finishFixes();
+  }
+  
+  finishFixes() {
+    const { run } = this;
+    
+    run.context = {};
+    return 'verification.checks';
+  }
+  
+  // ФАЗА 6: Финальный отчет
+  
+  async requestReport() {
+    this.logger.info('Generating final report');
+    
+    return await this.ask('report.generate', { checks: formatChecks(this.run.outputs.checks) });
+  }
+  
+  async receiveReport({ body }) {
+    await this.saveToRepo(
+      `reports/project-${this.issueNumber}.md`,
+      body,
+      'Final project report'
+    );
+    await this.recordArtifact('report', `reports/project-${this.issueNumber}.md`);
+    
+    // Create PR
+    await this.createPullRequest();
+    return 'review';
+  }
+  
+  async awaitApproval() {
+    await this.postComment('👀 Review the pull request and approve it, or comment `/mcp approve`, to complete the project. Requesting changes in a review sends them back to the developers.');
+    return waitForApproval();
+  }
+  
+  async receiveApproval({ decision, feedback }) {
+    if (decision === 'changes') {
+      this.run.context.feedback = feedback;
+      return 'review.fix';
+    }
+    
+    return 'completed';
+  }
+  
+  // Applies the changes requested on the pull request, together with any
+  // line comments left since the last fix.
+  async requestReviewFix() {
+    const { run } = this;
+    const comments = (run.reviewComments || [])
+      .map(comment => `- ${comment.path}${comment.line ? `:${comment.line}` : ''} (@${comment.user}): ${comment.body}`);
+    
+    return await this.ask('review.fix', {
+      branch: this.projectBranch,
+      feedback: run.context.feedback,
+      comments
+    }, { files: true });
+  }
+  
+  async receiveReviewFix({ body }) {
+    const { run } = this;
+    
+    await this.commitResponseFiles(body, 'Address pull request review');
+    
+    run.reviewComments = [];
+    run.context = {};
+    return 'review';
+  }
+  
+  // Operator actions, invoked through /mcp commands. Each returns a short
+  // Markdown reply for the commenter.
+  
+  async requireRun() {
+    const run = await this.store.get(runId(this.owner, this.repo, this.issueNumber));
+    if (!run) {
+      throw new Error(`No run found for issue #${this.issueNumber}`);
+    }
+    
+    this.run = run;
+    return run;
+  }
+  
+  async status() {
+    const run = await this.requireRun();
+    
+    const scores = Object.entries(run.scores)
+      .map(([phase, values]) => `  - ${phase}: ${values.join(', ')}`);
+    
+    return [
+      `**MCP-LITE run ${run.id}**`,
+      `- State: ${run.state}`,
+      `- Step: \`${run.step}\`${run.phase ? ` (${PHASE_TITLES[run.phase]})` : ''}`,
+      `- Iteration: ${run.iteration}`,
+      `- Waiting for: ${run.waitingFor ? run.waitingFor.type : 'nothing'}`,
+      `- Completed phases: ${run.completedPhases.join(', ') || 'none'}`,
+      `- Usage: ${describeUsage(run)}`,
+      ...(run.state === 'queued' ? [`- Queue position: ${run.queue.position || 'pending'}`] : []),
+      ...(run.state === 'paused' ? [`- Paused: ${run.paused.reason}`] : []),
+      ...(scores.length > 0 ? ['- Scores:', ...scores] : []),
+      ...(run.error ? [`- Error: ${run.error}`] : [])
+    ].join('\n');
+  }
+  
+  // Without a phase, re-enters the current step. With one, restarts that
+  // phase from its first step, provided every earlier phase has completed.
+  async retry(phaseName) {
+    const run = await this.requireRun();
+    
+    if (run.state === 'queued') {
+      throw new Error('Run is queued; it starts once other runs have finished');
+    }
+    if (run.state === 'cancelled') {
+      throw new Error(CANCELLED_RUN);
+    }
+    
+    if (phaseName) {
+      const phase = resolvePhase(phaseName);
+      const index = PHASES.indexOf(phase);
+      const missing = PHASES.slice(0, index).filter(p => !run.completedPhases.includes(p));
       
-      for (const component of devPlan.components || []) {
-        const devPrompt = `As ${component.developer || 'fullstack-developer'}, implement ${component.name}.
-          
-Use this development plan:
-${JSON.stringify(component, null, 2)}
-          
-Requirements:
-- Production-ready code  
-- No placeholders
-- Comprehensive error handling
-- Tests included
-          
-Create all necessary files.`;
-        
-        await this.callClaudeWithFiles(devPrompt, this.projectBranch);
-        
-        await this.commitChanges(
-          `Implement ${component.name} component`,
-          this.projectBranch
-        );
+      if (missing.length > 0) {
+        throw new Error(`Cannot retry ${phase} before ${missing.join(', ')} completed`);
+      }
+      
+      run.completedPhases = run.completedPhases.filter(p => PHASES.indexOf(p) < index);
+      run.phase = null;
+      run.step = firstStepOf(phase);
+    } else if (getStep(run.step).final) {
+      throw new Error('Run has completed; name a phase to retry');
+    }
+    
+    await this.restart();
+    return `Retried ${phaseName ? resolvePhase(phaseName) : 'the current step'}, ${this.describeProgress()}`;
+  }
+  
+  // Skips the current phase. Phases whose output later phases depend on
+  // (the plan and the development plan) cannot be skipped.
+  async skip(phaseName) {
+    const run = await this.requireRun();
+    const current = run.phase || getStep(run.step).phase;
+    const phase = phaseName ? resolvePhase(phaseName) : current;
+    
+    if (run.state !== 'running' && run.state !== 'failed') {
+      throw new Error(`Run is ${run.state}`);
+    }
+    if (phase !== current) {
+      throw new Error(`Only the current phase (${current}) can be skipped`);
+    }
+    if (phase === 'phase1_createPlan' || phase === 'phase3_createDevPlan') {
+      throw new Error(`${phase} cannot be skipped, later phases need its output`);
+    }
+    
+    if (phase === 'phase2_research') {
+      run.outputs.research = run.outputs.research || {};
+    }
+    
+    const nextPhase = PHASES[PHASES.indexOf(phase) + 1];
+    run.phase = phase;
+    run.step = nextPhase ? firstStepOf(nextPhase) : 'completed';
+    run.skippedPhases = [...(run.skippedPhases || []), phase];
+    run.waitingFor = null;
+    await this.updateStatus(`⏭️ Skipped ${PHASE_TITLES[phase]}`);
+    
+    await this.restart();
+    return `Skipped ${phase}, ${this.describeProgress()}`;
+  }
+  
+  // Picks a paused run up at the step it stopped before. A run that used up
+  // its budget gets another allowance of the configured size.
+  async resume() {
+    const run = await this.requireRun();
+    
+    if (run.state !== 'paused') {
+      throw new Error(`Run is ${run.state}, not paused`);
+    }
+    
+    if (budgetExceeded(run)) {
+      run.budget = grantBudget(this.config.budget, run.usage);
+    }
+    run.paused = null;
+    await this.updateStatus(`▶️ Resumed at \`${run.step}\` (used ${describeUsage(run)})`);
+    
+    await this.restart();
+    return `Resumed, ${this.describeProgress()}`;
+  }
+  
+  // Stops the run where it is: marks it cancelled so late events are ignored,
+  // cancels the workflows it dispatched and removes what `cleanup` asks for
+  // (the run's `cleanup` config unless given).
+  async cancel(reason = null, cleanup = null) {
+    const run = await this.requireRun();
+    const mode = cleanup || this.config.cleanup || 'none';
+    
+    if (run.state === 'completed' || run.state === 'cancelled') {
+      throw new Error(`Run is already ${run.state}`);
+    }
+    if (!CLEANUP_MODES.includes(mode)) {
+      throw new Error(`Unknown cleanup: ${mode}. Use one of: ${CLEANUP_MODES.join(', ')}`);
+    }
+    
+    run.state = 'cancelled';
+    run.waitingFor = null;
+    run.paused = null;
+    run.queue = null;
+    run.error = reason;
+    await this.saveRun();
+    
+    const notes = [];
+    const stopped = await this.cancelWorkflowRuns();
+    if (stopped > 0) {
+      notes.push(`stopped ${stopped} workflow run(s)`);
+    }
+    if (mode === 'files') {
+      try {
+        notes.push(`removed ${await this.removeGeneratedFiles()} generated file(s)`);
+      } catch (error) {
+        // The run is cancelled either way
+        this.logger.error('Error removing generated files', { error });
+        notes.push(`could not remove the generated files (${error.message})`);
+      }
+    }
+    
+    await this.updateStatus(`🛑 Run cancelled${reason ? ` (${reason})` : ''}${notes.length > 0 ? `, ${notes.join(', ')}` : ''}`);
+    
+    // Last, since the Check Run lives on the branch's head commit
+    if (mode === 'branch' && await deleteBranch(this.octokit, this.owner, this.repo, this.projectBranch)) {
+      run.status.branch = null;
+      await this.updateStatus(`🧹 Deleted branch \`${this.projectBranch}\``);
+    }
+    
+    return 'Run cancelled';
+  }
+  
+  // Cancels the queued and in-progress workflow runs dispatched on the
+  // project branch. Resolves to how many were cancelled.
+  async cancelWorkflowRuns() {
+    let workflowRuns;
+    try {
+      const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs', {
+        owner: this.owner,
+        repo: this.repo,
+        branch: this.projectBranch,
+        event: 'workflow_dispatch',
+        per_page: 100
+      });
+      workflowRuns = data.workflow_runs;
+    } catch (error) {
+      this.logger.error('Error listing workflow runs', { error });
+      return 0;
+    }
+    
+    let cancelled = 0;
+    for (const workflowRun of workflowRuns) {
+      if (workflowRun.status === 'completed' || !DISPATCH_TAG.test(workflowRun.display_title || workflowRun.name || '')) {
+        continue;
+      }
+      
+      try {
+        await this.octokit.request('POST /repos/{owner}/{repo}/actions/runs/{run_id}/cancel', {
+          owner: this.owner,
+          repo: this.repo,
+          run_id: workflowRun.id
+        });
+        cancelled++;
+      } catch (error) {
+        // 409: the run finished in the meantime
+        if (error.status !== 409) {
+          this.logger.error(`Error cancelling workflow run ${workflowRun.id}`, { error });
+        }
+      }
+    }
+    
+    return cancelled;
+  }
+  
+  // Deletes the generated files from the project branch in one commit
+  async removeGeneratedFiles() {
+    let paths;
+    try {
+      paths = await listFiles(this.octokit, this.owner, this.repo, this.projectBranch, GENERATED_DIRS);
+    } catch (error) {
+      if (error.status === 404) {
+        return 0;
       }
+      throw error;
+    }
+    
+    const changeset = new Changeset(this.octokit, this.owner, this.repo, this.projectBranch);
+    for (const filePath of paths) {
+      changeset.delete(filePath);
     }
+    await changeset.commit(`Remove files generated for #${this.issueNumber}`);
+    return paths.length;
   }
   
-  async phase5_verification() {
-    console.log('Starting verification phase');
+  // Edited requirements are not applied on their own; the run keeps going
+  // with the old ones until someone asks for a re-plan.
+  async offerReplan(requirements) {
+    const run = await this.requireRun();
     
-    let overallQuality = 0;
-    let iteration = 0;
+    if (requirements === run.requirements) {
+      return;
+    }
     
-    while (overallQuality < 95 && iteration < 5) {
-      const verifiers = [
-        'code-quality-verifier',
-        'security-verifier',
-        'performance-verifier'
-      ];
-      
-      const verificationResults = [];
-      
-      for (const verifier of verifiers) {
-        const verifyPrompt = `As ${verifier}, verify the code in branch ${this.projectBranch}.
-          
-Check all aspects relevant to your expertise.
-Return JSON: {"score": NUMBER, "issues": [], "fixes": []}`;
-        
-        const result = await this.callClaude(verifyPrompt);
-        verificationResults.push(JSON.parse(result));
-      }
-      
-      // Calculate overall quality
-      overallQuality = verificationResults.reduce((acc, v) => acc + v.score, 0) / verificationResults.length;
-      
-      console.log(`Iteration ${iteration + 1}: Quality ${overallQuality}%`);
-      
-      if (overallQuality < 95) {
-        // Apply fixes
-        for (const verification of verificationResults) {
-          if (verification.fixes && verification.fixes.length > 0) {
-            const fixPrompt = `As verification-iterator, apply these fixes:
-${JSON.stringify(verification.fixes, null, 2)}
-Fix all issues found.`;
-            
-            await this.callClaudeWithFiles(fixPrompt, this.projectBranch);
-          }
-        }
-        
-        await this.commitChanges(
-          `Apply verification fixes - iteration ${iteration + 1}`,
-          this.projectBranch
-        );
-      }
-      
-      iteration++;
+    run.pendingRequirements = requirements;
+    await this.saveRun();
+    
+    await this.postComment('✏️ The requirements changed. Comment `/mcp replan` to restart from the plan with the new requirements.');
+  }
+  
+  async replan() {
+    const run = await this.requireRun();
+    
+    if (run.state === 'cancelled') {
+      throw new Error(CANCELLED_RUN);
     }
+    if (run.pendingRequirements === undefined || run.pendingRequirements === null) {
+      throw new Error('The requirements have not changed');
+    }
+    
+    // Workflows dispatched for the old plan would otherwise keep running and
+    // push to the project branch under the new one
+    const stopped = await this.cancelWorkflowRuns();
+    
+    run.requirements = run.pendingRequirements;
+    run.pendingRequirements = null;
+    run.completedPhases = [];
+    run.phase = null;
+    run.step = INITIAL_STEP;
+    
+    await this.restart();
+    const note = stopped > 0 ? ` (stopped ${stopped} workflow run(s))` : '';
+    return `Re-planning with the new requirements, ${this.describeProgress()}${note}`;
   }
   
-  async phase6_finalReport() {
-    console.log('Generating final report');
+  async approve(user) {
+    const run = await this.requireRun();
     
-    const reportPrompt = `As report-generator, create comprehensive project report.
-      
-Include:
-1. Executive summary
-2. Requirements analysis
-3. Technology choices
-4. Development process
-5. Quality metrics
-6. Lessons learned
-      
-Format as professional documentation.`;
+    if (run.state !== 'running' || !run.waitingFor || run.waitingFor.type !== EVENTS.APPROVAL) {
+      throw new Error(`Run is not waiting for approval (step \`${run.step}\`)`);
+    }
     
-    const report = await this.callClaude(reportPrompt);
+    this.recordDecision(user, 'approve');
+    await this.advance({ type: EVENTS.APPROVAL, decision: 'approve', user });
+    return `Approved by @${user}, now at \`${run.step}\``;
+  }
+  
+  // Sends a gated plan back for another iteration, or the pull request back
+  // to the developers, with the given feedback.
+  async requestChanges(user, feedback) {
+    const run = await this.requireRun();
     
-    await this.saveToRepo(
-      `reports/project-${this.issueNumber}.md`,
-      report,
-      'Final project report'
-    );
+    if (run.state !== 'running' || !run.waitingFor || run.waitingFor.type !== EVENTS.APPROVAL) {
+      throw new Error(`Run is not waiting for approval (step \`${run.step}\`)`);
+    }
+    if (!Object.values(GATES).includes(run.step) && run.step !== 'review') {
+      throw new Error(`Changes can only be requested at a plan gate or on the pull request, not at \`${run.step}\``);
+    }
+    if (!feedback) {
+      throw new Error('Describe the requested changes after the command');
+    }
     
-    // Create PR
-    await this.createPullRequest();
+    this.recordDecision(user, 'changes', feedback);
+    await this.advance({ type: EVENTS.APPROVAL, decision: 'changes', feedback, user });
+    return `Changes requested by @${user}, now at \`${run.step}\``;
+  }
+  
+  // Line comments on the pull request are collected until the next review
+  // asks for changes.
+  async recordReviewComment(comment) {
+    const run = await this.requireRun();
+    
+    run.reviewComments = [...(run.reviewComments || []), comment];
+    await this.saveRun();
+  }
+  
+  recordDecision(user, decision, feedback = null) {
+    const { run } = this;
+    run.decisions = run.decisions || [];
+    run.decisions.push({ step: run.step, user, decision, feedback, at: new Date().toISOString() });
+  }
+  
+  // Asks one verifier again and recomputes the overall quality with the latest
+  // results of the others. Moves the run back into verification if needed.
+  async rerunVerifier(verifier) {
+    const run = await this.requireRun();
+    
+    if (run.state === 'queued') {
+      throw new Error('Run is queued; it starts once other runs have finished');
+    }
+    if (run.state === 'cancelled') {
+      throw new Error(CANCELLED_RUN);
+    }
+    if (!this.config.verifiers.includes(verifier)) {
+      throw new Error(`Unknown verifier: ${verifier}. Use one of: ${this.config.verifiers.join(', ')}`);
+    }
+    if (!run.completedPhases.includes('phase4_development')) {
+      throw new Error('Verifiers can only be re-run once development has completed');
+    }
+    
+    run.completedPhases = run.completedPhases.filter(p => PHASES.indexOf(p) < PHASES.indexOf('phase5_verification'));
+    run.phase = 'phase5_verification';
+    run.step = 'verification.verify';
+    run.context = { pending: [verifier] };
+    
+    await this.restart();
+    return `Re-ran ${verifier}, ${this.describeProgress()}`;
   }
   
   // Helper methods
   
-  async updateIssue(message) {
+  // Progress goes into the run's single status comment and Check Run. Without
+  // a message it only refreshes them.
+  async updateStatus(message = null) {
+    await this.reporter.update(this.run, message);
+    await this.saveRun();
+  }
+  
+  // A separate comment, for things people have to act on
+  async postComment(body) {
     await this.octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
       owner: this.owner,
       repo: this.repo,
       issue_number: this.issueNumber,
-      body: message
+      body
     });
   }
   
-  async callClaude(prompt) {
-    // Create comment with @claude mention
-    const comment = await this.octokit.issues.createComment({
+  // Asks the model with a prompt template, the repository's override if it
+  // has one, as the template's role, and records which version of the
+  // template the run used. With `files`, the answer is code for the branch.
+  async ask(name, variables, { files = false } = {}) {
+    const { text, role, version, source } = renderPrompt(name, variables, this.config.prompts);
+    this.run.prompts = { ...this.run.prompts, [name]: { version, source } };
+    
+    return files
+      ? await this.requestModelWithFiles(text, this.projectBranch, role)
+      : await this.requestModel(text, { role });
+  }
+  
+  // Asks the run's model provider. Resolves to the response event when the
+  // provider answers synchronously, or to a wait descriptor otherwise. A
+  // registered `role` brings its system prompt and allowed tools.
+  async requestModel(prompt, options = {}) {
+    // Kept so an invalid answer can be re-asked with the original request
+    this.run.context.lastPrompt = prompt;
+    this.run.context.lastRole = options.role || null;
+    this.countUsage('modelCalls');
+    recordModelRequest(this.run, this.run.phase);
+    await this.saveRun();
+    
+    const role = getRole(options.role);
+    const startedAt = Date.now();
+    const result = await this.provider.complete(prompt, {
       owner: this.owner,
       repo: this.repo,
-      issue_number: this.issueNumber,
-      body: `@claude ${prompt}`
+      issueNumber: this.issueNumber,
+      ...options,
+      system: role ? role.systemPrompt : null,
+      tools: role ? role.tools : null
     });
     
-    console.log(`Created @claude comment at ${comment.data.created_at}`);
-    
-    // Wait for Claude's response (polling)
-    let attempts = 0;
-    const maxAttempts = 30; // 5 minutes maximum
-    const pollInterval = 10000; // 10 seconds
-    
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
-      
-      // Get recent comments
-      const { data: comments } = await this.octokit.issues.listComments({
-        owner: this.owner,
-        repo: this.repo,
-        issue_number: this.issueNumber,
-        since: comment.data.created_at,
-        per_page: 100
-      });
-      
-      // Look for Claude's response
-      const claudeResponse = comments.find(c => {
-        // Claude bot might have different usernames
-        const isClaudeBot = c.user.login.includes('claude') || 
-                           c.user.type === 'Bot' && 
-                           (c.user.login.includes('anthropic') || 
-                            c.user.login.includes('claude'));
-        
-        // Must be after our comment
-        const isAfterOurComment = new Date(c.created_at) > new Date(comment.data.created_at);
-        
-        return isClaudeBot && isAfterOurComment;
-      });
-      
-      if (claudeResponse) {
-        console.log(`Got Claude response after ${attempts + 1} attempts`);
-        return claudeResponse.body;
-      }
-      
-      attempts++;
-      console.log(`Waiting for Claude response... (attempt ${attempts}/${maxAttempts})`);
+    // The answer comes with a later webhook, which records the latency
+    if (result.wait) {
+      return result;
     }
     
-    throw new Error(`Claude did not respond within ${maxAttempts * pollInterval / 1000} seconds`);
+    this.recordModelLatency(startedAt);
+    return {
+      event: {
+        type: EVENTS.MODEL_RESPONSE,
+        body: result.response,
+        createdAt: new Date().toISOString()
+      }
+    };
   }
   
-  async callClaudeWithFiles(prompt, branch) {
-    // Include branch context in the prompt
-    const enhancedPrompt = `[Context: Working on branch '${branch}' in repository ${this.owner}/${this.repo}]\n\n${prompt}`;
+  async requestModelWithFiles(prompt, branch, role = null) {
+    return await this.requestModel(`${prompt}\n\n${FILE_FORMAT}`, { branch, role });
+  }
+  
+  // Extracts and validates a model response. Resolves to `{ value }` when it
+  // matches the schema; otherwise reports the errors on the issue and resolves
+  // to `{ retry }` holding the re-ask, which the caller returns as its result.
+  async parseModelResponse(body, schemaName) {
+    const { context } = this.run;
+    const { value, errors } = parseResponse(body, schemaName);
+    
+    if (errors.length === 0) {
+      context.repairAttempts = 0;
+      return { value };
+    }
     
-    // Call Claude with enhanced prompt
-    return await this.callClaude(enhancedPrompt);
+    const attempts = (context.repairAttempts || 0) + 1;
+    const errorList = errors.map(error => `- ${error}`).join('\n');
+    
+    if (attempts > MAX_REPAIR_ATTEMPTS) {
+      context.repairAttempts = 0;
+      throw new Error(`Invalid ${schemaName} response after ${MAX_REPAIR_ATTEMPTS} retries:\n${errorList}`);
+    }
+    
+    context.repairAttempts = attempts;
+    await this.updateStatus(`⚠️ Invalid ${schemaName} response, asking again (${attempts}/${MAX_REPAIR_ATTEMPTS}):\n${errorList}`);
+    
+    const originalPrompt = context.lastPrompt;
+    const retry = await this.requestModel(repairPrompt(originalPrompt, body, schemaName, errors), { role: context.lastRole });
+    context.lastPrompt = originalPrompt;
+    await this.saveRun();
+    
+    return { retry };
   }
   
   async saveToRepo(filePath, content, message) {
-    try {
-      // Get current file (if exists)
-      let sha;
-      try {
-        const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
-          owner: this.owner,
-          repo: this.repo,
-          path: filePath,
-          ref: this.projectBranch
-        });
-        sha = data.sha;
-      } catch (e) {
-        // File doesn't exist
-      }
-      
-      // Create or update file
-      await this.octokit.request('PUT /repos/{owner}/{repo}/contents/{path}', {
-        owner: this.owner,
-        repo: this.repo,
-        path: filePath,
-        message: message,
-        content: Buffer.from(content).toString('base64'),
-        branch: this.projectBranch,
-        ...(sha && { sha })
-      });
-    } catch (error) {
-      console.error('Error saving to repo:', error);
-      throw error;
+    return await this.commitFiles([{ path: filePath, content }], message);
+  }
+  
+  // Writes all files as one commit on the project branch
+  async commitFiles(files, message) {
+    const changeset = new Changeset(this.octokit, this.owner, this.repo, this.projectBranch);
+    for (const file of files) {
+      changeset.add(file.path, file.content);
     }
+    
+    return await changeset.commit(message);
   }
   
-  async createBranch(branchName) {
+  // Head commit of the project branch, or null when it cannot be read
+  async branchHead() {
     try {
-      // Get default branch ref
-      const { data: ref } = await this.octokit.request('GET /repos/{owner}/{repo}/git/ref/heads/{ref}', {
-        owner: this.owner,
-        repo: this.repo,
-        ref: 'main'
-      });
-      
-      // Create new branch
-      await this.octokit.request('POST /repos/{owner}/{repo}/git/refs', {
-        owner: this.owner,
-        repo: this.repo,
-        ref: `refs/heads/${branchName}`,
-        sha: ref.object.sha
-      });
+      return await headSha(this.octokit, this.owner, this.repo, this.projectBranch);
     } catch (error) {
-      if (error.status === 422) {
-        // Branch already exists
-        console.log(`Branch ${branchName} already exists`);
-      } else {
+      if (isRateLimitError(error)) {
         throw error;
       }
+      this.logger.error(`Error reading the head of ${this.projectBranch}`, { error });
+      return null;
     }
   }
   
-  async commitChanges(message, branch) {
-    // Since we're on Vercel, we can't use git commands
-    // Instead, we'll trigger a GitHub Action to commit changes
-    await this.updateIssue(`📝 Triggering commit: "${message}" on branch ${branch}`);
-    
-    // Trigger GitHub Action workflow for commits
-    try {
-      await this.octokit.repos.createDispatchEvent({
-        owner: this.owner,
-        repo: this.repo,
-        event_type: 'commit-changes',
-        client_payload: {
-          branch: branch,
-          message: message,
-          issue_number: this.issueNumber
-        }
-      });
-      
-      console.log(`Triggered commit workflow for: ${message}`);
-      return `workflow-${Date.now()}`;
-    } catch (error) {
-      console.error('Error triggering commit workflow:', error);
-      throw error;
+  // Puts the code of an earlier verification iteration back on the branch
+  async restoreIteration({ iteration, score, snapshot }) {
+    const sha = await restoreCommit(
+      this.octokit,
+      this.owner,
+      this.repo,
+      this.projectBranch,
+      snapshot,
+      `Restore code from verification iteration ${iteration + 1} (${score}%)`
+    );
+    if (sha) {
+      await this.updateStatus(`⏪ Restored the code of iteration ${iteration + 1}`);
+    }
+    return sha;
+  }
+  
+  // Commits the files in a model response. Providers that push to the branch
+  // themselves (the Claude GitHub App) may return none, which is fine.
+  async commitResponseFiles(body, message) {
+    const files = extractFiles(body);
+    if (files.length === 0) {
+      this.logger.info(`No files in the response for: ${message}`);
+      return null;
     }
+    
+    await this.updateStatus(`📝 Committing ${files.length} file(s): "${message}"`);
+    return await this.commitFiles(files, message);
+  }
+  
+  async createBranch() {
+    return await ensureBranch(this.octokit, this.owner, this.repo, this.projectBranch, this.config.baseBranch);
   }
   
+  // A pull request already open from the branch (from an earlier attempt, or
+  // opened by hand) is taken over instead of failing the run
   async createPullRequest() {
     try {
       const { data: pr } = await this.octokit.request('POST /repos/{owner}/{repo}/pulls', {
@@ -566,233 +1741,296 @@ Format as professional documentation.`;
         title: `MCP-LITE V2.5: Implementation for #${this.issueNumber}`,
         body: `Automated implementation by MCP-LITE V2.5 system.\n\nCloses #${this.issueNumber}`,
         head: this.projectBranch,
-        base: 'main'
+        base: this.config.baseBranch
       });
       
-      await this.updateIssue(`📦 Pull Request created: #${pr.number}`);
+      this.run.outputs.pullRequest = pr.number;
+      await this.saveRun();
+      
+      await this.updateStatus(`📦 Pull Request created: #${pr.number}`);
     } catch (error) {
-      console.error('Error creating PR:', error);
+      const existing = error.status === 422 && /already exists/i.test(error.message)
+        ? await this.findOpenPullRequest()
+        : null;
+      if (existing) {
+        this.run.outputs.pullRequest = existing.number;
+        await this.saveRun();
+        
+        await this.updateStatus(`📦 Pull Request #${existing.number} was already open for ${this.projectBranch}`);
+        return;
+      }
+      this.logger.error('Error creating PR', { error });
       throw error;
     }
   }
   
-  async waitForWorkflowCompletion(workflowName) {
-    console.log(`Waiting for ${workflowName} workflow to complete...`);
+  async findOpenPullRequest() {
+    const { data: pulls } = await this.octokit.request('GET /repos/{owner}/{repo}/pulls', {
+      owner: this.owner,
+      repo: this.repo,
+      head: `${this.owner}:${this.projectBranch}`,
+      state: 'open',
+      per_page: 1
+    });
+    return pulls[0] || null;
+  }
+  
+  // Parallel phases
+  
+  // Dispatches a workflow tagged with a fresh correlation ID. The workflow puts
+  // the ID into its run name, which is how its workflow_run event is matched
+  // to this dispatch and not to an older or concurrent run.
+  async dispatchWorkflow(workflow, inputs) {
+    const correlationId = crypto.randomUUID();
     
-    const maxWaitTime = 30 * 60 * 1000; // 30 minutes
-    const checkInterval = 30 * 1000; // 30 seconds
-    const startTime = Date.now();
+    this.countUsage('dispatches');
+    await this.octokit.request('POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches', {
+      owner: this.owner,
+      repo: this.repo,
+      workflow_id: workflow,
+      ref: this.projectBranch,
+      inputs: { ...inputs, correlation_id: correlationId }
+    });
     
-    while (Date.now() - startTime < maxWaitTime) {
-      try {
-        // Get latest workflow runs
-        const { data: runs } = await this.octokit.request(
-          'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs',
-          {
-            owner: this.owner,
-            repo: this.repo,
-            workflow_id: `${workflowName}.yml`,
-            branch: this.projectBranch,
-            per_page: 1
-          }
-        );
-        
-        if (runs.workflow_runs.length > 0) {
-          const latestRun = runs.workflow_runs[0];
-          
-          if (latestRun.status === 'completed') {
-            if (latestRun.conclusion === 'success') {
-              console.log(`${workflowName} workflow completed successfully`);
-              return;
-            } else {
-              throw new Error(`${workflowName} workflow failed with conclusion: ${latestRun.conclusion}`);
-            }
-          }
-          
-          console.log(`Workflow status: ${latestRun.status}`);
-        }
-      } catch (error) {
-        console.error(`Error checking workflow status: ${error.message}`);
-      }
+    // The workflow run ID is only known once it completes
+    this.run.workflowRuns = [...(this.run.workflowRuns || []), {
+      workflow,
+      correlationId,
+      dispatchedAt: new Date().toISOString(),
+      id: null,
+      attempt: null,
+      conclusion: null,
+      completedAt: null,
+      jobs: null
+    }];
+    
+    this.run.context.workflowRetries = 0;
+    return waitForWorkflow(workflow, this.projectBranch, correlationId);
+  }
+  
+  // Conclusion of every job in a workflow run, keyed by job name. Matrix jobs
+  // are named after their researcher or component.
+  async workflowJobs(workflowRunId) {
+    const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs/{run_id}/jobs', {
+      owner: this.owner,
+      repo: this.repo,
+      run_id: workflowRunId,
+      filter: 'latest',
+      per_page: 100
+    });
+    
+    return Object.fromEntries(data.jobs.map(job => [job.name, job.conclusion]));
+  }
+  
+  // Decides how a parallel phase goes on once its workflow run completed.
+  // Failed jobs are re-run while retries last; after that the phase continues
+  // if the quorum of jobs succeeded. Resolves to a wait descriptor for the
+  // re-run, or to the names of the jobs that succeeded and failed.
+  async settleWorkflow(event, names, options = {}) {
+    const { run } = this;
+    const { retries, quorum } = { ...DEFAULT_CONFIG.workflows, ...this.config.workflows, ...options };
+    
+    const jobs = await this.workflowJobs(event.runId);
+    // Workflows whose jobs are not named after the matrix only have an overall result
+    const conclusionOf = names.some(name => name in jobs)
+      ? name => jobs[name]
+      : () => event.conclusion;
+    
+    const succeeded = names.filter(name => conclusionOf(name) === 'success');
+    const failed = names.filter(name => conclusionOf(name) !== 'success');
+    recordWorkflow(run, event.workflow, failed.length > 0);
+    // Kept with the dispatch, so the status and operators see every phase's jobs
+    const record = this.workflowRecord(event);
+    if (record) {
+      record.jobs = Object.fromEntries(names.map(name => [name, conclusionOf(name) || 'missing']));
+    }
+    
+    if (failed.length > 0 && (run.context.workflowRetries || 0) < retries) {
+      run.context.workflowRetries = (run.context.workflowRetries || 0) + 1;
+      
+      this.countUsage('dispatches');
+      await this.octokit.request('POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs', {
+        owner: this.owner,
+        repo: this.repo,
+        run_id: event.runId
+      });
       
-      // Wait before checking again
-      await new Promise(resolve => setTimeout(resolve, checkInterval));
+      await this.updateStatus(`🔁 Re-running failed jobs (${run.context.workflowRetries}/${retries}): ${failed.join(', ')}`);
+      return waitForWorkflow(event.workflow, event.branch, event.correlationId);
+    }
+    
+    const required = Math.ceil(names.length * quorum);
+    if (succeeded.length < required) {
+      throw new Error(`${event.workflow}: ${succeeded.length} of ${names.length} jobs succeeded, ${required} required (failed: ${failed.join(', ')})`);
+    }
+    if (failed.length > 0) {
+      await this.updateStatus(`⚠️ Continuing with ${succeeded.length} of ${names.length} jobs, failed: ${failed.join(', ')}`);
     }
     
-    throw new Error(`${workflowName} workflow did not complete within ${maxWaitTime / 1000 / 60} minutes`);
+    return { succeeded, failed };
   }
   
-  async collectWorkflowArtifacts(workflowName) {
+  // Typed results of the named jobs from the artifacts of one workflow run.
+  // Falls back to the results committed under `resultsDir` when there are none.
+  async collectWorkflowArtifacts(workflowRunId, names, resultsDir) {
     try {
-      // Get artifacts from the latest workflow run
-      const { data: runs } = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          workflow_id: `${workflowName}.yml`,
-          branch: this.projectBranch,
-          per_page: 1
-        }
-      );
-      
-      if (runs.workflow_runs.length === 0) {
-        throw new Error(`No workflow runs found for ${workflowName}`);
-      }
-      
-      const runId = runs.workflow_runs[0].id;
-      
-      // Get artifacts
       const { data: artifacts } = await this.octokit.request(
         'GET /repos/{owner}/{repo}/actions/runs/{run_id}/artifacts',
         {
           owner: this.owner,
           repo: this.repo,
-          run_id: runId
+          run_id: workflowRunId,
+          per_page: 100
         }
       );
       
       const results = {};
       
-      // Download and parse each artifact
       for (const artifact of artifacts.artifacts) {
-        const { data: download } = await this.octokit.request(
-          'GET /repos/{owner}/{repo}/actions/artifacts/{artifact_id}/{archive_format}',
-          {
-            owner: this.owner,
-            repo: this.repo,
-            artifact_id: artifact.id,
-            archive_format: 'zip'
+        const researcher = artifact.name.replace(/-results$/, '');
+        if (names.includes(researcher)) {
+          const result = await this.downloadArtifact(artifact.id, researcher);
+          if (result) {
+            results[researcher] = result;
           }
-        );
-        
-        // Download artifact data
-        const artifactData = await this.downloadArtifact(artifact.id);
-        const artifactName = artifact.name.replace('-results', '');
-        results[artifactName] = artifactData;
+        }
+      }
+      
+      // Workflows that commit their results instead of uploading them
+      if (Object.keys(results).length === 0) {
+        return await this.readResultsFromRepo(resultsDir, names);
       }
       
       return results;
     } catch (error) {
-      console.error('Error collecting artifacts:', error);
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      this.logger.error('Error collecting artifacts', { error });
       // Fallback: read from repository
-      return await this.readResultsFromRepo(workflowName);
+      return await this.readResultsFromRepo(resultsDir, names);
     }
   }
   
-  async readResultsFromRepo(workflowName) {
-    const results = {};
-    const resultsPath = `${workflowName}/`;
+  // Typed results from the Markdown and JSON files under `resultsDir` on the
+  // project branch, including subdirectories. `names` limits the researchers.
+  async readResultsFromRepo(resultsDir, names = null) {
+    const files = [];
     
     try {
-      const { data: contents } = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/contents/{path}',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          path: resultsPath,
-          ref: this.projectBranch
-        }
-      );
-      
-      for (const file of contents) {
-        if (file.type === 'file' && file.name.endsWith('.json')) {
-          const { data: fileContent } = await this.octokit.request(
-            'GET /repos/{owner}/{repo}/contents/{path}',
-            {
-              owner: this.owner,
-              repo: this.repo,
-              path: file.path,
-              ref: this.projectBranch
-            }
-          );
-          
-          const content = Buffer.from(fileContent.content, 'base64').toString();
-          const key = file.name.replace('-results.json', '');
-          results[key] = JSON.parse(content);
-        }
-      }
+      await this.readResultFiles(resultsDir, files);
     } catch (error) {
-      console.error('Error reading results from repo:', error);
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      this.logger.error('Error reading results from repo', { error });
+    }
+    
+    const results = groupResults(files, resultsDir);
+    for (const researcher of Object.keys(results)) {
+      if (names && !names.includes(researcher)) {
+        delete results[researcher];
+      }
     }
     
     return results;
   }
   
-  async triggerSingleResearcher(researcher, improvement) {
-    try {
-      // Create improvement task file
-      await this.saveToRepo(
-        `improvements/${researcher}-improvement.md`,
-        improvement,
-        `Improvement task for ${researcher}`
-      );
-      
-      // Trigger single researcher workflow
-      await this.octokit.request(
-        'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches',
-        {
-          owner: this.owner,
-          repo: this.repo,
-          workflow_id: 'mcp-lite-build.yml',
-          ref: this.projectBranch,
-          inputs: {
-            researchers: JSON.stringify([researcher]),
-            plan_path: 'plans/final-plan.json',
-            issue_number: String(this.issueNumber),
-            improvement_mode: 'true'
+  async readResultFiles(dir, files, depth = 0) {
+    const { data: contents } = await this.octokit.request(
+      'GET /repos/{owner}/{repo}/contents/{path}',
+      {
+        owner: this.owner,
+        repo: this.repo,
+        path: dir,
+        ref: this.projectBranch
+      }
+    );
+    
+    for (const entry of contents) {
+      if (entry.type === 'dir' && depth < MAX_RESULTS_DEPTH) {
+        await this.readResultFiles(entry.path, files, depth + 1);
+      } else if (entry.type === 'file' && isResultFile(entry.path)) {
+        const { data: file } = await this.octokit.request(
+          'GET /repos/{owner}/{repo}/contents/{path}',
+          {
+            owner: this.owner,
+            repo: this.repo,
+            path: entry.path,
+            ref: this.projectBranch
           }
-        }
-      );
-      
-      // Wait for completion
-      await this.waitForWorkflowCompletion('research');
+        );
+        files.push({ path: entry.path, content: Buffer.from(file.content, 'base64') });
+      }
+    }
+  }
+  
+  // Extracts an artifact in memory. Resolves to the researcher's typed result,
+  // or null when the artifact holds no result files or cannot be read.
+  async downloadArtifact(artifactId, researcher) {
+    try {
+      return buildResult(researcher, await this.downloadArtifactFiles(artifactId, isResultFile));
     } catch (error) {
-      console.error('Error triggering single researcher:', error);
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      this.logger.error(`Error downloading artifact ${artifactId}`, { error });
+      return null;
     }
   }
   
-  async downloadArtifact(artifactId) {
+  async downloadArtifactFiles(artifactId, filter) {
+    const { data } = await this.octokit.request(
+      'GET /repos/{owner}/{repo}/actions/artifacts/{artifact_id}/{archive_format}',
+      {
+        owner: this.owner,
+        repo: this.repo,
+        artifact_id: artifactId,
+        archive_format: 'zip'
+      }
+    );
+    
+    return extractZip(Buffer.from(data), { filter });
+  }
+  
+  // Report files from the `<job>-reports` artifacts of one verification run,
+  // leaving out jobs that failed
+  async collectReportFiles(workflowRunId, failedJobs) {
+    const files = [];
+    
     try {
-      // Download artifact as zip
-      const { data } = await this.octokit.request(
-        'GET /repos/{owner}/{repo}/actions/artifacts/{artifact_id}/{archive_format}',
+      const { data: artifacts } = await this.octokit.request(
+        'GET /repos/{owner}/{repo}/actions/runs/{run_id}/artifacts',
         {
           owner: this.owner,
           repo: this.repo,
-          artifact_id: artifactId,
-          archive_format: 'zip'
+          run_id: workflowRunId,
+          per_page: 100
         }
       );
       
-      // Create temporary file
-      const tempFile = `/tmp/artifact-${artifactId}.zip`;
-      await fs.writeFile(tempFile, Buffer.from(data));
-      
-      // Extract zip using command line
-      const extractDir = `/tmp/artifact-${artifactId}`;
-      await execAsync(`mkdir -p ${extractDir} && unzip -o ${tempFile} -d ${extractDir}`);
-      
-      // Read JSON files from extracted directory
-      const files = await fs.readdir(extractDir);
-      const results = {};
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = await fs.readFile(path.join(extractDir, file), 'utf8');
-          const key = file.replace('.json', '');
-          results[key] = JSON.parse(content);
+      for (const artifact of artifacts.artifacts) {
+        const job = artifact.name.replace(/-reports$/, '');
+        if (job === artifact.name || failedJobs.includes(job)) {
+          continue;
+        }
+        try {
+          files.push(...await this.downloadArtifactFiles(artifact.id, isReportFile));
+        } catch (error) {
+          if (isRateLimitError(error)) {
+            throw error;
+          }
+          this.logger.error(`Error downloading artifact ${artifact.name}`, { error });
         }
       }
-      
-      // Cleanup
-      await execAsync(`rm -rf ${tempFile} ${extractDir}`);
-      
-      return results;
     } catch (error) {
-      console.error('Error downloading artifact:', error);
-      return {};
+      if (isRateLimitError(error)) {
+        throw error;
+      }
+      this.logger.error('Error collecting reports', { error });
     }
+    
+    return files;
   }
 }
 
@@ -1,6 +1,16 @@
-const crypto = require('crypto');
+const { createRunStore } = require('../lib/run-store');
+const { routeEvent } = require('../lib/events');
+const { verifySignature, readRawBody, parsePayload } = require('../lib/webhook-verification');
+const { logger, withLogContext } = require('../lib/logger');
+const { renderMetrics } = require('../lib/metrics');
+const { isOperatorRequest, handleOperatorRequest, checkOperatorToken } = require('../lib/operator');
 
 module.exports = async (req, res) => {
+  // Run inspection and control for operators, behind their own token
+  if (isOperatorRequest(req)) {
+    return handleOperatorRequest(req, res, { store: getRunStore() });
+  }
+  
   // Handle different HTTP methods
   if (req.method === 'GET') {
     if (req.url === '/health') {
@@ -16,12 +26,30 @@ module.exports = async (req, res) => {
       });
     }
     
+    // Run counts and timings are for operators, so behind the same token
+    if (req.url === '/metrics') {
+      if (!checkOperatorToken(req, res)) {
+        return;
+      }
+      
+      try {
+        const body = renderMetrics(await getRunStore().list());
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        return res.status(200).send(body);
+      } catch (error) {
+        logger.error('Error rendering metrics', { error });
+        return res.status(500).send(error.message);
+      }
+    }
+    
     return res.status(200).json({
       name: 'MCP-LITE V2.5 GitHub App',
       version: '1.0.0',
       status: 'operational',
       endpoints: {
         health: '/health',
+        metrics: '/metrics',
+        runs: '/runs',
         webhooks: '/api/github/webhooks'
       },
       documentation: 'https://github.com/AnFrIT/mcp-lite-github-app'
@@ -32,138 +60,70 @@ module.exports = async (req, res) => {
     return res.status(405).send('Method not allowed');
   }
   
+  let recordedDelivery = null;
   try {
-    // Verify webhook signature
+    // Never accept unsigned webhooks because of a missing configuration
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      logger.error('GITHUB_WEBHOOK_SECRET is not set, rejecting webhook');
+      return res.status(500).send('Webhook secret not configured');
+    }
+    
+    // Verify webhook signature over the exact bytes GitHub sent
     const signature = req.headers['x-hub-signature-256'];
     if (!signature) {
       return res.status(401).send('Missing signature');
     }
     
-    const secret = process.env.GITHUB_WEBHOOK_SECRET;
-    const payload = JSON.stringify(req.body);
-    const expectedSignature = 'sha256=' + crypto
-      .createHmac('sha256', secret)
-      .update(payload)
-      .digest('hex');
-    
-    if (signature !== expectedSignature) {
+    const rawBody = await readRawBody(req);
+    if (!verifySignature(secret, rawBody, signature)) {
       return res.status(401).send('Invalid signature');
     }
     
+    const payload = parsePayload(rawBody, req.headers['content-type']);
+    
     // Get event type
     const event = req.headers['x-github-event'];
-    console.log(`Received ${event} webhook`);
+    const deliveryId = req.headers['x-github-delivery'];
+    logger.info(`Received ${event} webhook`, { deliveryId, event });
     
-    // Handle different events
-    if (event === 'issues' && req.body.action === 'opened') {
-      // Check for claude-build label
-      if (!req.body.issue.labels?.some(label => label.name === 'claude-build')) {
-        console.log('Issue does not have claude-build label, skipping');
-        return res.status(200).send('OK - No claude-build label');
-      }
-      
-      console.log(`Processing issue #${req.body.issue.number}: ${req.body.issue.title}`);
-      
-      // Process asynchronously to avoid timeout
-      processIssue(req.body).catch(error => {
-        console.error('Error processing issue:', error);
-      });
-      
-      return res.status(200).send('OK - Processing started');
-    } else if (event === 'issue_comment' && req.body.action === 'created') {
-      if (req.body.comment.body.includes('APPROVED')) {
-        processApproval(req.body).catch(error => {
-          console.error('Error processing approval:', error);
-        });
-        return res.status(200).send('OK - Approval processed');
+    // Ignore replays and redeliveries of events we already handled. The ID is
+    // taken before handling so concurrent redeliveries cannot both run, and
+    // given back below if handling fails.
+    if (deliveryId) {
+      if (!(await getRunStore().recordDelivery(deliveryId))) {
+        logger.info('Delivery already processed, skipping', { deliveryId, event });
+        return res.status(200).send('OK - Duplicate delivery');
       }
+      recordedDelivery = deliveryId;
     }
     
-    res.status(200).send('OK');
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send(error.message);
-  }
-};
-
-async function processIssue(payload) {
-  try {
-    // Dynamic imports for ESM modules
-    const { Octokit } = await import('octokit');
-    const { createAppAuth } = await import('@octokit/auth-app');
-    
-    const octokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: parseInt(process.env.GITHUB_APP_ID),
-        privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
-        installationId: payload.installation.id
-      }
+    // Hand the event to its handler. Each handler advances the matching run
+    // by one step and finishes before responding, since the function may be
+    // frozen once the response has been sent. Everything it logs carries the
+    // delivery ID.
+    const result = await withLogContext({ deliveryId, event }, async () => {
+      const span = logger.span('delivery', { action: payload.action });
+      const handled = await routeEvent(event, payload, { store: getRunStore() });
+      span.end({ result: handled });
+      return handled;
     });
     
-    // Import orchestrator
-    const { MCPLiteOrchestrator } = require('./orchestrator');
-    
-    // Create orchestrator instance
-    const orchestrator = new MCPLiteOrchestrator(
-      octokit,
-      payload.repository.owner.login,
-      payload.repository.name,
-      payload.issue.number
-    );
-    
-    // Process request
-    await orchestrator.processRequest(payload.issue.body || '');
+    res.status(200).send(result);
   } catch (error) {
-    console.error('Error in processIssue:', error);
-    
-    // Try to comment on issue about error
-    try {
-      const { Octokit } = await import('octokit');
-      const { createAppAuth } = await import('@octokit/auth-app');
-      
-      const octokit = new Octokit({
-        authStrategy: createAppAuth,
-        auth: {
-          appId: parseInt(process.env.GITHUB_APP_ID),
-          privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
-          installationId: payload.installation.id
-        }
-      });
-      
-      await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
-        owner: payload.repository.owner.login,
-        repo: payload.repository.name,
-        issue_number: payload.issue.number,
-        body: `❌ Error processing request: ${error.message}`
+    logger.error('Webhook error', { error });
+    if (recordedDelivery) {
+      await getRunStore().forgetDelivery(recordedDelivery).catch(forgetError => {
+        logger.error('Error forgetting delivery', { error: forgetError, deliveryId: recordedDelivery });
       });
-    } catch (commentError) {
-      console.error('Error posting error comment:', commentError);
     }
+    res.status(500).send(error.message);
   }
-}
+};
 
-async function processApproval(payload) {
-  try {
-    const { Octokit } = await import('octokit');
-    const { createAppAuth } = await import('@octokit/auth-app');
-    
-    const octokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: parseInt(process.env.GITHUB_APP_ID),
-        privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
-        installationId: payload.installation.id
-      }
-    });
-    
-    await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
-      owner: payload.repository.owner.login,
-      repo: payload.repository.name,
-      issue_number: payload.issue.number,
-      body: '✅ Project completed successfully!'
-    });
-  } catch (error) {
-    console.error('Error processing approval:', error);
-  }
-}
\ No newline at end of file
+let runStore;
+
+function getRunStore() {
+  runStore = runStore || createRunStore();
+  return runStore;
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Local tooling: the development server, replay of saved deliveries, and a
+// runner that drives one issue's run without webhooks.
+
+require('dotenv').config({ quiet: true });
+
+const { parseArgs } = require('util');
+
+const { logger, withLogContext } = require('../lib/logger');
+
+const USAGE = `Usage: mcp-lite <command> [options]
+
+Commands:
+  serve                      Run the webhook handler on a local port
+    --port <port>            Port to listen on (default $PORT or 3000)
+    --record <dir>           Save every delivery to <dir> for replay
+    --dry-run                Capture GitHub writes instead of sending them
+    --transcript <file>      Keep the dry run transcript in <file> (.md or .json)
+
+  replay <file>...           Send saved deliveries to a running server
+    --url <url>              Webhook URL (default http://localhost:3000/api/github/webhooks)
+    --event <name>           Event of files holding a bare payload
+
+  run                        Drive the run of one issue from this machine
+    --repo <owner/repo>      Repository of the issue
+    --issue <number>         Issue to run
+    --from-phase <phase>     Restart the run at a phase (number or alias)
+    --to-phase <phase>       Pause the run once this phase is done
+    --provider <name>        Model provider (default from MCP_MODEL_PROVIDER)
+    --gates <phases>         Approval gates, as MCP_APPROVAL_GATES
+    --approve                Approve the run at every gate
+    --poll <seconds>         Interval between checks for comments and workflows (default 15)
+    --dry-run                Capture GitHub writes instead of sending them; stops at the first wait
+    --transcript <file>      Write the dry run transcript to <file> (.md or .json) instead of stdout
+`;
+
+const COMMANDS = {
+  serve: {
+    options: {
+      port: { type: 'string' },
+      record: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      transcript: { type: 'string' }
+    },
+    action: serve
+  },
+  replay: {
+    options: {
+      url: { type: 'string' },
+      event: { type: 'string' }
+    },
+    action: replay
+  },
+  run: {
+    options: {
+      repo: { type: 'string' },
+      issue: { type: 'string' },
+      'from-phase': { type: 'string' },
+      'to-phase': { type: 'string' },
+      provider: { type: 'string' },
+      gates: { type: 'string' },
+      approve: { type: 'boolean', default: false },
+      poll: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      transcript: { type: 'string' }
+    },
+    action: run
+  }
+};
+
+// A dry run keeps its runs in memory, so they cannot be mistaken for real ones
+function startDryRunIfAsked(values) {
+  if (!values['dry-run']) {
+    return null;
+  }
+  const { startDryRun } = require('../lib/dry-run');
+
+  process.env.MCP_RUN_STORE = 'memory';
+  return startDryRun();
+}
+
+async function serve({ values }) {
+  const { createServer, DEFAULT_PORT } = require('../lib/server');
+
+  const dryRun = startDryRunIfAsked(values);
+  const port = Number(values.port || process.env.PORT || DEFAULT_PORT);
+  const server = createServer({
+    recordDir: values.record || null,
+    dryRun,
+    transcriptFile: values.transcript || null
+  });
+  server.listen(port, () => {
+    logger.info(`MCP-LITE listening on http://localhost:${port}${dryRun ? ' (dry run)' : ''}`);
+  });
+}
+
+async function replay({ values, positionals }) {
+  const { readDelivery, replayDelivery, DEFAULT_WEBHOOK_URL } = require('../lib/server');
+
+  if (positionals.length === 0) {
+    throw new Error('Name at least one saved delivery to replay');
+  }
+
+  for (const file of positionals) {
+    const delivery = readDelivery(file, values.event || null);
+    const { status, body } = await replayDelivery(delivery, { url: values.url || DEFAULT_WEBHOOK_URL });
+    process.stdout.write(`${file}: ${delivery.event} -> ${status} ${body}\n`);
+  }
+}
+
+async function run({ values }) {
+  const { MCPLiteOrchestrator } = require('../api/orchestrator');
+  const { createRepositoryOctokit } = require('../lib/github');
+  const { loadConfig } = require('../lib/config');
+  const { createRunStore } = require('../lib/run-store');
+  const { createProvider } = require('../lib/providers');
+  const { resolveGates } = require('../lib/pipeline');
+  const { LocalRunner, POLL_INTERVAL } = require('../lib/runner');
+  const { renderTranscript, writeTranscript } = require('../lib/dry-run');
+
+  const [owner, repo] = (values.repo || '').split('/');
+  const issueNumber = Number(values.issue);
+  if (!owner || !repo || !Number.isInteger(issueNumber)) {
+    throw new Error('run needs --repo <owner/repo> and --issue <number>');
+  }
+  const dryRun = startDryRunIfAsked(values);
+
+  const { octokit, installationId } = await createRepositoryOctokit(owner, repo);
+  const { config, errors } = await loadConfig(octokit, owner, repo);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${owner}/${repo}: ${errors.join('; ')}`);
+  }
+  const { data: issue } = await octokit.request('GET /repos/{owner}/{repo}/issues/{issue_number}', {
+    owner,
+    repo,
+    issue_number: issueNumber
+  });
+
+  const orchestrator = new MCPLiteOrchestrator(octokit, owner, repo, issueNumber, {
+    installationId,
+    store: createRunStore(),
+    config,
+    provider: createProvider({ octokit, owner, repo, name: values.provider }),
+    gates: values.gates !== undefined ? resolveGates(values.gates) : undefined,
+    untilPhase: values['to-phase']
+  });
+  const runner = new LocalRunner(orchestrator, {
+    approve: values.approve,
+    approver: process.env.USER || 'local',
+    pollInterval: values.poll ? Number(values.poll) * 1000 : POLL_INTERVAL,
+    // Nothing dispatched or commented in a dry run will ever answer
+    poll: !dryRun
+  });
+
+  try {
+    await withLogContext({ repository: `${owner}/${repo}`, issue: issueNumber }, () =>
+      runner.run({ requirements: issue.body || '', fromPhase: values['from-phase'] || null })
+    );
+    process.stdout.write(`${await orchestrator.status()}\n`);
+  } finally {
+    if (dryRun && values.transcript) {
+      writeTranscript(dryRun, values.transcript);
+    } else if (dryRun) {
+      process.stdout.write(renderTranscript(dryRun));
+    }
+  }
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  const command = COMMANDS[name];
+  if (!command) {
+    process.stdout.write(USAGE);
+    return name === undefined || name === 'help' || name === '--help' ? 0 : 1;
+  }
+
+  const parsed = parseArgs({ args, options: command.options, allowPositionals: true });
+  await command.action(parsed);
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    logger.error(error.message, { error });
+    process.exitCode = 1;
+  });
@@ -0,0 +1,54 @@
+// Per-run limits on model calls, workflow dispatches and wall-clock time.
+// A run records what it has used in `run.usage`; `run.budget` holds the
+// limits it may use up to. Reaching one pauses the run until someone resumes
+// it, which grants another allowance of the same size.
+
+const USAGE_LABELS = {
+  modelCalls: 'model calls',
+  dispatches: 'workflow dispatches'
+};
+
+function createUsage() {
+  return { modelCalls: 0, dispatches: 0 };
+}
+
+// Limits from the `budget` config, counted from `usage` and `now`. A limit of
+// 0 means no limit.
+function grantBudget(limits, usage = createUsage(), now = Date.now()) {
+  return {
+    modelCalls: limits.modelCalls > 0 ? usage.modelCalls + limits.modelCalls : null,
+    dispatches: limits.dispatches > 0 ? usage.dispatches + limits.dispatches : null,
+    deadline: limits.hours > 0 ? new Date(now + limits.hours * 60 * 60 * 1000).toISOString() : null
+  };
+}
+
+// Why the run cannot go on, or null while it is within its budget. Runs from
+// before budgets existed have none.
+function budgetExceeded(run, now = Date.now()) {
+  const { budget } = run;
+  const usage = run.usage || createUsage();
+  if (!budget) {
+    return null;
+  }
+
+  for (const key of Object.keys(USAGE_LABELS)) {
+    if (budget[key] !== null && usage[key] >= budget[key]) {
+      return `used its budget of ${budget[key]} ${USAGE_LABELS[key]}`;
+    }
+  }
+  if (budget.deadline && now >= Date.parse(budget.deadline)) {
+    return `ran past its time budget (${budget.deadline})`;
+  }
+  return null;
+}
+
+function describeUsage(run) {
+  const usage = run.usage || createUsage();
+  const budget = run.budget || {};
+
+  return Object.entries(USAGE_LABELS)
+    .map(([key, label]) => `${usage[key]}${budget[key] ? `/${budget[key]}` : ''} ${label}`)
+    .join(', ');
+}
+
+module.exports = { createUsage, grantBudget, budgetExceeded, describeUsage };
@@ -0,0 +1,298 @@
+// Writes files to a branch as a single commit through the Git Data API
+// (blobs, tree, commit, ref update) instead of one contents API commit per
+// file.
+
+const { logger } = require('./logger');
+
+// Ref updates lost to a concurrent push are retried on the new head
+const MAX_COMMIT_ATTEMPTS = 3;
+
+class Changeset {
+  constructor(octokit, owner, repo, branch) {
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = branch;
+    this.files = new Map();
+    // Blob SHAs by path, kept across retries
+    this.blobs = new Map();
+  }
+
+  // Adds or replaces a file. `content` is a string or a Buffer.
+  add(filePath, content) {
+    this.files.set(normalizePath(filePath), content);
+    return this;
+  }
+
+  // Removes a file in the commit
+  delete(filePath) {
+    this.files.set(normalizePath(filePath), null);
+    return this;
+  }
+
+  get size() {
+    return this.files.size;
+  }
+
+  // Resolves to the new commit SHA, or null when there was nothing to commit.
+  async commit(message) {
+    if (this.files.size === 0) {
+      return null;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const parent = await this.headCommit();
+      const tree = await this.createTree(parent.treeSha);
+
+      if (tree === parent.treeSha) {
+        logger.info(`No changes to commit on ${this.branch}`);
+        return null;
+      }
+
+      const { data: commit } = await this.octokit.request('POST /repos/{owner}/{repo}/git/commits', {
+        owner: this.owner,
+        repo: this.repo,
+        message,
+        tree,
+        parents: [parent.sha]
+      });
+
+      try {
+        await this.octokit.request('PATCH /repos/{owner}/{repo}/git/refs/{ref}', {
+          owner: this.owner,
+          repo: this.repo,
+          ref: `heads/${this.branch}`,
+          sha: commit.sha,
+          force: false
+        });
+        logger.info(`Committed ${this.files.size} file(s) to ${this.branch}: ${commit.sha}`);
+        return commit.sha;
+      } catch (error) {
+        // 422: the branch moved since we read it (not a fast-forward)
+        if (error.status !== 422 || attempt >= MAX_COMMIT_ATTEMPTS) {
+          throw error;
+        }
+        logger.info(`${this.branch} moved during commit, retrying (${attempt}/${MAX_COMMIT_ATTEMPTS})`);
+      }
+    }
+  }
+
+  async headCommit() {
+    const { data: ref } = await this.octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', {
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${this.branch}`
+    });
+    const { data: commit } = await this.octokit.request('GET /repos/{owner}/{repo}/git/commits/{commit_sha}', {
+      owner: this.owner,
+      repo: this.repo,
+      commit_sha: ref.object.sha
+    });
+
+    return { sha: commit.sha, treeSha: commit.tree.sha };
+  }
+
+  async createTree(baseTree) {
+    const modes = await this.fileModes(baseTree);
+    const tree = [];
+
+    for (const [filePath, content] of this.files) {
+      tree.push({
+        path: filePath,
+        // Updated executables and symlinks stay what they were
+        mode: modes.get(filePath) || '100644',
+        type: 'blob',
+        sha: content === null ? null : await this.blob(filePath, content)
+      });
+    }
+
+    const { data } = await this.octokit.request('POST /repos/{owner}/{repo}/git/trees', {
+      owner: this.owner,
+      repo: this.repo,
+      base_tree: baseTree,
+      tree
+    });
+    return data.sha;
+  }
+
+  // Modes of the files this changeset updates, by path, as they are in
+  // `baseTree`
+  async fileModes(baseTree) {
+    const modes = new Map();
+    if (![...this.files.values()].some(content => content !== null)) {
+      return modes;
+    }
+
+    const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/git/trees/{tree_sha}', {
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: baseTree,
+      recursive: 'true'
+    });
+    if (data.truncated) {
+      logger.info(`The tree of ${this.branch} is too large to list completely, some file modes may be reset`);
+    }
+
+    for (const entry of data.tree) {
+      if (entry.type === 'blob' && this.files.has(entry.path)) {
+        modes.set(entry.path, entry.mode);
+      }
+    }
+    return modes;
+  }
+
+  async blob(filePath, content) {
+    if (!this.blobs.has(filePath)) {
+      const { data } = await this.octokit.request('POST /repos/{owner}/{repo}/git/blobs', {
+        owner: this.owner,
+        repo: this.repo,
+        content: Buffer.from(content).toString('base64'),
+        encoding: 'base64'
+      });
+      this.blobs.set(filePath, data.sha);
+    }
+    return this.blobs.get(filePath);
+  }
+}
+
+function normalizePath(filePath) {
+  const normalized = filePath.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+  if (!normalized || normalized.split('/').some(part => part === '..' || part === '.git')) {
+    throw new Error(`Invalid file path: ${filePath}`);
+  }
+  return normalized;
+}
+
+// Creates `branch` from the head of `baseBranch`. An existing branch is left
+// as it is.
+async function ensureBranch(octokit, owner, repo, branch, baseBranch) {
+  const { data: base } = await octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', {
+    owner,
+    repo,
+    ref: `heads/${baseBranch}`
+  });
+
+  try {
+    await octokit.request('POST /repos/{owner}/{repo}/git/refs', {
+      owner,
+      repo,
+      ref: `refs/heads/${branch}`,
+      sha: base.object.sha
+    });
+    return true;
+  } catch (error) {
+    if (error.status === 422) {
+      // Branch already exists
+      logger.info(`Branch ${branch} already exists`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function headSha(octokit, owner, repo, branch) {
+  const { data: ref } = await octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', {
+    owner,
+    repo,
+    ref: `heads/${branch}`
+  });
+  return ref.object.sha;
+}
+
+// Puts the files of commit `sha` back on `branch` as a new commit on top of
+// its head, so the history in between is kept. Resolves to the new commit
+// SHA, or null when the branch already has those files.
+async function restoreCommit(octokit, owner, repo, branch, sha, message) {
+  const { data: target } = await octokit.request('GET /repos/{owner}/{repo}/git/commits/{commit_sha}', {
+    owner,
+    repo,
+    commit_sha: sha
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const head = await headSha(octokit, owner, repo, branch);
+    const { data: parent } = await octokit.request('GET /repos/{owner}/{repo}/git/commits/{commit_sha}', {
+      owner,
+      repo,
+      commit_sha: head
+    });
+    if (parent.tree.sha === target.tree.sha) {
+      return null;
+    }
+
+    const { data: commit } = await octokit.request('POST /repos/{owner}/{repo}/git/commits', {
+      owner,
+      repo,
+      message,
+      tree: target.tree.sha,
+      parents: [head]
+    });
+
+    try {
+      await octokit.request('PATCH /repos/{owner}/{repo}/git/refs/{ref}', {
+        owner,
+        repo,
+        ref: `heads/${branch}`,
+        sha: commit.sha,
+        force: false
+      });
+      return commit.sha;
+    } catch (error) {
+      if (error.status !== 422 || attempt >= MAX_COMMIT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Paths of the files on `branch` under any of the `prefixes` (directories
+// ending in '/')
+async function listFiles(octokit, owner, repo, branch, prefixes) {
+  const head = await headSha(octokit, owner, repo, branch);
+  const { data: commit } = await octokit.request('GET /repos/{owner}/{repo}/git/commits/{commit_sha}', {
+    owner,
+    repo,
+    commit_sha: head
+  });
+  const { data: tree } = await octokit.request('GET /repos/{owner}/{repo}/git/trees/{tree_sha}', {
+    owner,
+    repo,
+    tree_sha: commit.tree.sha,
+    recursive: 'true'
+  });
+  if (tree.truncated) {
+    logger.info(`The tree of ${branch} is too large to list completely`);
+  }
+
+  return tree.tree
+    .filter(entry => entry.type === 'blob' && prefixes.some(prefix => entry.path.startsWith(prefix)))
+    .map(entry => entry.path);
+}
+
+// Resolves to false when the branch did not exist
+async function deleteBranch(octokit, owner, repo, branch) {
+  try {
+    await octokit.request('DELETE /repos/{owner}/{repo}/git/refs/{ref}', {
+      owner,
+      repo,
+      ref: `heads/${branch}`
+    });
+    return true;
+  } catch (error) {
+    // GitHub answers 422 for a ref that does not exist
+    if (error.status === 404 || error.status === 422) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  Changeset,
+  ensureBranch,
+  headSha,
+  restoreCommit,
+  listFiles,
+  deleteBranch,
+  MAX_COMMIT_ATTEMPTS
+};
@@ -0,0 +1,132 @@
+// `/mcp <command> [args]` comments on issues and pull requests.
+
+const { logger } = require('./logger');
+
+// GitHub collaborator permission levels, lowest first
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+const COMMANDS = {
+  status: {
+    usage: '/mcp status',
+    permission: 'read',
+    run: orchestrator => orchestrator.status()
+  },
+  retry: {
+    usage: '/mcp retry [phase]',
+    permission: 'write',
+    run: (orchestrator, [phase]) => orchestrator.retry(phase)
+  },
+  skip: {
+    usage: '/mcp skip [phase]',
+    permission: 'write',
+    run: (orchestrator, [phase]) => orchestrator.skip(phase)
+  },
+  resume: {
+    usage: '/mcp resume',
+    permission: 'write',
+    run: orchestrator => orchestrator.resume()
+  },
+  replan: {
+    usage: '/mcp replan',
+    permission: 'write',
+    run: orchestrator => orchestrator.replan()
+  },
+  cancel: {
+    usage: '/mcp cancel [none|files|branch]',
+    permission: 'write',
+    run: (orchestrator, [cleanup]) => orchestrator.cancel(null, cleanup)
+  },
+  approve: {
+    usage: '/mcp approve',
+    permission: 'write',
+    run: (orchestrator, args, user) => orchestrator.approve(user)
+  },
+  'request-changes': {
+    usage: '/mcp request-changes <feedback>',
+    permission: 'write',
+    run: (orchestrator, args, user, text) => orchestrator.requestChanges(user, text)
+  },
+  'rerun-verifier': {
+    usage: '/mcp rerun-verifier <name>',
+    permission: 'write',
+    run: (orchestrator, [verifier]) => {
+      if (!verifier) {
+        throw new Error('Name the verifier to re-run');
+      }
+      return orchestrator.rerunVerifier(verifier);
+    }
+  }
+};
+
+// Finds the first `/mcp ...` line in a comment. Returns null when there is none.
+// `args` are the words after the command name on that line; `text` is
+// everything after the name, including any following lines.
+function parseCommand(body) {
+  const match = /^[ \t]*\/mcp\b[ \t]*([^\n]*)([\s\S]*)$/m.exec(body || '');
+  if (!match) {
+    return null;
+  }
+
+  const [name, ...args] = match[1].trim().split(/\s+/).filter(Boolean);
+  const text = `${match[1].trim().slice((name || '').length)}${match[2]}`.trim();
+  return { name: (name || '').toLowerCase(), args, text };
+}
+
+async function getPermission(octokit, owner, repo, username) {
+  try {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/collaborators/{username}/permission', {
+      owner,
+      repo,
+      username
+    });
+    return data.permission;
+  } catch (error) {
+    if (error.status === 404) {
+      // Not a collaborator
+      return 'none';
+    }
+    throw error;
+  }
+}
+
+function hasPermission(actual, required) {
+  return PERMISSION_LEVELS.indexOf(actual) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+function helpText() {
+  return [
+    '**MCP-LITE commands**',
+    ...Object.values(COMMANDS).map(command => `- \`${command.usage}\``)
+  ].join('\n');
+}
+
+// Checks the commenter's permission and runs the command against the
+// orchestrator. Always resolves to the reply to post; failures become replies.
+async function executeCommand({ octokit, owner, repo, user, command, orchestrator }) {
+  const definition = COMMANDS[command.name];
+  if (!definition) {
+    return `❓ Unknown command \`${command.name || ''}\`\n\n${helpText()}`;
+  }
+
+  const permission = await getPermission(octokit, owner, repo, user);
+  if (!hasPermission(permission, definition.permission)) {
+    return `🚫 @${user} needs ${definition.permission} permission to run \`${definition.usage}\` (has ${permission})`;
+  }
+
+  try {
+    const result = await definition.run(orchestrator, command.args, user, command.text);
+    return `✅ ${result}`;
+  } catch (error) {
+    logger.error(`Error running /mcp ${command.name}`, { error });
+    return `❌ \`/mcp ${command.name}\` failed: ${error.message}`;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  PERMISSION_LEVELS,
+  parseCommand,
+  getPermission,
+  hasPermission,
+  executeCommand
+};
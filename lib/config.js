@@ -0,0 +1,274 @@
+// Per-repository settings from `.github/mcp-lite.yml` on the default branch.
+// Every key is optional; missing ones fall back to DEFAULT_CONFIG.
+
+const YAML = require('yaml');
+
+const { validate } = require('./schemas');
+const { PROMPTS_DIR, loadPromptOverrides } = require('./prompts');
+const { resolveRoles, rolesOf } = require('./roles');
+
+const CONFIG_PATH = '.github/mcp-lite.yml';
+
+const DEFAULT_CONFIG = {
+  label: 'claude-build',
+  baseBranch: 'main',
+  branchPattern: 'project-{issue}',
+  qualityThreshold: 95,
+  // Runs of the repository active at once; more wait in a queue. 0 means no
+  // limit.
+  maxActiveRuns: 3,
+  iterations: {
+    plan: 5,
+    research: 3,
+    devPlan: 3,
+    verification: 5
+  },
+  workflows: {
+    research: 'research.yml',
+    development: 'development.yml',
+    // Lint, tests and scanners run before the verifiers; '' to skip
+    verification: 'verification.yml',
+    // Re-runs of failed jobs per dispatch
+    retries: 1,
+    // Share of jobs that must succeed for the phase to go on
+    quorum: 1
+  },
+  verifiers: [
+    'code-quality-verifier',
+    'security-verifier',
+    'performance-verifier'
+  ],
+  // What cancelling a run removes besides stopping its workflows: 'none',
+  // 'files' (the generated plans, research, improvements and reports) or
+  // 'branch' (the whole project branch)
+  cleanup: 'none',
+  // Per run; reaching a limit pauses the run. 0 means no limit.
+  budget: {
+    modelCalls: 150,
+    dispatches: 30,
+    hours: 72
+  },
+  scoring: {
+    // Weight per dimension (verifier or check name), 1 when not listed
+    weights: {},
+    // Score a dimension must reach whatever the overall quality
+    minimums: {},
+    // Iterations without improvement before a loop stops; 0 never stops early
+    patience: 2,
+    // Points the best score must rise by to count as improvement
+    minImprovement: 1
+  },
+  // Prompt template overrides from PROMPTS_DIR, keyed by template name; not
+  // set in the config file
+  prompts: {}
+};
+
+const CLEANUP_MODES = ['none', 'files', 'branch'];
+
+const iterationCap = { type: 'number', minimum: 1, maximum: 20 };
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    label: { type: 'string' },
+    baseBranch: { type: 'string' },
+    branchPattern: { type: 'string' },
+    qualityThreshold: { type: 'number', minimum: 0, maximum: 100 },
+    maxActiveRuns: { type: 'number', minimum: 0 },
+    iterations: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        plan: iterationCap,
+        research: iterationCap,
+        devPlan: iterationCap,
+        verification: iterationCap
+      }
+    },
+    workflows: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        research: { type: 'string' },
+        development: { type: 'string' },
+        verification: { type: 'string' },
+        retries: { type: 'number', minimum: 0, maximum: 5 },
+        quorum: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    verifiers: { type: 'array', items: { type: 'string' } },
+    cleanup: { type: 'string' },
+    budget: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        modelCalls: { type: 'number', minimum: 0 },
+        dispatches: { type: 'number', minimum: 0 },
+        hours: { type: 'number', minimum: 0 }
+      }
+    },
+    scoring: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        weights: { type: 'object' },
+        minimums: { type: 'object' },
+        patience: { type: 'number', minimum: 0, maximum: 20 },
+        minImprovement: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    }
+  }
+};
+
+// Checks the schema cannot express
+function checkValues(config) {
+  const errors = [];
+  if (typeof config !== 'object') {
+    return errors;
+  }
+
+  if (config.branchPattern !== undefined && !String(config.branchPattern).includes('{issue}')) {
+    errors.push('$.branchPattern must contain {issue}');
+  }
+  for (const [key, value] of Object.entries(config.iterations || {})) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      errors.push(`$.iterations.${key} must be a whole number`);
+    }
+  }
+  if (typeof config.maxActiveRuns === 'number' && !Number.isInteger(config.maxActiveRuns)) {
+    errors.push('$.maxActiveRuns must be a whole number');
+  }
+  if (config.workflows && typeof config.workflows.retries === 'number' && !Number.isInteger(config.workflows.retries)) {
+    errors.push('$.workflows.retries must be a whole number');
+  }
+  if (Array.isArray(config.verifiers) && config.verifiers.length === 0) {
+    errors.push('$.verifiers must name at least one verifier');
+  } else if (Array.isArray(config.verifiers)) {
+    const { unknown } = resolveRoles(config.verifiers, 'verifier');
+    if (unknown.length > 0) {
+      errors.push(`$.verifiers has unknown verifiers: ${unknown.join(', ')} (known: ${rolesOf('verifier').join(', ')})`);
+    }
+  }
+
+  if (typeof config.cleanup === 'string' && !CLEANUP_MODES.includes(config.cleanup)) {
+    errors.push(`$.cleanup must be one of: ${CLEANUP_MODES.join(', ')}`);
+  }
+
+  for (const key of ['modelCalls', 'dispatches']) {
+    if (config.budget && typeof config.budget[key] === 'number' && !Number.isInteger(config.budget[key])) {
+      errors.push(`$.budget.${key} must be a whole number`);
+    }
+  }
+
+  const scoring = config.scoring || {};
+  const scoringRules = [
+    ['weights', value => value >= 0, 'a number of 0 or more'],
+    ['minimums', value => value >= 0 && value <= 100, 'a number from 0 to 100']
+  ];
+  for (const [key, valid, expected] of scoringRules) {
+    if (scoring[key] === null || typeof scoring[key] !== 'object' || Array.isArray(scoring[key])) {
+      continue;
+    }
+    for (const [name, value] of Object.entries(scoring[key])) {
+      if (typeof value !== 'number' || !valid(value)) {
+        errors.push(`$.scoring.${key}.${name} must be ${expected}`);
+      }
+    }
+  }
+  if (typeof scoring.patience === 'number' && !Number.isInteger(scoring.patience)) {
+    errors.push('$.scoring.patience must be a whole number');
+  }
+
+  return errors;
+}
+
+// Applies defaults to a parsed config file. Returns `{ config, errors }`;
+// with errors, `config` is DEFAULT_CONFIG so callers can still act safely.
+function resolveConfig(raw) {
+  if (raw === null || raw === undefined) {
+    return { config: DEFAULT_CONFIG, errors: [] };
+  }
+
+  const errors = [...validate(CONFIG_SCHEMA, raw), ...checkValues(raw)];
+  if (errors.length > 0) {
+    return { config: DEFAULT_CONFIG, errors };
+  }
+
+  return {
+    config: {
+      ...DEFAULT_CONFIG,
+      ...raw,
+      iterations: { ...DEFAULT_CONFIG.iterations, ...raw.iterations },
+      workflows: { ...DEFAULT_CONFIG.workflows, ...raw.workflows },
+      budget: { ...DEFAULT_CONFIG.budget, ...raw.budget },
+      scoring: { ...DEFAULT_CONFIG.scoring, ...raw.scoring }
+    },
+    errors
+  };
+}
+
+function parseConfig(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    return { config: DEFAULT_CONFIG, errors: [`not valid YAML: ${error.message.split('\n')[0]}`] };
+  }
+
+  return resolveConfig(raw);
+}
+
+async function readConfigFile(octokit, owner, repo) {
+  try {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+      owner,
+      repo,
+      path: CONFIG_PATH
+    });
+    return Buffer.from(data.content, 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Reads the config file and the prompt overrides from the repository's
+// default branch. Neither has to exist. Errors name the file they are in.
+async function loadConfig(octokit, owner, repo) {
+  const text = await readConfigFile(octokit, owner, repo);
+  const { config, errors } = text === null ? { config: DEFAULT_CONFIG, errors: [] } : parseConfig(text);
+  const overrides = await loadPromptOverrides(octokit, owner, repo);
+
+  const allErrors = [...errors.map(error => `${CONFIG_PATH}: ${error}`), ...overrides.errors];
+  if (allErrors.length > 0) {
+    return { config: DEFAULT_CONFIG, errors: allErrors };
+  }
+  return { config: { ...config, prompts: overrides.prompts }, errors: [] };
+}
+
+function formatConfigErrors(errors) {
+  return `⚠️ **Invalid \`${CONFIG_PATH}\` or \`${PROMPTS_DIR}/\`**, the run was not started:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix the files on the default branch, then remove and re-add the label to start the run.`;
+}
+
+function branchName(config, issueNumber) {
+  return config.branchPattern.replace('{issue}', issueNumber);
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  CLEANUP_MODES,
+  resolveConfig,
+  parseConfig,
+  loadConfig,
+  formatConfigErrors,
+  branchName
+};
@@ -0,0 +1,435 @@
+// Dry runs: GitHub clients that read from the repository as usual but keep
+// every write in a transcript instead of sending it.
+//
+// Later steps read what earlier ones wrote (the branch, the committed files),
+// so a dry run keeps its own copy of the refs, blobs, trees, commits and pull
+// requests it created. Reads of those are answered from the copy; every
+// other read goes to GitHub. Other writes get a made-up answer with the
+// fields the app reads back, such as comment and check run IDs.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('./logger');
+
+// Made-up IDs and numbers start here, well clear of real ones
+const FIRST_ID = 900000001;
+
+function notFound(message) {
+  return Object.assign(new Error(message), { status: 404 });
+}
+
+function unprocessable(message) {
+  return Object.assign(new Error(message), { status: 422 });
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// The SHA Git gives the same content, so an unchanged file keeps its blob
+function blobSha(content) {
+  return hash(Buffer.concat([Buffer.from(`blob ${content.length}\0`), content]));
+}
+
+function shortSha(sha) {
+  return String(sha).slice(0, 7);
+}
+
+// Fills the `{name}` placeholders of a route; the rest of `params` is the body
+function expandRoute(route, params) {
+  const [method, template] = route.split(' ');
+  const used = new Set();
+  const url = template.replace(/\{(\w+)\}/g, (match, name) => {
+    used.add(name);
+    return String(params[name]);
+  });
+  const body = Object.fromEntries(Object.entries(params).filter(([name]) => !used.has(name)));
+  return { method, url, body };
+}
+
+// One line per kind of write, for logs and the report
+const DESCRIPTIONS = {
+  'POST /repos/{owner}/{repo}/issues/{issue_number}/comments': p => `Comment on #${p.issue_number}`,
+  'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}': p => `Edit comment ${p.comment_id}`,
+  'POST /repos/{owner}/{repo}/check-runs': p => `Create check run ${p.name} on ${shortSha(p.head_sha)} (${p.status})`,
+  'PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}': p => `Update check run ${p.check_run_id}${p.conclusion ? ` to ${p.conclusion}` : ''}`,
+  'POST /repos/{owner}/{repo}/git/refs': p => `Create ${p.ref} at ${shortSha(p.sha)}`,
+  'PATCH /repos/{owner}/{repo}/git/refs/{ref}': p => `Move ${p.ref} to ${shortSha(p.sha)}`,
+  'DELETE /repos/{owner}/{repo}/git/refs/{ref}': p => `Delete ${p.ref}`,
+  'POST /repos/{owner}/{repo}/git/blobs': (p, result) => `Create blob ${shortSha(result.sha)} (${Buffer.from(p.content, p.encoding === 'base64' ? 'base64' : 'utf8').length} bytes)`,
+  'POST /repos/{owner}/{repo}/git/trees': p => `Create tree: ${p.tree.map(entry => `${entry.sha === null ? 'delete' : 'write'} ${entry.path}`).join(', ')}`,
+  'POST /repos/{owner}/{repo}/git/commits': (p, result) => `Create commit ${shortSha(result.sha)}: ${p.message.split('\n')[0]}`,
+  'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches': p => `Dispatch ${p.workflow_id} on ${p.ref}`,
+  'POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs': p => `Re-run failed jobs of workflow run ${p.run_id}`,
+  'POST /repos/{owner}/{repo}/actions/runs/{run_id}/cancel': p => `Cancel workflow run ${p.run_id}`,
+  'POST /repos/{owner}/{repo}/pulls': p => `Open pull request "${p.title}" from ${p.head} into ${p.base}`
+};
+
+class DryRun {
+  constructor() {
+    this.writes = [];
+    this.reads = 0;
+    this.repositories = new Map();
+    this.nextId = FIRST_ID;
+  }
+
+  // A client with the `request` method of `octokit`
+  wrap(octokit) {
+    return {
+      request: (route, params = {}) => this.request(octokit, route, params),
+      log: octokit.log
+    };
+  }
+
+  // What this dry run wrote to one repository
+  repository(params) {
+    const key = `${params.owner}/${params.repo}`;
+    if (!this.repositories.has(key)) {
+      this.repositories.set(key, {
+        refs: new Map(),
+        blobs: new Map(),
+        trees: new Map(),
+        // Real trees the simulated ones are based on
+        baseTrees: new Map(),
+        commits: new Map(),
+        pulls: new Map()
+      });
+    }
+    return this.repositories.get(key);
+  }
+
+  id() {
+    return this.nextId++;
+  }
+
+  async request(octokit, route, params) {
+    const [method] = route.split(' ');
+
+    if (method === 'GET' || method === 'HEAD') {
+      this.reads++;
+      const read = READS[route];
+      const simulated = read ? await read(this, octokit, params) : null;
+      return simulated || await octokit.request(route, params);
+    }
+
+    const write = WRITES[route];
+    const result = write ? await write(this, octokit, params) : null;
+    this.record(route, params, result);
+    return { status: write ? 201 : 204, data: result || {} };
+  }
+
+  record(route, params, result) {
+    const { method, url, body } = expandRoute(route, params);
+    const describe = DESCRIPTIONS[route];
+    const summary = describe ? describe(params, result) : `${method} ${url}`;
+
+    this.writes.push({ at: new Date().toISOString(), method, url, route, summary, body, result });
+    logger.info(`Dry run: ${summary}`, { dryRun: { method, url } });
+  }
+
+  // The commit a ref or SHA names, when this dry run made or moved it
+  resolveRef(params, ref) {
+    const { refs, commits } = this.repository(params);
+    if (commits.has(ref)) {
+      return ref;
+    }
+    const name = ref.startsWith('heads/') ? ref : `heads/${ref}`;
+    return refs.has(name) ? refs.get(name) : undefined;
+  }
+
+  async refExists(octokit, params, name) {
+    const { refs } = this.repository(params);
+    if (refs.has(name)) {
+      return refs.get(name) !== null;
+    }
+    try {
+      await octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', { owner: params.owner, repo: params.repo, ref: name });
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Path to blob SHA of every file in a tree
+  async treeFiles(octokit, params, treeSha) {
+    const { trees, baseTrees } = this.repository(params);
+    if (trees.has(treeSha)) {
+      return trees.get(treeSha);
+    }
+    if (!baseTrees.has(treeSha)) {
+      const { data } = await octokit.request('GET /repos/{owner}/{repo}/git/trees/{tree_sha}', {
+        owner: params.owner,
+        repo: params.repo,
+        tree_sha: treeSha,
+        recursive: 'true'
+      });
+      baseTrees.set(treeSha, new Map(data.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha])));
+    }
+    return baseTrees.get(treeSha);
+  }
+
+  async blobContent(octokit, params, sha) {
+    const { blobs } = this.repository(params);
+    if (blobs.has(sha)) {
+      return blobs.get(sha);
+    }
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+      owner: params.owner,
+      repo: params.repo,
+      file_sha: sha
+    });
+    return Buffer.from(data.content, 'base64');
+  }
+
+  // A file or directory listing of the contents API, from a simulated commit
+  async contents(octokit, params, commitSha) {
+    const { commits } = this.repository(params);
+    const files = await this.treeFiles(octokit, params, commits.get(commitSha).tree);
+    const target = params.path.replace(/^\/+|\/+$/g, '');
+
+    if (files.has(target)) {
+      const content = await this.blobContent(octokit, params, files.get(target));
+      return {
+        type: 'file',
+        name: target.split('/').pop(),
+        path: target,
+        sha: files.get(target),
+        size: content.length,
+        encoding: 'base64',
+        content: content.toString('base64')
+      };
+    }
+
+    const prefix = target ? `${target}/` : '';
+    const entries = new Map();
+    for (const [filePath, sha] of files) {
+      if (!filePath.startsWith(prefix)) {
+        continue;
+      }
+      const [name, ...rest] = filePath.slice(prefix.length).split('/');
+      entries.set(name, rest.length > 0
+        ? { type: 'dir', name, path: `${prefix}${name}`, sha: null }
+        : { type: 'file', name, path: `${prefix}${name}`, sha });
+    }
+    if (entries.size === 0) {
+      throw notFound(`Not Found: ${target}`);
+    }
+    return [...entries.values()];
+  }
+}
+
+// Reads of what the dry run wrote. Resolving to null sends the read to GitHub.
+const READS = {
+  'GET /repos/{owner}/{repo}/git/ref/{ref}': async (dryRun, octokit, params) => {
+    const { refs } = dryRun.repository(params);
+    if (!refs.has(params.ref)) {
+      return null;
+    }
+    const sha = refs.get(params.ref);
+    if (sha === null) {
+      throw notFound(`Not Found: ${params.ref}`);
+    }
+    return { data: { ref: `refs/${params.ref}`, object: { type: 'commit', sha } } };
+  },
+
+  'GET /repos/{owner}/{repo}/git/commits/{commit_sha}': async (dryRun, octokit, params) => {
+    const commit = dryRun.repository(params).commits.get(params.commit_sha);
+    return commit
+      ? { data: { sha: params.commit_sha, tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })), message: commit.message } }
+      : null;
+  },
+
+  'GET /repos/{owner}/{repo}/git/trees/{tree_sha}': async (dryRun, octokit, params) => {
+    if (!dryRun.repository(params).trees.has(params.tree_sha)) {
+      return null;
+    }
+    const files = await dryRun.treeFiles(octokit, params, params.tree_sha);
+    const tree = [...files].map(([filePath, sha]) => ({ path: filePath, mode: '100644', type: 'blob', sha }));
+    return { data: { sha: params.tree_sha, tree, truncated: false } };
+  },
+
+  'GET /repos/{owner}/{repo}/contents/{path}': async (dryRun, octokit, params) => {
+    if (!params.ref) {
+      return null;
+    }
+    const sha = dryRun.resolveRef(params, params.ref);
+    if (sha === undefined) {
+      return null;
+    }
+    if (sha === null) {
+      throw notFound(`No commit found for the ref ${params.ref}`);
+    }
+    // A branch made in the dry run that still points at a real commit
+    if (!dryRun.repository(params).commits.has(sha)) {
+      return await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', { ...params, ref: sha });
+    }
+    return { data: await dryRun.contents(octokit, params, sha) };
+  },
+
+  'GET /repos/{owner}/{repo}/pulls/{pull_number}': async (dryRun, octokit, params) => {
+    const pull = dryRun.repository(params).pulls.get(Number(params.pull_number));
+    return pull ? { data: pull } : null;
+  }
+};
+
+// Made-up answers to writes. Resolving to null answers with an empty body.
+const WRITES = {
+  'POST /repos/{owner}/{repo}/issues/{issue_number}/comments': async (dryRun, octokit, params) => {
+    const id = dryRun.id();
+    return {
+      id,
+      body: params.body,
+      html_url: `https://github.com/${params.owner}/${params.repo}/issues/${params.issue_number}#issuecomment-${id}`
+    };
+  },
+
+  'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}': async (dryRun, octokit, params) => ({
+    id: params.comment_id,
+    body: params.body
+  }),
+
+  'POST /repos/{owner}/{repo}/check-runs': async (dryRun, octokit, params) => {
+    const id = dryRun.id();
+    return { id, html_url: `https://github.com/${params.owner}/${params.repo}/runs/${id}` };
+  },
+
+  'PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}': async (dryRun, octokit, params) => ({
+    id: params.check_run_id
+  }),
+
+  // Like GitHub, refuses a branch that already exists
+  'POST /repos/{owner}/{repo}/git/refs': async (dryRun, octokit, params) => {
+    const { refs } = dryRun.repository(params);
+    const name = params.ref.replace(/^refs\//, '');
+    if (await dryRun.refExists(octokit, params, name)) {
+      throw unprocessable('Reference already exists');
+    }
+
+    refs.set(name, params.sha);
+    return { ref: params.ref, object: { type: 'commit', sha: params.sha } };
+  },
+
+  'PATCH /repos/{owner}/{repo}/git/refs/{ref}': async (dryRun, octokit, params) => {
+    dryRun.repository(params).refs.set(params.ref, params.sha);
+    return { ref: `refs/${params.ref}`, object: { type: 'commit', sha: params.sha } };
+  },
+
+  'DELETE /repos/{owner}/{repo}/git/refs/{ref}': async (dryRun, octokit, params) => {
+    if (!(await dryRun.refExists(octokit, params, params.ref))) {
+      throw unprocessable('Reference does not exist');
+    }
+    dryRun.repository(params).refs.set(params.ref, null);
+    return null;
+  },
+
+  'POST /repos/{owner}/{repo}/git/blobs': async (dryRun, octokit, params) => {
+    const content = Buffer.from(params.content, params.encoding === 'base64' ? 'base64' : 'utf8');
+    const sha = blobSha(content);
+    dryRun.repository(params).blobs.set(sha, content);
+    return { sha };
+  },
+
+  // An unchanged tree keeps the SHA of its base, as on GitHub
+  'POST /repos/{owner}/{repo}/git/trees': async (dryRun, octokit, params) => {
+    const base = params.base_tree ? await dryRun.treeFiles(octokit, params, params.base_tree) : new Map();
+    const files = new Map(base);
+    for (const entry of params.tree) {
+      if (entry.sha === null) {
+        files.delete(entry.path);
+      } else {
+        files.set(entry.path, entry.sha);
+      }
+    }
+
+    const unchanged = params.base_tree && files.size === base.size &&
+      [...files].every(([filePath, sha]) => base.get(filePath) === sha);
+    if (unchanged) {
+      return { sha: params.base_tree };
+    }
+
+    const sha = hash(`tree\0${JSON.stringify([...files].sort())}`);
+    dryRun.repository(params).trees.set(sha, files);
+    return { sha };
+  },
+
+  'POST /repos/{owner}/{repo}/git/commits': async (dryRun, octokit, params) => {
+    const sha = hash(`commit\0${dryRun.id()}\0${params.tree}\0${params.parents.join(',')}\0${params.message}`);
+    dryRun.repository(params).commits.set(sha, { tree: params.tree, parents: params.parents, message: params.message });
+    return { sha, tree: { sha: params.tree }, parents: params.parents.map(parent => ({ sha: parent })), message: params.message };
+  },
+
+  'POST /repos/{owner}/{repo}/pulls': async (dryRun, octokit, params) => {
+    const number = dryRun.id();
+    const pull = {
+      number,
+      title: params.title,
+      body: params.body,
+      head: { ref: params.head },
+      base: { ref: params.base },
+      html_url: `https://github.com/${params.owner}/${params.repo}/pull/${number}`
+    };
+    dryRun.repository(params).pulls.set(number, pull);
+    return pull;
+  }
+};
+
+// Blob contents are shown as text where they are text
+function readableBody(write) {
+  if (write.route !== 'POST /repos/{owner}/{repo}/git/blobs' || write.body.encoding !== 'base64') {
+    return write.body;
+  }
+  const text = Buffer.from(write.body.content, 'base64').toString('utf8');
+  return text.includes('\uFFFD') ? write.body : { ...write.body, content: text, encoding: 'utf-8' };
+}
+
+// The transcript as a Markdown report, or as JSON with `format: 'json'`
+function renderTranscript(dryRun, format = 'markdown') {
+  if (format === 'json') {
+    return JSON.stringify({ reads: dryRun.reads, writes: dryRun.writes }, null, 2);
+  }
+
+  const fence = '````';
+  return [
+    '# Dry run transcript',
+    '',
+    `${dryRun.writes.length} write(s) captured, ${dryRun.reads} read(s) sent to GitHub or answered from the dry run.`,
+    '',
+    '| # | Request | What it would do |',
+    '|---|---------|------------------|',
+    ...dryRun.writes.map((write, i) => `| ${i + 1} | \`${write.method} ${write.url}\` | ${write.summary.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`),
+    ...dryRun.writes.flatMap((write, i) => [
+      '',
+      `## ${i + 1}. ${write.summary.replace(/\n/g, ' ')}`,
+      '',
+      `\`${write.method} ${write.url}\` at ${write.at}`,
+      '',
+      `${fence}json`,
+      JSON.stringify(readableBody(write), null, 2),
+      fence
+    ])
+  ].join('\n') + '\n';
+}
+
+// Writes the report to `file`, as JSON when the file name ends in .json
+function writeTranscript(dryRun, file) {
+  fs.writeFileSync(file, renderTranscript(dryRun, path.extname(file) === '.json' ? 'json' : 'markdown'));
+}
+
+// The dry run GitHub clients are made under, while one is active
+let current = null;
+
+function startDryRun() {
+  current = new DryRun();
+  return current;
+}
+
+function currentDryRun() {
+  return current;
+}
+
+module.exports = { DryRun, startDryRun, currentDryRun, renderTranscript, writeTranscript };
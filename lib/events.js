@@ -0,0 +1,521 @@
+const path = require('path');
+
+const { MCPLiteOrchestrator } = require('../api/orchestrator');
+const { createInstallationOctokit } = require('./github');
+const { EVENTS } = require('./pipeline');
+const { isClaudeComment } = require('./providers');
+const { parseCommand, executeCommand, getPermission, hasPermission } = require('./commands');
+const { DEFAULT_CONFIG, loadConfig, formatConfigErrors } = require('./config');
+const { runId } = require('./run-store');
+const { withLock, installationLimit, planQueue } = require('./queue');
+const { logger, withLogContext } = require('./logger');
+
+// Every GitHub event we act on, keyed by `<event>.<action>`, and the handler
+// that maps it onto a run. Handlers resolve to a short status for the HTTP
+// response. Anything not listed is acknowledged and ignored.
+const EVENT_HANDLERS = {
+  'issues.opened': startRun,
+  'issues.labeled': startRun,
+  'issues.edited': offerReplan,
+  'issues.closed': stopRun,
+  'issues.unlabeled': stopRun,
+  'issue_comment.created': handleComment,
+  'workflow_run.completed': completeWorkflow,
+  'pull_request_review.submitted': applyReview,
+  'pull_request_review_comment.created': recordReviewComment,
+  'installation.created': noteInstallation,
+  'installation.unsuspend': noteInstallation,
+  'installation.deleted': stopInstallation,
+  'installation.suspend': stopInstallation,
+  'installation_repositories.added': noteInstallation,
+  'installation_repositories.removed': stopRepositories
+};
+
+// Runs that can still be cancelled
+const CANCELLABLE_STATES = ['queued', 'running', 'paused', 'failed'];
+
+// Handlers after which no queued run can start: the installation is gone or
+// nothing changed
+const NO_QUEUE_HANDLERS = [noteInstallation, stopInstallation];
+
+// Errors a run failed with are on record in the run and only logged here.
+// Anything else, like a lock timeout or a GitHub outage before the run was
+// reached, is thrown so the delivery fails and can be delivered again. Any
+// event may have ended a run, so queued runs get their chance either way.
+async function routeEvent(event, payload, { store }) {
+  const key = `${event}.${payload.action}`;
+  const handler = EVENT_HANDLERS[key];
+  if (!handler) {
+    return 'OK';
+  }
+
+  return await withLogContext({
+    installation: payload.installation && payload.installation.id,
+    repository: payload.repository && payload.repository.full_name
+  }, () => handleEvent(key, handler, payload, store));
+}
+
+async function handleEvent(key, handler, payload, store) {
+  let result;
+  let failure = null;
+  try {
+    result = await handler(payload, { store });
+  } catch (error) {
+    logger.error(`Error handling ${key}`, { error });
+    if (error.runFailed) {
+      result = `OK - Error handling ${key}`;
+    } else {
+      failure = error;
+    }
+  }
+
+  if (payload.installation && !NO_QUEUE_HANDLERS.includes(handler)) {
+    try {
+      await startQueuedRuns(payload, store);
+    } catch (error) {
+      logger.error('Error starting queued runs', { error });
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  return result;
+}
+
+function hasLabel(issue, name) {
+  return (issue.labels || []).some(label => label.name === name);
+}
+
+async function createOrchestrator(payload, issueNumber, store, config = null) {
+  const octokit = await createInstallationOctokit(payload.installation.id);
+
+  return new MCPLiteOrchestrator(
+    octokit,
+    payload.repository.owner.login,
+    payload.repository.name,
+    issueNumber,
+    {
+      installationId: payload.installation.id,
+      store,
+      config
+    }
+  );
+}
+
+// Calls `fn` with the issue's orchestrator while holding the issue's lock, so
+// events for one run never interleave. Everything logged meanwhile is tagged
+// with the run.
+async function withOrchestrator(payload, issueNumber, store, fn, config = null) {
+  const id = runId(payload.repository.owner.login, payload.repository.name, issueNumber);
+
+  return await withLogContext({ repository: payload.repository.full_name, issue: issueNumber, runId: id }, () =>
+    withLock(store, id, async () => fn(await createOrchestrator(payload, issueNumber, store, config)))
+  );
+}
+
+async function findRun(store, payload, predicate) {
+  const runs = await store.list();
+  return runs.find(run =>
+    run.owner === payload.repository.owner.login &&
+    run.repo === payload.repository.name &&
+    predicate(run)
+  ) || null;
+}
+
+function findIssueRun(store, payload, issueNumber) {
+  return findRun(store, payload, run => run.issueNumber === issueNumber);
+}
+
+// Branches are named by the repository's branchPattern, so map them back to
+// an issue through the runs that created them.
+async function issueNumberFromBranch(store, payload, branch) {
+  const run = await findRun(store, payload, candidate =>
+    (candidate.branch || `project-${candidate.issueNumber}`) === branch
+  );
+  return run ? run.issueNumber : null;
+}
+
+async function postComment(payload, issueNumber, body) {
+  const octokit = await createInstallationOctokit(payload.installation.id);
+
+  await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    issue_number: issueNumber,
+    body
+  });
+}
+
+// issues.opened with the build label, or the label added later. The label
+// and everything else about the run come from the repository's config file.
+async function startRun(payload, { store }) {
+  const { issue } = payload;
+
+  const octokit = await createInstallationOctokit(payload.installation.id);
+  const { config, errors } = await loadConfig(octokit, payload.repository.owner.login, payload.repository.name);
+
+  if (payload.action === 'labeled' && payload.label.name !== config.label) {
+    return `OK - Not the ${config.label} label`;
+  }
+  if (!hasLabel(issue, config.label)) {
+    logger.info(`Issue does not have ${config.label} label, skipping`);
+    return `OK - No ${config.label} label`;
+  }
+
+  if (errors.length > 0) {
+    logger.info(`Invalid configuration in ${payload.repository.full_name}: ${errors.join('; ')}`);
+    await postComment(payload, issue.number, formatConfigErrors(errors));
+    return 'OK - Invalid configuration';
+  }
+
+  // Queue the run, or an unfinished one for this issue; routeEvent starts it
+  // when there is room
+  return await withOrchestrator(payload, issue.number, store, async orchestrator => {
+    // An issue opened with the label also sends issues.labeled
+    const existing = await findIssueRun(store, payload, issue.number);
+    if (existing && ['queued', 'running', 'paused'].includes(existing.state)) {
+      logger.info(`Run ${existing.id} is already active, skipping`);
+      return 'OK - Run already active';
+    }
+
+    logger.info(`Queueing issue #${issue.number}: ${issue.title}`);
+    await orchestrator.enqueue(issue.body || '');
+    return 'OK - Run queued';
+  }, config);
+}
+
+// Starts the queued runs of the installation that fit within the limits,
+// oldest first, and tells the others their place in the queue. Deciding
+// happens under the installation's lock so two events cannot both take the
+// last slot, and each admitted run is re-read and saved under its issue's
+// lock so a cancel in the meantime is kept. The runs themselves start
+// afterwards under their own locks.
+async function startQueuedRuns(payload, store) {
+  const installationId = payload.installation.id;
+
+  const { admitted, waiting } = await withLock(store, `installation:${installationId}`, async () => {
+    const runs = (await store.list()).filter(run => run.installationId === installationId);
+    const plan = planQueue(runs, installationLimit());
+
+    const started = [];
+    for (const run of plan.admitted) {
+      const admittedRun = await withLock(store, run.id, async () => {
+        const current = await store.get(run.id);
+        if (!current || current.state !== 'queued') {
+          return null;
+        }
+        current.state = 'running';
+        await store.save(current);
+        return current;
+      });
+      if (admittedRun) {
+        started.push(admittedRun);
+      }
+    }
+    return { admitted: started, waiting: plan.waiting };
+  });
+
+  for (const run of admitted) {
+    await startQueuedRun(payload, store, run);
+  }
+  for (const { run, position } of waiting.filter(entry => entry.run.queue.position !== entry.position)) {
+    await withOrchestrator(runPayload(payload.installation, run), run.issueNumber, store, orchestrator =>
+      orchestrator.reportQueuePosition(position)
+    );
+  }
+
+  // A run that finished straight away frees its slot again
+  if (admitted.length > 0) {
+    await startQueuedRuns(payload, store);
+  }
+}
+
+async function startQueuedRun(payload, store, run) {
+  const queued = runPayload(payload.installation, run);
+  logger.info(`Processing issue #${run.issueNumber} of ${run.owner}/${run.repo}`);
+
+  try {
+    await withOrchestrator(queued, run.issueNumber, store, async orchestrator => {
+      // Cancelled or finished since it was admitted; starting it would make
+      // a new run
+      const current = await store.get(run.id);
+      if (!current || current.state !== 'running') {
+        logger.info(`Run ${run.id} is ${current ? current.state : 'gone'}, not starting it`);
+        return null;
+      }
+      return await orchestrator.processRequest(current.requirements);
+    });
+  } catch (error) {
+    logger.error('Error in processIssue', { error });
+
+    // Try to comment on issue about error
+    try {
+      await postComment(queued, run.issueNumber, `❌ Error processing request: ${error.message}`);
+    } catch (commentError) {
+      logger.error('Error posting error comment', { error: commentError });
+    }
+  }
+}
+
+// The parts of a webhook payload createOrchestrator needs, for a run acted
+// on outside its own repository's events: queued runs started by another
+// repository's event, and operator requests
+function runPayload(installation, run) {
+  return {
+    installation,
+    repository: { name: run.repo, owner: { login: run.owner }, full_name: `${run.owner}/${run.repo}` }
+  };
+}
+
+// Calls `fn` with the orchestrator of a stored run under the issue's lock.
+// Queued runs get their chance afterwards, as after any event.
+async function withRunOrchestrator(run, store, fn) {
+  const payload = runPayload({ id: run.installationId }, run);
+
+  try {
+    return await withOrchestrator(payload, run.issueNumber, store, fn);
+  } finally {
+    try {
+      await startQueuedRuns(payload, store);
+    } catch (error) {
+      logger.error('Error starting queued runs', { error });
+    }
+  }
+}
+
+// issues.edited: the requirements changed under an active run
+async function offerReplan(payload, { store }) {
+  const { issue, changes } = payload;
+
+  if (!changes || !changes.body) {
+    return 'OK - No requirement change';
+  }
+
+  const run = await findIssueRun(store, payload, issue.number);
+  if (!run || run.state === 'cancelled') {
+    return 'OK - No run to re-plan';
+  }
+
+  await withOrchestrator(payload, issue.number, store, orchestrator => orchestrator.offerReplan(issue.body || ''));
+  return 'OK - Re-plan offered';
+}
+
+// issues.closed, or the build label removed
+async function stopRun(payload, { store }) {
+  const { issue } = payload;
+
+  const run = await findIssueRun(store, payload, issue.number);
+  if (!run || !CANCELLABLE_STATES.includes(run.state)) {
+    return 'OK - No active run';
+  }
+
+  const { label } = run.config || DEFAULT_CONFIG;
+  if (payload.action === 'unlabeled' && payload.label.name !== label) {
+    return `OK - Not the ${label} label`;
+  }
+
+  const reason = payload.action === 'closed' ? 'issue closed' : `${label} label removed`;
+  await withOrchestrator(payload, issue.number, store, orchestrator => orchestrator.cancel(reason));
+  return 'OK - Run cancelled';
+}
+
+// Model answers from the Claude bot, and /mcp commands from people
+async function handleComment(payload, { store }) {
+  const { comment } = payload;
+
+  if (isClaudeComment(comment)) {
+    await withOrchestrator(payload, payload.issue.number, store, orchestrator => orchestrator.handleEvent({
+      type: EVENTS.MODEL_RESPONSE,
+      body: comment.body,
+      createdAt: comment.created_at
+    }));
+    return 'OK - Model response processed';
+  }
+
+  // Slash commands from people; bot comments (including ours) never count
+  const command = parseCommand(comment.body);
+  if (command && comment.user.type !== 'Bot') {
+    await processCommand(payload, command, store);
+    return 'OK - Command processed';
+  }
+
+  return 'OK';
+}
+
+// Commands on the generated pull request act on the run of the issue it
+// implements, found through the PR's head branch.
+async function resolveRunIssue(octokit, payload, store) {
+  if (!payload.issue.pull_request) {
+    return payload.issue.number;
+  }
+
+  const { data: pr } = await octokit.request('GET /repos/{owner}/{repo}/pulls/{pull_number}', {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    pull_number: payload.issue.number
+  });
+
+  return await issueNumberFromBranch(store, payload, pr.head.ref);
+}
+
+async function processCommand(payload, command, store) {
+  const octokit = await createInstallationOctokit(payload.installation.id);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const user = payload.comment.user.login;
+
+  logger.info(`Running /mcp ${command.name} from ${user} on #${payload.issue.number}`);
+
+  const issueNumber = await resolveRunIssue(octokit, payload, store);
+  const reply = issueNumber
+    ? await withOrchestrator(payload, issueNumber, store, orchestrator => executeCommand({
+      octokit,
+      owner,
+      repo,
+      user,
+      command,
+      orchestrator
+    }))
+    : '❌ This pull request was not created by MCP-LITE';
+
+  await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+    owner,
+    repo,
+    issue_number: payload.issue.number,
+    body: `> ${payload.comment.body.split('\n').find(line => line.trim().startsWith('/mcp')).trim()}\n\n${reply}`
+  });
+}
+
+async function completeWorkflow(payload, { store }) {
+  const workflowRun = payload.workflow_run;
+
+  const issueNumber = await issueNumberFromBranch(store, payload, workflowRun.head_branch);
+  if (!issueNumber) {
+    logger.info(`Workflow run on ${workflowRun.head_branch} is not a project branch, skipping`);
+    return 'OK - Not a project branch';
+  }
+
+  await withOrchestrator(payload, issueNumber, store, orchestrator =>
+    orchestrator.handleEvent(workflowCompletedEvent(workflowRun))
+  );
+  return 'OK - Workflow run processed';
+}
+
+// The run event for a completed GitHub Actions workflow run
+function workflowCompletedEvent(workflowRun) {
+  // Dispatched workflows carry their correlation ID in the run name
+  const correlation = /\[mcp:([\w-]+)\]/.exec(workflowRun.display_title || workflowRun.name || '');
+
+  return {
+    type: EVENTS.WORKFLOW_COMPLETED,
+    workflow: path.basename(workflowRun.path),
+    branch: workflowRun.head_branch,
+    conclusion: workflowRun.conclusion,
+    runId: workflowRun.id,
+    attempt: workflowRun.run_attempt || 1,
+    correlationId: correlation ? correlation[1] : null
+  };
+}
+
+// A submitted review on the generated PR approves the run or sends the
+// requested changes back to the model. Reviewers need write permission, the
+// same as for /mcp approve.
+async function applyReview(payload, { store }) {
+  const { review, pull_request: pr } = payload;
+
+  const issueNumber = await issueNumberFromBranch(store, payload, pr.head.ref);
+  if (!issueNumber || review.user.type === 'Bot') {
+    return 'OK - Not a review of a generated PR';
+  }
+
+  const state = review.state.toLowerCase();
+  if (state !== 'approved' && state !== 'changes_requested') {
+    return 'OK - Review comment only';
+  }
+
+  const octokit = await createInstallationOctokit(payload.installation.id);
+  const permission = await getPermission(octokit, payload.repository.owner.login, payload.repository.name, review.user.login);
+  if (!hasPermission(permission, 'write')) {
+    logger.info(`Ignoring review by ${review.user.login} with ${permission} permission`);
+    return 'OK - Reviewer lacks permission';
+  }
+
+  try {
+    await withOrchestrator(payload, issueNumber, store, orchestrator => state === 'approved'
+      ? orchestrator.approve(review.user.login)
+      : orchestrator.requestChanges(review.user.login, review.body || 'See the line comments on the pull request'));
+  } catch (error) {
+    logger.error('Error applying review', { error });
+    return `OK - ${error.message}`;
+  }
+
+  return 'OK - Review applied';
+}
+
+async function recordReviewComment(payload, { store }) {
+  const { comment, pull_request: pr } = payload;
+
+  const issueNumber = await issueNumberFromBranch(store, payload, pr.head.ref);
+  if (!issueNumber || comment.user.type === 'Bot') {
+    return 'OK - Not a comment on a generated PR';
+  }
+
+  await withOrchestrator(payload, issueNumber, store, orchestrator => orchestrator.recordReviewComment({
+    user: comment.user.login,
+    path: comment.path,
+    line: comment.line || comment.original_line || null,
+    body: comment.body
+  }));
+  return 'OK - Review comment recorded';
+}
+
+async function noteInstallation(payload) {
+  const repositories = payload.repositories_added || payload.repositories || [];
+  logger.info(`Installation ${payload.installation.id} ${payload.action}: ${repositories.map(repo => repo.full_name).join(', ') || 'all repositories'}`);
+  return 'OK';
+}
+
+// Runs cannot continue once we lose access, so mark them cancelled directly
+// in the store; there is no installation token left to talk to GitHub with.
+// Each run is re-read and saved under its issue's lock, so an event being
+// handled for it cannot save over the cancellation.
+async function cancelRuns(store, predicate, reason) {
+  const runs = (await store.list()).filter(run => CANCELLABLE_STATES.includes(run.state) && predicate(run));
+  let cancelled = 0;
+
+  for (const { id } of runs) {
+    const done = await withLock(store, id, async () => {
+      const run = await store.get(id);
+      if (!run || !CANCELLABLE_STATES.includes(run.state)) {
+        return false;
+      }
+
+      run.state = 'cancelled';
+      run.waitingFor = null;
+      run.error = reason;
+      await store.save(run);
+      return true;
+    });
+    if (done) {
+      cancelled++;
+    }
+  }
+
+  logger.info(`Cancelled ${cancelled} run(s): ${reason}`);
+  return cancelled;
+}
+
+async function stopInstallation(payload, { store }) {
+  const installationId = payload.installation.id;
+  const count = await cancelRuns(store, run => run.installationId === installationId, `installation ${payload.action}`);
+  return `OK - Cancelled ${count} run(s)`;
+}
+
+async function stopRepositories(payload, { store }) {
+  const removed = new Set((payload.repositories_removed || []).map(repo => repo.full_name));
+  const count = await cancelRuns(store, run => removed.has(`${run.owner}/${run.repo}`), 'repository removed from installation');
+  return `OK - Cancelled ${count} run(s)`;
+}
+
+module.exports = { EVENT_HANDLERS, routeEvent, withRunOrchestrator, workflowCompletedEvent };
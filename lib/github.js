@@ -0,0 +1,112 @@
+const { logger } = require('./logger');
+const { currentDryRun } = require('./dry-run');
+
+// Seconds one request may spend waiting out rate limits, across its retries.
+// A webhook invocation has 30 seconds (vercel.json) and holds the run's lock
+// meanwhile, so longer waits fail the request instead and the run pauses
+// until the limit resets.
+const MAX_RATE_LIMIT_WAIT = 10;
+
+// Rate-limited requests are retried at most this many times
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+// Called by the throttling plugin with the wait it read from Retry-After or
+// X-RateLimit-Reset. Returning true retries the request after that wait.
+function retryWithin(kind) {
+  return (retryAfter, options, octokit) => {
+    const waited = options.request.rateLimitWait || 0;
+    const retry = waited + retryAfter <= MAX_RATE_LIMIT_WAIT && options.request.retryCount < MAX_RATE_LIMIT_RETRIES;
+    if (retry) {
+      options.request.rateLimitWait = waited + retryAfter;
+    }
+    octokit.log.warn(`${kind} for ${options.method} ${options.url}, ${retry ? `retrying after ${retryAfter}s` : 'giving up'}`);
+    return retry;
+  };
+}
+
+// Authenticates as the GitHub App installation that sent a webhook. During a
+// dry run (lib/dry-run.js) the client only pretends to write.
+async function createInstallationOctokit(installationId) {
+  // Dynamic imports for ESM modules
+  const { Octokit } = await import('octokit');
+  const { createAppAuth } = await import('@octokit/auth-app');
+
+  const octokit = new Octokit({
+    authStrategy: createAppAuth,
+    auth: {
+      appId: parseInt(process.env.GITHUB_APP_ID),
+      privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
+      installationId
+    },
+    // Server errors are retried with back-off by the retry plugin
+    retry: { retries: 3 },
+    log: {
+      debug: () => {},
+      info: () => {},
+      warn: message => logger.warn(message),
+      error: message => logger.error(message)
+    },
+    throttle: {
+      onRateLimit: retryWithin('Rate limit exceeded'),
+      onSecondaryRateLimit: retryWithin('Secondary rate limit')
+    }
+  });
+
+  const dryRun = currentDryRun();
+  return dryRun ? dryRun.wrap(octokit) : octokit;
+}
+
+// Authenticates as the installation of the GitHub App on a repository, for
+// work that does not start from a webhook (the local CLI).
+async function createRepositoryOctokit(owner, repo) {
+  const { Octokit } = await import('octokit');
+  const { createAppAuth } = await import('@octokit/auth-app');
+
+  const app = new Octokit({
+    authStrategy: createAppAuth,
+    auth: {
+      appId: parseInt(process.env.GITHUB_APP_ID),
+      privateKey: process.env.GITHUB_APP_PRIVATE_KEY
+    }
+  });
+  const { data: installation } = await app.request('GET /repos/{owner}/{repo}/installation', { owner, repo });
+
+  return {
+    octokit: await createInstallationOctokit(installation.id),
+    installationId: installation.id
+  };
+}
+
+// Whether a failed request hit the primary or a secondary rate limit
+function isRateLimitError(error) {
+  if (!error || (error.status !== 403 && error.status !== 429)) {
+    return false;
+  }
+  const headers = (error.response && error.response.headers) || {};
+  return error.status === 429
+    || headers['retry-after'] !== undefined
+    || headers['x-ratelimit-remaining'] === '0'
+    || /rate limit/i.test(error.message);
+}
+
+// When a rate-limited request may be tried again, as an ISO date, or null
+// when GitHub did not say
+function rateLimitResetAt(error, now = Date.now()) {
+  const headers = (error.response && error.response.headers) || {};
+  if (headers['retry-after'] !== undefined) {
+    return new Date(now + Number(headers['retry-after']) * 1000).toISOString();
+  }
+  if (headers['x-ratelimit-reset'] !== undefined) {
+    return new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString();
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_RATE_LIMIT_WAIT,
+  retryWithin,
+  createInstallationOctokit,
+  createRepositoryOctokit,
+  isRateLimitError,
+  rateLimitResetAt
+};
@@ -0,0 +1,115 @@
+// Structured logging: one JSON object per line, tagged with the delivery,
+// installation, repository, issue, run and phase it belongs to.
+//
+// Fields come from two places. `withLogContext` tags everything logged while
+// one webhook delivery is handled, however deep the call. Loggers made with
+// `child` add their own fields, which may be a function read at every line so
+// they follow a run as it moves from phase to phase.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...(contextStorage.getStore() || {}), ...withoutEmpty(fields) }, fn);
+}
+
+function minimumLevel() {
+  return LEVELS[process.env.MCP_LOG_LEVEL] || LEVELS.info;
+}
+
+function withoutEmpty(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Errors do not survive JSON.stringify on their own
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status ? { status: value.status } : {}),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  child(fields) {
+    const parent = this;
+    return new Logger(() => ({ ...parent.resolveFields(), ...resolve(fields) }));
+  }
+
+  resolveFields() {
+    return resolve(this.fields);
+  }
+
+  debug(message, extra) {
+    this.write('debug', message, extra);
+  }
+
+  info(message, extra) {
+    this.write('info', message, extra);
+  }
+
+  warn(message, extra) {
+    this.write('warn', message, extra);
+  }
+
+  error(message, extra) {
+    this.write('error', message, extra);
+  }
+
+  // Times an operation. `end` logs its duration and resolves to it in
+  // milliseconds. Operations that outlast one webhook delivery, like waiting
+  // for a model answer, pass the time they started at.
+  span(name, fields = {}, startedAt = Date.now()) {
+    return {
+      end: (extra = {}) => {
+        const durationMs = Date.now() - startedAt;
+        this.info(`Finished ${name.replace(/_/g, ' ')}`, { span: name, durationMs, ...fields, ...extra });
+        return durationMs;
+      }
+    };
+  }
+
+  write(level, message, extra = {}) {
+    if (LEVELS[level] < minimumLevel()) {
+      return;
+    }
+
+    const fields = {
+      ...(contextStorage.getStore() || {}),
+      ...withoutEmpty(this.resolveFields()),
+      ...extra
+    };
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeValue(value)]))
+    };
+
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+function resolve(fields) {
+  return typeof fields === 'function' ? fields() : fields;
+}
+
+const logger = new Logger();
+
+module.exports = { logger, Logger, withLogContext, LEVELS };
@@ -0,0 +1,195 @@
+// Metrics in the Prometheus text format. Serverless invocations share no
+// memory, so nothing is counted in process: each run keeps its own counts and
+// histograms in `run.stats`, and /metrics adds them up over the runs in the
+// store when it is scraped. Pruning runs lowers those sums, so the counts are
+// gauges rather than counters, which Prometheus would take to have reset.
+
+const PREFIX = 'mcp_lite';
+
+// Upper bounds of the histogram buckets, in seconds
+const PHASE_BUCKETS = [60, 300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 24 * 3600, 72 * 3600];
+const MODEL_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const RUN_STATES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+function createStats() {
+  return {
+    phases: {},
+    modelCalls: {},
+    workflows: {}
+  };
+}
+
+function statsOf(run) {
+  run.stats = run.stats || createStats();
+  return run.stats;
+}
+
+function createHistogram(buckets) {
+  return { buckets: buckets.map(() => 0), count: 0, sum: 0 };
+}
+
+function observe(histogram, bounds, value) {
+  bounds.forEach((bound, i) => {
+    if (value <= bound) {
+      histogram.buckets[i]++;
+    }
+  });
+  histogram.count++;
+  histogram.sum += value;
+}
+
+// Phases are timed in `run.timeline`, one entry per time a phase was entered
+function startPhase(run, phase, now = Date.now()) {
+  run.timeline = run.timeline || [];
+  run.timeline.push({ phase, startedAt: new Date(now).toISOString(), finishedAt: null, durationMs: null });
+}
+
+// Closes the phase being timed and records its duration. Resolves to the
+// phase and its duration in seconds, or null when none was being timed.
+function finishPhase(run, now = Date.now()) {
+  const entry = (run.timeline || [])[(run.timeline || []).length - 1];
+  if (!entry || entry.finishedAt) {
+    return null;
+  }
+
+  entry.finishedAt = new Date(now).toISOString();
+  entry.durationMs = now - Date.parse(entry.startedAt);
+
+  const stats = statsOf(run);
+  const seconds = entry.durationMs / 1000;
+  stats.phases[entry.phase] = stats.phases[entry.phase] || createHistogram(PHASE_BUCKETS);
+  observe(stats.phases[entry.phase], PHASE_BUCKETS, seconds);
+  return { phase: entry.phase, seconds };
+}
+
+function modelStats(run, phase) {
+  const stats = statsOf(run);
+  stats.modelCalls[phase] = stats.modelCalls[phase] || { requests: 0, latency: createHistogram(MODEL_BUCKETS) };
+  return stats.modelCalls[phase];
+}
+
+function recordModelRequest(run, phase) {
+  modelStats(run, phase).requests++;
+}
+
+function recordModelResponse(run, phase, seconds) {
+  observe(modelStats(run, phase).latency, MODEL_BUCKETS, seconds);
+}
+
+// One completed workflow run; it failed when any of its jobs did
+function recordWorkflow(run, workflow, failed) {
+  const stats = statsOf(run);
+  stats.workflows[workflow] = stats.workflows[workflow] || { runs: 0, failures: 0 };
+  stats.workflows[workflow].runs++;
+  if (failed) {
+    stats.workflows[workflow].failures++;
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+function sample(name, labels, value) {
+  return `${name}${formatLabels(labels)} ${value}`;
+}
+
+function mergeHistograms(target, histogram) {
+  histogram.buckets.forEach((count, i) => {
+    target.buckets[i] += count;
+  });
+  target.count += histogram.count;
+  target.sum += histogram.sum;
+}
+
+function renderHistogram(name, bounds, histograms) {
+  const lines = [];
+  for (const [label, histogram] of histograms) {
+    bounds.forEach((bound, i) => {
+      lines.push(sample(`${name}_bucket`, { ...label, le: bound }, histogram.buckets[i]));
+    });
+    lines.push(sample(`${name}_bucket`, { ...label, le: '+Inf' }, histogram.count));
+    lines.push(sample(`${name}_sum`, label, histogram.sum));
+    lines.push(sample(`${name}_count`, label, histogram.count));
+  }
+  return lines;
+}
+
+// Sums `key` of each run's stats into one entry per name, with `merge`
+function collect(runs, key, create, merge) {
+  const totals = new Map();
+  for (const run of runs) {
+    for (const [name, value] of Object.entries((run.stats && run.stats[key]) || {})) {
+      if (!totals.has(name)) {
+        totals.set(name, create());
+      }
+      merge(totals.get(name), value);
+    }
+  }
+  return [...totals.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+function renderMetrics(runs) {
+  const states = Object.fromEntries(RUN_STATES.map(state => [state, 0]));
+  for (const run of runs) {
+    states[run.state] = (states[run.state] || 0) + 1;
+  }
+
+  const phases = collect(runs, 'phases', () => createHistogram(PHASE_BUCKETS), mergeHistograms);
+  const modelCalls = collect(
+    runs,
+    'modelCalls',
+    () => ({ requests: 0, latency: createHistogram(MODEL_BUCKETS) }),
+    (total, calls) => {
+      total.requests += calls.requests;
+      mergeHistograms(total.latency, calls.latency);
+    }
+  );
+  const workflows = collect(
+    runs,
+    'workflows',
+    () => ({ runs: 0, failures: 0 }),
+    (total, counts) => {
+      total.runs += counts.runs;
+      total.failures += counts.failures;
+    }
+  );
+
+  return [
+    `# HELP ${PREFIX}_runs Runs in the store by state.`,
+    `# TYPE ${PREFIX}_runs gauge`,
+    ...Object.entries(states).map(([state, count]) => sample(`${PREFIX}_runs`, { state }, count)),
+    `# HELP ${PREFIX}_phase_duration_seconds Time from entering a phase to leaving it.`,
+    `# TYPE ${PREFIX}_phase_duration_seconds histogram`,
+    ...renderHistogram(`${PREFIX}_phase_duration_seconds`, PHASE_BUCKETS, phases.map(([phase, h]) => [{ phase }, h])),
+    `# HELP ${PREFIX}_model_calls Prompts sent to the model provider by the runs in the store.`,
+    `# TYPE ${PREFIX}_model_calls gauge`,
+    ...modelCalls.map(([phase, calls]) => sample(`${PREFIX}_model_calls`, { phase }, calls.requests)),
+    `# HELP ${PREFIX}_model_call_duration_seconds Time from sending a prompt to receiving the answer.`,
+    `# TYPE ${PREFIX}_model_call_duration_seconds histogram`,
+    ...renderHistogram(`${PREFIX}_model_call_duration_seconds`, MODEL_BUCKETS, modelCalls.map(([phase, calls]) => [{ phase }, calls.latency])),
+    `# HELP ${PREFIX}_workflow_runs Completed workflow runs dispatched by the runs in the store.`,
+    `# TYPE ${PREFIX}_workflow_runs gauge`,
+    ...workflows.map(([workflow, counts]) => sample(`${PREFIX}_workflow_runs`, { workflow }, counts.runs)),
+    `# HELP ${PREFIX}_workflow_failures Completed workflow runs with at least one failed job, of the runs in the store.`,
+    `# TYPE ${PREFIX}_workflow_failures gauge`,
+    ...workflows.map(([workflow, counts]) => sample(`${PREFIX}_workflow_failures`, { workflow }, counts.failures))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  PHASE_BUCKETS,
+  MODEL_BUCKETS,
+  createStats,
+  startPhase,
+  finishPhase,
+  recordModelRequest,
+  recordModelResponse,
+  recordWorkflow,
+  renderMetrics
+};
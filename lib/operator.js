@@ -0,0 +1,216 @@
+// HTTP API for operators: list and inspect runs, and retry or cancel them
+// without going through issue comments.
+//
+//   GET  /runs?repository=owner/repo&state=running
+//   GET  /runs/:id
+//   POST /runs/:id/retry   { "phase": "research" }
+//   POST /runs/:id/cancel  { "reason": "...", "cleanup": "files" }
+//
+// `:id` is a run ID, URL-encoded (`owner%2Frepo%2342`), or `owner/repo/42`.
+// Every request needs `Authorization: Bearer <MCP_OPERATOR_TOKEN>`.
+
+const crypto = require('crypto');
+
+const { runId } = require('./run-store');
+const { readRawBody } = require('./webhook-verification');
+const { withRunOrchestrator } = require('./events');
+const { logger } = require('./logger');
+
+const RUN_PATH = /^\/runs\/(.+?)(?:\/(retry|cancel))?\/?$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Compares digests so the check takes the same time whatever the token
+function isAuthorized(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function parseRunId(value) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, `Invalid run ID: ${value}`);
+  }
+  const path = /^([^/#]+)\/([^/#]+)\/(\d+)$/.exec(decoded);
+  return path ? runId(path[1], path[2], Number(path[3])) : decoded;
+}
+
+async function readJsonBody(req) {
+  // Hosts that parse JSON bodies themselves leave no stream to read
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  const raw = await readRawBody(req);
+  if (raw.length === 0) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    repository: `${run.owner}/${run.repo}`,
+    issueNumber: run.issueNumber,
+    state: run.state,
+    phase: run.phase,
+    step: run.step,
+    iteration: run.iteration,
+    waitingFor: run.waitingFor ? run.waitingFor.type : null,
+    error: run.error,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt
+  };
+}
+
+function describeRun(run) {
+  return {
+    ...summarizeRun(run),
+    branch: run.branch,
+    completedPhases: run.completedPhases,
+    skippedPhases: run.skippedPhases || [],
+    timeline: run.timeline || [],
+    scores: run.scores,
+    history: run.history || {},
+    plan: run.outputs.plan || null,
+    devPlan: run.outputs.devPlan || null,
+    checks: run.outputs.checks || null,
+    pullRequest: run.outputs.pullRequest || null,
+    artifacts: run.artifacts,
+    workflowRuns: run.workflowRuns || [],
+    prompts: run.prompts || {},
+    errors: run.errors || [],
+    usage: run.usage,
+    budget: run.budget,
+    paused: run.paused,
+    queue: run.queue,
+    decisions: run.decisions || []
+  };
+}
+
+async function listRuns(store, query) {
+  const repository = query.get('repository');
+  const states = query.getAll('state').flatMap(value => value.split(','));
+
+  const runs = (await store.list())
+    .filter(run => !repository || `${run.owner}/${run.repo}` === repository)
+    .filter(run => states.length === 0 || states.includes(run.state))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return { runs: runs.map(summarizeRun) };
+}
+
+async function requireRun(store, id) {
+  const run = await store.get(id);
+  if (!run) {
+    throw new HttpError(404, `No run ${id}`);
+  }
+  return run;
+}
+
+// Runs the orchestrator action and answers with the run as it is afterwards.
+// The orchestrator's own refusals (a run already cancelled, a phase that
+// cannot be retried yet) are the operator's to fix.
+async function controlRun(store, run, action) {
+  let result;
+  try {
+    result = await withRunOrchestrator(run, store, action);
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    throw new HttpError(409, error.message);
+  }
+  return { result, run: describeRun(await store.get(run.id)) };
+}
+
+async function route(req, store) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/runs' || url.pathname === '/runs/') {
+    if (req.method !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    return await listRuns(store, url.searchParams);
+  }
+
+  const match = RUN_PATH.exec(url.pathname);
+  if (!match) {
+    throw new HttpError(404, 'Not found');
+  }
+  const [, id, action] = match;
+  const run = await requireRun(store, parseRunId(id));
+
+  if (!action) {
+    if (req.method !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    return describeRun(run);
+  }
+
+  if (req.method !== 'POST') {
+    throw new HttpError(405, 'Method not allowed');
+  }
+  const body = await readJsonBody(req);
+
+  logger.info(`Operator ${action} of run ${run.id}`, { runId: run.id, request: body });
+  if (action === 'retry') {
+    return await controlRun(store, run, orchestrator => orchestrator.retry(body.phase));
+  }
+  return await controlRun(store, run, orchestrator =>
+    orchestrator.cancel(body.reason || 'cancelled by an operator', body.cleanup)
+  );
+}
+
+function isOperatorRequest(req) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  return pathname === '/runs' || pathname.startsWith('/runs/');
+}
+
+// Answers 503 or 401 unless the request carries the operator token, and
+// tells whether it did
+function checkOperatorToken(req, res, token = process.env.MCP_OPERATOR_TOKEN) {
+  if (!token) {
+    res.status(503).json({ error: 'The operator API and metrics are disabled; set MCP_OPERATOR_TOKEN to enable them' });
+    return false;
+  }
+  if (!isAuthorized(req.headers.authorization, token)) {
+    res.status(401).json({ error: 'Missing or invalid bearer token' });
+    return false;
+  }
+  return true;
+}
+
+// Answers a request for which isOperatorRequest is true
+async function handleOperatorRequest(req, res, { store, token = process.env.MCP_OPERATOR_TOKEN }) {
+  if (!checkOperatorToken(req, res, token)) {
+    return;
+  }
+
+  try {
+    return res.status(200).json(await route(req, store));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Operator API error', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { isOperatorRequest, handleOperatorRequest, checkOperatorToken, describeRun, summarizeRun };
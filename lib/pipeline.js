@@ -0,0 +1,290 @@
+// The MCP-LITE pipeline as an explicit state machine.
+//
+// A run sits in exactly one step. Entering a step performs its action (post a
+// prompt, dispatch a workflow, ...) and either moves straight on to the next
+// step or parks the run until an external event arrives. Webhooks deliver
+// those events and each one advances the run until it has to wait again, so no
+// invocation ever sleeps or polls.
+
+// Phases in execution order. Names match the original MCPLiteOrchestrator
+// methods so run records stay readable.
+const PHASES = [
+  'phase1_createPlan',
+  'phase2_research',
+  'phase3_createDevPlan',
+  'phase4_development',
+  'phase5_verification',
+  'phase6_finalReport'
+];
+
+const PHASE_TITLES = {
+  phase1_createPlan: '📋 Phase 1: Project Analysis',
+  phase2_research: '🔍 Phase 2: Research Phase',
+  phase3_createDevPlan: '📝 Phase 3: Creating Development Plan',
+  phase4_development: '🛠️ Phase 4: Development',
+  phase5_verification: '✅ Phase 5: Verification',
+  phase6_finalReport: '📊 Phase 6: Final Report'
+};
+
+// Events a waiting run can receive.
+const EVENTS = {
+  MODEL_RESPONSE: 'model_response',
+  WORKFLOW_COMPLETED: 'workflow_completed',
+  APPROVAL: 'approval'
+};
+
+// `enter` and the `on` handlers name MCPLiteOrchestrator methods. Handlers
+// return the name of the next step, or a wait descriptor from `waitFor*`.
+// `next` lists every step a handler may move to; transitions elsewhere throw.
+const STEPS = {
+  'plan.generate': {
+    phase: 'phase1_createPlan',
+    enter: 'requestPlan',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receivePlan' },
+    next: ['plan.verify']
+  },
+  'plan.verify': {
+    phase: 'phase1_createPlan',
+    enter: 'requestPlanVerification',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receivePlanVerification' },
+    next: ['plan.generate', 'plan.gate', 'research.dispatch']
+  },
+  'plan.gate': {
+    phase: 'phase1_createPlan',
+    enter: 'openPlanGate',
+    on: { [EVENTS.APPROVAL]: 'receivePlanDecision' },
+    next: ['plan.generate', 'research.dispatch']
+  },
+  'research.dispatch': {
+    phase: 'phase2_research',
+    enter: 'dispatchResearch',
+    on: { [EVENTS.WORKFLOW_COMPLETED]: 'receiveResearch' },
+    next: ['research.verify', 'research.sequential']
+  },
+  'research.sequential': {
+    phase: 'phase2_research',
+    enter: 'requestSequentialResearch',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveSequentialResearch' },
+    next: ['research.sequential', 'devplan.generate']
+  },
+  'research.verify': {
+    phase: 'phase2_research',
+    enter: 'requestResearchVerification',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveResearchVerification' },
+    next: ['research.improve', 'devplan.generate']
+  },
+  'research.improve': {
+    phase: 'phase2_research',
+    enter: 'dispatchResearchImprovement',
+    on: { [EVENTS.WORKFLOW_COMPLETED]: 'receiveResearchImprovement' },
+    next: ['research.improve', 'research.verify']
+  },
+  'devplan.generate': {
+    phase: 'phase3_createDevPlan',
+    enter: 'requestDevPlan',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveDevPlan' },
+    next: ['devplan.verify']
+  },
+  'devplan.verify': {
+    phase: 'phase3_createDevPlan',
+    enter: 'requestDevPlanVerification',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveDevPlanVerification' },
+    next: ['devplan.improve', 'devplan.gate', 'development.dispatch']
+  },
+  'devplan.improve': {
+    phase: 'phase3_createDevPlan',
+    enter: 'requestDevPlanImprovement',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveDevPlanImprovement' },
+    next: ['devplan.verify']
+  },
+  'devplan.gate': {
+    phase: 'phase3_createDevPlan',
+    enter: 'openDevPlanGate',
+    on: { [EVENTS.APPROVAL]: 'receiveDevPlanDecision' },
+    next: ['devplan.improve', 'development.dispatch']
+  },
+  'development.dispatch': {
+    phase: 'phase4_development',
+    enter: 'dispatchDevelopment',
+    on: { [EVENTS.WORKFLOW_COMPLETED]: 'receiveDevelopment' },
+    next: ['development.sequential', 'verification.checks']
+  },
+  'development.sequential': {
+    phase: 'phase4_development',
+    enter: 'requestComponent',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveComponent' },
+    next: ['development.sequential', 'verification.checks']
+  },
+  'verification.checks': {
+    phase: 'phase5_verification',
+    enter: 'dispatchChecks',
+    on: { [EVENTS.WORKFLOW_COMPLETED]: 'receiveChecks' },
+    next: ['verification.verify']
+  },
+  'verification.verify': {
+    phase: 'phase5_verification',
+    enter: 'requestVerifier',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveVerifier' },
+    next: ['verification.verify', 'verification.fix', 'verification.checks', 'report.generate']
+  },
+  'verification.fix': {
+    phase: 'phase5_verification',
+    enter: 'requestFix',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveFix' },
+    next: ['verification.fix', 'verification.checks']
+  },
+  'report.generate': {
+    phase: 'phase6_finalReport',
+    enter: 'requestReport',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveReport' },
+    next: ['review']
+  },
+  'review': {
+    phase: 'phase6_finalReport',
+    enter: 'awaitApproval',
+    on: { [EVENTS.APPROVAL]: 'receiveApproval' },
+    next: ['review.fix', 'completed']
+  },
+  'review.fix': {
+    phase: 'phase6_finalReport',
+    enter: 'requestReviewFix',
+    on: { [EVENTS.MODEL_RESPONSE]: 'receiveReviewFix' },
+    next: ['review']
+  },
+  'completed': {
+    final: true
+  }
+};
+
+const INITIAL_STEP = 'plan.generate';
+
+// Phases that can end in a human approval gate, and the gate step for each.
+// A gate holds the run until a maintainer approves or requests changes.
+const GATES = {
+  phase1_createPlan: 'plan.gate',
+  phase3_createDevPlan: 'devplan.gate'
+};
+
+const DEFAULT_GATES = ['phase1_createPlan', 'phase3_createDevPlan'];
+
+// Gated phases from MCP_APPROVAL_GATES, a comma-separated list of phases
+// (`none` disables every gate).
+function resolveGates(value = process.env.MCP_APPROVAL_GATES) {
+  if (value === undefined || value === '') {
+    return DEFAULT_GATES;
+  }
+  if (value.trim() === 'none') {
+    return [];
+  }
+
+  return value.split(',').map(name => {
+    const phase = resolvePhase(name.trim());
+    if (!GATES[phase]) {
+      throw new Error(`${phase} has no approval gate. Gated phases: ${Object.keys(GATES).join(', ')}`);
+    }
+    return phase;
+  });
+}
+
+function getStep(name) {
+  const step = STEPS[name];
+  if (!step) {
+    throw new Error(`Unknown pipeline step: ${name}`);
+  }
+  return step;
+}
+
+function firstStepOf(phase) {
+  return Object.keys(STEPS).find(name => STEPS[name].phase === phase);
+}
+
+// Short names accepted wherever a user names a phase, e.g. `/mcp retry research`.
+const PHASE_ALIASES = {
+  plan: 'phase1_createPlan',
+  research: 'phase2_research',
+  devplan: 'phase3_createDevPlan',
+  development: 'phase4_development',
+  verification: 'phase5_verification',
+  report: 'phase6_finalReport'
+};
+
+// Accepts a full phase name, its alias or its number (1-6).
+function resolvePhase(name) {
+  if (PHASES.includes(name)) {
+    return name;
+  }
+
+  const key = String(name).toLowerCase();
+  if (PHASE_ALIASES[key]) {
+    return PHASE_ALIASES[key];
+  }
+
+  const index = parseInt(key, 10);
+  if (index >= 1 && index <= PHASES.length) {
+    return PHASES[index - 1];
+  }
+
+  throw new Error(`Unknown phase: ${name}. Use one of: ${Object.keys(PHASE_ALIASES).join(', ')}`);
+}
+
+function assertTransition(from, to) {
+  getStep(to);
+  if (!getStep(from).next.includes(to)) {
+    throw new Error(`Invalid pipeline transition: ${from} -> ${to}`);
+  }
+}
+
+// Wait descriptors. `matchesWait` decides whether an incoming event is the one
+// a run is parked on.
+
+function waitForModel(requestedAt) {
+  return { wait: { type: EVENTS.MODEL_RESPONSE, requestedAt } };
+}
+
+// With a correlation ID only the run started by that dispatch matches;
+// without one, any run of the workflow on the branch does.
+function waitForWorkflow(workflow, branch, correlationId = null) {
+  return { wait: { type: EVENTS.WORKFLOW_COMPLETED, workflow, branch, correlationId } };
+}
+
+function waitForApproval() {
+  return { wait: { type: EVENTS.APPROVAL } };
+}
+
+function matchesWait(waitingFor, event) {
+  if (!waitingFor || waitingFor.type !== event.type) {
+    return false;
+  }
+
+  switch (event.type) {
+    case EVENTS.MODEL_RESPONSE:
+      return new Date(event.createdAt) > new Date(waitingFor.requestedAt);
+    case EVENTS.WORKFLOW_COMPLETED:
+      if (waitingFor.correlationId) {
+        return event.correlationId === waitingFor.correlationId;
+      }
+      return event.workflow === waitingFor.workflow && event.branch === waitingFor.branch;
+    default:
+      return true;
+  }
+}
+
+module.exports = {
+  PHASES,
+  PHASE_TITLES,
+  EVENTS,
+  STEPS,
+  INITIAL_STEP,
+  GATES,
+  DEFAULT_GATES,
+  resolveGates,
+  PHASE_ALIASES,
+  getStep,
+  firstStepOf,
+  resolvePhase,
+  assertTransition,
+  waitForModel,
+  waitForWorkflow,
+  waitForApproval,
+  matchesWait
+};
@@ -0,0 +1,409 @@
+// Prompt templates, one per step that asks the model something, named after
+// that step. Each declares the role it is asked as (a role from lib/roles.js,
+// or the variable holding one), its phase, its variables with their types,
+// and a version that runs record whenever they use it.
+//
+// Templates fill in `{{name}}` with a variable and keep `{{#name}}...{{/name}}`
+// only when the variable is set. Repositories override a template with
+// `.github/mcp-lite/prompts/<name>.md`, optionally starting with a YAML front
+// matter block that gives its `version`.
+
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+const { SCHEMAS, describeSchema } = require('./schemas');
+
+const PROMPTS_DIR = '.github/mcp-lite/prompts';
+
+// Variable types, with how a value is checked and written into the prompt.
+// A type ending in `?` may be left out.
+const TYPES = {
+  string: { check: value => typeof value === 'string', format: String },
+  number: { check: value => typeof value === 'number' && Number.isFinite(value), format: String },
+  json: { check: value => value !== undefined, format: value => JSON.stringify(value, null, 2) },
+  list: { check: Array.isArray, format: items => items.map(item => `- ${item}`).join('\n') }
+};
+
+const TEMPLATES = {
+  'plan.generate': {
+    role: 'project-analyzer',
+    phase: 'phase1_createPlan',
+    version: '2',
+    schema: 'plan',
+    variables: {
+      requirements: 'string',
+      researchers: 'list',
+      developers: 'list',
+      previousScore: 'number?',
+      feedback: 'string?',
+      previousPlan: 'json?'
+    },
+    text: `As project-analyzer, create a detailed implementation plan for: {{requirements}}
+
+{{#previousScore}}Previous plan had quality score {{previousScore}}%. Improve it.{{/previousScore}}
+{{#feedback}}Maintainer feedback on the previous plan, address all of it:
+{{feedback}}
+
+Previous plan:
+{{previousPlan}}{{/feedback}}
+
+Include:
+1. Technology stack with justification
+2. Component breakdown
+3. List of required researchers
+4. List of required developers
+5. List of required verifiers
+6. Success criteria
+7. Estimated complexity
+
+Choose researchers from:
+{{researchers}}
+
+Choose developers from:
+{{developers}}
+
+Format as structured JSON: {{schema}}`
+  },
+
+  'plan.verify': {
+    role: 'verification-coordinator',
+    phase: 'phase1_createPlan',
+    version: '1',
+    schema: 'verification',
+    variables: { plan: 'json' },
+    text: `As verification-coordinator, analyze this plan for quality:
+
+{{plan}}
+
+Rate from 0-100 and return JSON: {{schema}}`
+  },
+
+  'research.sequential': {
+    role: 'researcher',
+    phase: 'phase2_research',
+    version: '1',
+    variables: { researcher: 'string', plan: 'json' },
+    text: `As {{researcher}}, research based on this plan:
+
+{{plan}}
+
+Find best practices, code examples, and recommendations.
+Return results as a JSON object.`
+  },
+
+  'research.verify': {
+    role: 'verification-coordinator',
+    phase: 'phase2_research',
+    version: '1',
+    schema: 'verification',
+    variables: { research: 'json' },
+    text: `As verification-coordinator, verify this research:
+
+{{research}}
+
+Return JSON: {{schema}}
+Each improvement should be {"researcher": NAME, "suggestion": TEXT}.`
+  },
+
+  'devplan.generate': {
+    role: 'project-analyzer',
+    phase: 'phase3_createDevPlan',
+    version: '2',
+    schema: 'devPlan',
+    variables: { requirements: 'string', research: 'json', developers: 'list' },
+    text: `As project-analyzer, create development plan based on research.
+
+Original requirements: {{requirements}}
+Research findings: {{research}}
+
+Create detailed development plan with:
+1. Exact file structure
+2. Code patterns to use
+3. Component dependencies
+4. Integration points
+
+Assign each component a developer from:
+{{developers}}
+
+Return as JSON: {{schema}}`
+  },
+
+  'devplan.verify': {
+    role: 'verification-coordinator',
+    phase: 'phase3_createDevPlan',
+    version: '1',
+    schema: 'verification',
+    variables: { devPlan: 'json' },
+    text: `As verification-coordinator, verify this development plan:
+
+{{devPlan}}
+
+Return JSON: {{schema}}`
+  },
+
+  'devplan.improve': {
+    role: 'project-analyzer',
+    phase: 'phase3_createDevPlan',
+    version: '1',
+    schema: 'devPlan',
+    variables: { issues: 'json', devPlan: 'json' },
+    text: `As project-analyzer, improve the development plan:
+Issues found: {{issues}}
+Current plan: {{devPlan}}
+Return improved plan as JSON: {{schema}}`
+  },
+
+  'development.sequential': {
+    role: 'developer',
+    phase: 'phase4_development',
+    version: '1',
+    variables: { developer: 'string', component: 'json', name: 'string' },
+    text: `As {{developer}}, implement {{name}}.
+
+Use this development plan:
+{{component}}
+
+Requirements:
+- Production-ready code
+- No placeholders
+- Comprehensive error handling
+- Tests included
+
+Create all necessary files.`
+  },
+
+  'verification.verify': {
+    role: 'verifier',
+    phase: 'phase5_verification',
+    version: '1',
+    schema: 'verification',
+    variables: { verifier: 'string', branch: 'string', checks: 'string?' },
+    text: `As {{verifier}}, verify the code in branch {{branch}}.
+{{#checks}}
+Results of the verification workflow on that branch:
+{{checks}}
+{{/checks}}
+Check all aspects relevant to your expertise.
+Return JSON: {{schema}}`
+  },
+
+  'verification.fix': {
+    role: 'verification-iterator',
+    phase: 'phase5_verification',
+    version: '1',
+    variables: { source: 'string', summary: 'string?', items: 'list' },
+    text: `As verification-iterator, apply these fixes from {{source}}{{#summary}} ({{summary}}){{/summary}}:
+{{items}}
+Fix all issues found.`
+  },
+
+  'report.generate': {
+    role: 'report-generator',
+    phase: 'phase6_finalReport',
+    version: '1',
+    variables: { checks: 'string?' },
+    text: `As report-generator, create comprehensive project report.
+
+Include:
+1. Executive summary
+2. Requirements analysis
+3. Technology choices
+4. Development process
+5. Quality metrics
+6. Lessons learned
+{{#checks}}
+Latest results of the verification workflow:
+{{checks}}
+{{/checks}}
+Format as professional documentation.`
+  },
+
+  'review.fix': {
+    role: 'verification-iterator',
+    phase: 'phase6_finalReport',
+    version: '1',
+    variables: { branch: 'string', feedback: 'string', comments: 'list?' },
+    text: `As verification-iterator, address this pull request review in branch {{branch}}.
+
+Review:
+{{feedback}}
+{{#comments}}
+Line comments:
+{{comments}}
+{{/comments}}
+Fix everything the reviewer asked for.`
+  }
+};
+
+const TAG = /\{\{([#/]?)(\w+)\}\}/g;
+const FILL = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{(\w+)\}\}/g;
+
+// Variables a template may use: its own and, with a response schema, `schema`
+function variablesOf(template) {
+  return template.schema ? { ...template.variables, schema: 'string' } : template.variables;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+// Problems with a template's text: tags naming unknown variables, and
+// sections that are not closed in order
+function checkTemplate(text, variables) {
+  const errors = [];
+  const open = [];
+
+  for (const [tag, kind, name] of text.matchAll(TAG)) {
+    if (!(name in variables)) {
+      errors.push(`${tag} is not a variable of this template (${Object.keys(variables).join(', ')})`);
+    }
+    if (kind === '#') {
+      open.push(name);
+    } else if (kind === '/' && open.pop() !== name) {
+      errors.push(`${tag} does not close the innermost open section`);
+    }
+  }
+  for (const name of open) {
+    errors.push(`{{#${name}}} is never closed`);
+  }
+
+  return errors;
+}
+
+// One pass over the template, so text in the values is never taken for tags
+function fill(text, values) {
+  return text.replace(FILL, (_, section, body, name) => {
+    if (section) {
+      return isSet(values[section]) ? fill(body, values) : '';
+    }
+    return isSet(values[name]) ? values[name] : '';
+  });
+}
+
+// Formats `variables` by their declared types. Missing required variables
+// and values of the wrong type are bugs in the caller, so they throw.
+function formatVariables(name, template, variables) {
+  const values = {};
+
+  for (const [variable, declared] of Object.entries(template.variables)) {
+    const optional = declared.endsWith('?');
+    const type = TYPES[declared.replace(/\?$/, '')];
+    const value = variables[variable];
+
+    if (!isSet(value)) {
+      if (!optional && (value === undefined || value === null)) {
+        throw new Error(`Prompt ${name} needs ${variable}`);
+      }
+      continue;
+    }
+    if (!type.check(value)) {
+      throw new Error(`Prompt ${name}: ${variable} must be ${declared.replace(/\?$/, '')}`);
+    }
+    values[variable] = type.format(value);
+  }
+
+  if (template.schema) {
+    values.schema = describeSchema(SCHEMAS[template.schema]);
+  }
+  return values;
+}
+
+// Renders the named template, or the repository's override of it. Returns
+// the prompt, the role to ask as and the version tag to record:
+// `{ text, role, version, source }`.
+function renderPrompt(name, variables, overrides = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const override = overrides[name];
+  const values = formatVariables(name, template, variables);
+  return {
+    text: fill(override ? override.text : template.text, values).replace(/\n{3,}/g, '\n\n').trim(),
+    role: template.role in template.variables ? variables[template.role] : template.role,
+    version: override ? override.version : template.version,
+    source: override ? override.source : 'default'
+  };
+}
+
+// Reads an override file: optional front matter, then the template. Without
+// a version in the front matter, the version is taken from the text, so
+// every edit gets its own.
+function parseOverride(name, source, content) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    return { errors: [`${source}: no prompt template is named ${name} (${Object.keys(TEMPLATES).join(', ')})`] };
+  }
+
+  let meta = {};
+  let text = content;
+  const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content);
+  if (frontMatter) {
+    try {
+      meta = YAML.parse(frontMatter[1]) || {};
+    } catch (error) {
+      return { errors: [`${source}: front matter is not valid YAML: ${error.message.split('\n')[0]}`] };
+    }
+    text = content.slice(frontMatter[0].length);
+  }
+
+  const errors = checkTemplate(text, variablesOf(template)).map(error => `${source}: ${error}`);
+  if (!text.trim()) {
+    errors.push(`${source}: the template is empty`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const version = meta.version !== undefined && meta.version !== null
+    ? String(meta.version)
+    : `sha-${crypto.createHash('sha256').update(text).digest('hex').slice(0, 8)}`;
+  return { override: { text, version, source }, errors: [] };
+}
+
+// Reads the prompt overrides from the repository's default branch, keyed by
+// template name. A missing directory means no overrides.
+async function loadPromptOverrides(octokit, owner, repo) {
+  let entries;
+  try {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+      owner,
+      repo,
+      path: PROMPTS_DIR
+    });
+    entries = Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (error.status === 404) {
+      return { prompts: {}, errors: [] };
+    }
+    throw error;
+  }
+
+  const prompts = {};
+  const errors = [];
+  for (const entry of entries.filter(candidate => candidate.type === 'file' && candidate.name.endsWith('.md'))) {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+      owner,
+      repo,
+      path: entry.path
+    });
+    const name = entry.name.replace(/\.md$/, '');
+    const parsed = parseOverride(name, entry.path, Buffer.from(data.content, 'base64').toString('utf8'));
+    if (parsed.override) {
+      prompts[name] = parsed.override;
+    }
+    errors.push(...parsed.errors);
+  }
+
+  return { prompts, errors };
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  TEMPLATES,
+  checkTemplate,
+  renderPrompt,
+  parseOverride,
+  loadPromptOverrides
+};
@@ -0,0 +1,68 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const { logger } = require('../logger');
+
+const execFileAsync = promisify(execFile);
+
+// Runs the `claude` CLI in print mode and returns its stdout. Only usable where
+// the CLI is installed, e.g. the local server or a self-hosted runner.
+class CliProvider {
+  constructor({ command, workdir } = {}) {
+    this.name = 'cli';
+    this.command = command || process.env.MCP_CLAUDE_CLI || 'claude';
+    this.workdir = workdir || process.env.MCP_CLAUDE_WORKDIR || null;
+  }
+
+  async complete(prompt, { branch, system, tools }) {
+    const args = ['-p', prompt];
+    if (system) {
+      args.push('--append-system-prompt', system);
+    }
+    if (tools && tools.length > 0) {
+      args.push('--allowedTools', tools.join(','));
+    }
+
+    // Work on the requested branch when we have a checkout to work in
+    if (branch && this.workdir) {
+      const { stdout: currentBranch } = await this.git('rev-parse', '--abbrev-ref', 'HEAD');
+      await this.git('checkout', branch);
+
+      try {
+        return { response: await this.run(args) };
+      } finally {
+        await this.git('checkout', currentBranch.trim());
+      }
+    }
+
+    return { response: await this.run(args) };
+  }
+
+  async run(args) {
+    try {
+      const { stdout, stderr } = await execFileAsync(this.command, args, {
+        cwd: this.workdir || undefined,
+        env: {
+          ...process.env,
+          CLAUDE_CODE_OAUTH_TOKEN: process.env.CLAUDE_CODE_OAUTH_TOKEN
+        },
+        maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large responses
+      });
+
+      if (stderr) {
+        logger.warn('Claude stderr', { stderr });
+      }
+
+      return stdout.trim();
+    } catch (error) {
+      logger.error('Error calling Claude', { error });
+      throw new Error(`Claude execution failed: ${error.message}`);
+    }
+  }
+
+  async git(...args) {
+    return await execFileAsync('git', args, { cwd: this.workdir });
+  }
+}
+
+module.exports = { CliProvider };
@@ -0,0 +1,49 @@
+// Calls the Anthropic Messages API directly.
+class HttpProvider {
+  constructor({ apiKey, model, baseUrl, maxTokens } = {}) {
+    this.name = 'http';
+    this.apiKey = apiKey || process.env.ANTHROPIC_API_KEY;
+    this.model = model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+    this.baseUrl = baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+    this.maxTokens = maxTokens || 8192;
+
+    if (!this.apiKey) {
+      throw new Error('HttpProvider requires ANTHROPIC_API_KEY');
+    }
+  }
+
+  async complete(prompt, { owner, repo, branch, system }) {
+    const content = branch
+      ? `[Context: Working on branch '${branch}' in repository ${owner}/${repo}]\n\n${prompt}`
+      : prompt;
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API request failed with status ${response.status}: ${await response.text()}`);
+    }
+
+    const message = await response.json();
+    const text = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { response: text };
+  }
+}
+
+module.exports = { HttpProvider };
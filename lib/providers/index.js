@@ -0,0 +1,55 @@
+const { IssueCommentProvider, isClaudeComment } = require('./issue-comment');
+const { CliProvider } = require('./cli');
+const { HttpProvider } = require('./http');
+const { MockProvider } = require('./mock');
+
+// A provider turns a prompt into a model answer. `complete(prompt, options)`
+// resolves to either `{ response }` when the answer is available right away,
+// or a wait descriptor when it will arrive later through a webhook.
+//
+// Options always carry `owner`, `repo` and `issueNumber`; `branch` is set when
+// the model is expected to work on the project branch. `system` and `tools`
+// carry the asking role's system prompt and allowed tools (lib/roles.js), or
+// null; providers that cannot use them leave them out.
+
+const PROVIDERS = {
+  'issue-comment': ({ octokit }) => new IssueCommentProvider(octokit),
+  'cli': () => new CliProvider(),
+  'http': () => new HttpProvider(),
+  'mock': () => new MockProvider()
+};
+
+// Per-repository choice from MCP_MODEL_PROVIDERS, a JSON object keyed by
+// `owner/repo` or `owner/*`, falling back to MCP_MODEL_PROVIDER and then to
+// the issue-comment bot.
+function resolveProviderName(owner, repo) {
+  const overrides = process.env.MCP_MODEL_PROVIDERS
+    ? JSON.parse(process.env.MCP_MODEL_PROVIDERS)
+    : {};
+
+  return overrides[`${owner}/${repo}`] ||
+         overrides[`${owner}/*`] ||
+         process.env.MCP_MODEL_PROVIDER ||
+         'issue-comment';
+}
+
+function createProvider({ octokit, owner, repo, name }) {
+  const providerName = name || resolveProviderName(owner, repo);
+  const factory = PROVIDERS[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown model provider: ${providerName}`);
+  }
+
+  return factory({ octokit });
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  isClaudeComment,
+  IssueCommentProvider,
+  CliProvider,
+  HttpProvider,
+  MockProvider
+};
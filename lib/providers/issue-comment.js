@@ -0,0 +1,39 @@
+const { waitForModel } = require('../pipeline');
+const { logger } = require('../logger');
+
+// Claude bot might have different usernames
+function isClaudeComment(comment) {
+  const { login, type } = comment.user;
+  return login.includes('claude') ||
+         type === 'Bot' && login.includes('anthropic');
+}
+
+// Posts the prompt as an @claude mention on the issue. The answer arrives later
+// as an issue_comment webhook, so the run waits instead of polling for it.
+// The prompt itself is collapsed so the issue stays readable.
+class IssueCommentProvider {
+  constructor(octokit) {
+    this.name = 'issue-comment';
+    this.octokit = octokit;
+  }
+
+  async complete(prompt, { owner, repo, issueNumber, branch, system }) {
+    const context = branch
+      ? ` [Context: Working on branch '${branch}' in repository ${owner}/${repo}]`
+      : '';
+    const text = system ? `${system}\n\n${prompt}` : prompt;
+    const body = `@claude${context}\n\n<details><summary>MCP-LITE prompt</summary>\n\n${text}\n\n</details>`;
+
+    const { data: comment } = await this.octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body
+    });
+
+    logger.info(`Created @claude comment at ${comment.created_at}`);
+    return waitForModel(comment.created_at);
+  }
+}
+
+module.exports = { IssueCommentProvider, isClaudeComment };
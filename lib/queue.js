@@ -0,0 +1,118 @@
+// Locking and admission of runs. Events for one issue are handled one at a
+// time under the issue's lock. Runs start in the `queued` state and are let
+// in, oldest first, while their repository (the `maxActiveRuns` config) and
+// installation (MCP_MAX_ACTIVE_RUNS) have fewer active runs than allowed.
+
+const { logger } = require('./logger');
+
+// A lock left behind by a crashed invocation frees itself after this long.
+// The holder renews it while it works, since synchronous providers can keep
+// a run going for longer.
+const LOCK_TTL = 60 * 1000;
+
+// How long an event waits for a lock before giving up, within the 30 second
+// function limit
+const LOCK_WAIT = 15 * 1000;
+const LOCK_RETRY_INTERVAL = 250;
+
+const DEFAULT_INSTALLATION_LIMIT = 10;
+
+// Runs that take a slot. Paused runs wait for a person and do not.
+const ACTIVE_STATES = ['running'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs `fn` while holding the store lock `name`, waiting for it if needed.
+// The lock is renewed every third of its TTL until `fn` settles.
+async function withLock(store, name, fn, { ttl = LOCK_TTL, wait = LOCK_WAIT } = {}) {
+  const giveUpAt = Date.now() + wait;
+  let token = await store.acquireLock(name, ttl);
+
+  while (!token) {
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`Timed out waiting for the lock on ${name}`);
+    }
+    await sleep(LOCK_RETRY_INTERVAL);
+    token = await store.acquireLock(name, ttl);
+  }
+
+  const renewal = setInterval(async () => {
+    try {
+      if (!(await store.renewLock(name, token, ttl))) {
+        logger.warn(`Lost the lock on ${name} while holding it`);
+        clearInterval(renewal);
+      }
+    } catch (error) {
+      logger.error(`Error renewing the lock on ${name}`, { error });
+    }
+  }, Math.max(Math.floor(ttl / 3), 1));
+  renewal.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewal);
+    await store.releaseLock(name, token);
+  }
+}
+
+// Active runs allowed per installation, from MCP_MAX_ACTIVE_RUNS. 0 means no
+// limit.
+function installationLimit(value = process.env.MCP_MAX_ACTIVE_RUNS) {
+  if (value === undefined || value === '') {
+    return DEFAULT_INSTALLATION_LIMIT;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`MCP_MAX_ACTIVE_RUNS must be a whole number, got ${value}`);
+  }
+  return limit;
+}
+
+function queueOrder(a, b) {
+  return a.queue.since.localeCompare(b.queue.since) || a.id.localeCompare(b.id);
+}
+
+// Splits the queued runs of one installation into those that may start now
+// and those that keep waiting, each with its 1-based queue position. A run
+// whose repository is full does not hold up runs of other repositories.
+function planQueue(runs, limit) {
+  const active = runs.filter(run => ACTIVE_STATES.includes(run.state));
+  const perRepository = new Map();
+  for (const run of active) {
+    const key = `${run.owner}/${run.repo}`;
+    perRepository.set(key, (perRepository.get(key) || 0) + 1);
+  }
+
+  let total = active.length;
+  const admitted = [];
+  const waiting = [];
+
+  for (const run of runs.filter(candidate => candidate.state === 'queued').sort(queueOrder)) {
+    const key = `${run.owner}/${run.repo}`;
+    const repositoryLimit = (run.config && run.config.maxActiveRuns) || 0;
+    const count = perRepository.get(key) || 0;
+
+    if ((limit === 0 || total < limit) && (repositoryLimit === 0 || count < repositoryLimit)) {
+      admitted.push(run);
+      perRepository.set(key, count + 1);
+      total++;
+    } else {
+      waiting.push({ run, position: waiting.length + 1 });
+    }
+  }
+
+  return { admitted, waiting };
+}
+
+module.exports = {
+  LOCK_TTL,
+  LOCK_WAIT,
+  ACTIVE_STATES,
+  withLock,
+  installationLimit,
+  planQueue
+};
@@ -0,0 +1,286 @@
+// Parses the reports uploaded by the verification workflow (JUnit XML, SARIF,
+// coverage summaries and `npm audit` output) into checks with an objective
+// score and the concrete issues behind it:
+//
+//   { score, summary, issues: [{ file, line, message, rule }] }
+
+// SARIF from these tools counts towards security rather than lint
+const SECURITY_TOOLS = /gitleaks|trufflehog|trivy|semgrep|codeql|bandit|snyk/i;
+
+// Points taken off per finding
+const LINT_PENALTY = { error: 10, warning: 2 };
+const SECURITY_PENALTY = { critical: 40, high: 20, moderate: 5, low: 1, secret: 50 };
+
+function isReportFile(filePath) {
+  return /\.(xml|sarif|json|info)$/i.test(filePath);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, , value] of text.matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+function firstLine(text) {
+  return String(text || '').trim().split('\n')[0].trim();
+}
+
+// JUnit XML as written by jest-junit, `node --test` and most other runners.
+// A runner that crashed may leave an empty or partial file behind, which is
+// not taken for a run without tests.
+function parseJUnit(xml) {
+  if (!/<testsuites?\b/.test(xml)) {
+    throw new Error('not a JUnit report');
+  }
+
+  const result = { tests: 0, failed: 0, skipped: 0, issues: [] };
+  const testcases = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const [, attributeText, body = ''] of xml.matchAll(testcases)) {
+    const attributes = parseAttributes(attributeText);
+    result.tests++;
+
+    if (/<skipped\b/.test(body)) {
+      result.skipped++;
+      continue;
+    }
+
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (failure) {
+      const failureAttributes = parseAttributes(failure[2]);
+      result.failed++;
+      result.issues.push({
+        file: attributes.file || attributes.classname || null,
+        line: attributes.line ? Number(attributes.line) : null,
+        message: `${attributes.name}: ${firstLine(failureAttributes.message || decodeEntities(failure[3] || '')) || failure[1]}`,
+        rule: 'test'
+      });
+    }
+  }
+
+  return result;
+}
+
+// SARIF 2.1 from linters and scanners. `tools` lists every tool that ran,
+// including those with nothing to report.
+function parseSarif(json) {
+  const tools = [];
+  const findings = [];
+
+  for (const run of json.runs || []) {
+    const tool = (run.tool && run.tool.driver && run.tool.driver.name) || 'unknown';
+    tools.push(tool);
+    for (const finding of run.results || []) {
+      const location = ((finding.locations || [])[0] || {}).physicalLocation || {};
+      findings.push({
+        tool,
+        level: finding.level || 'warning',
+        file: (location.artifactLocation && location.artifactLocation.uri) || null,
+        line: (location.region && location.region.startLine) || null,
+        message: firstLine(finding.message && finding.message.text),
+        rule: finding.ruleId || null
+      });
+    }
+  }
+
+  return { tools, findings };
+}
+
+// Istanbul `coverage-summary.json` (jest, c8, nyc). Besides the total, lists
+// the files that are not fully covered.
+function parseCoverageSummary(json) {
+  const linesOf = entry => {
+    const metric = entry && (entry.lines || entry.statements);
+    return metric && typeof metric.pct === 'number' ? metric.pct : null;
+  };
+
+  const lines = linesOf(json.total);
+  if (lines === null) {
+    return null;
+  }
+
+  const files = Object.entries(json)
+    .filter(([file]) => file !== 'total')
+    .map(([file, entry]) => ({ file, lines: linesOf(entry) }))
+    .filter(entry => entry.lines !== null && entry.lines < 100);
+
+  return { lines, files };
+}
+
+function parseLcov(text) {
+  let found = 0;
+  let hit = 0;
+  const files = [];
+
+  for (const record of text.split('end_of_record')) {
+    const file = (record.match(/^SF:(.+)$/m) || [])[1];
+    const fileFound = Number((record.match(/^LF:(\d+)$/m) || [])[1] || 0);
+    const fileHit = Number((record.match(/^LH:(\d+)$/m) || [])[1] || 0);
+    found += fileFound;
+    hit += fileHit;
+    if (file && fileFound > 0 && fileHit < fileFound) {
+      files.push({ file: file.trim(), lines: percent(fileHit, fileFound) });
+    }
+  }
+
+  return found > 0 ? { lines: percent(hit, found), files } : null;
+}
+
+// `npm audit --json` from npm 7 and later. When the audit cannot run (no
+// lockfile, registry down) npm prints an `error` object instead, which must
+// not pass for an audit without findings.
+function parseNpmAudit(json) {
+  if (json.error) {
+    throw new Error(`npm audit failed: ${firstLine(json.error.summary || json.error.code || 'unknown error')}`);
+  }
+
+  const counts = (json.metadata && json.metadata.vulnerabilities) || {};
+  const issues = Object.entries(json.vulnerabilities || {}).map(([name, vulnerability]) => {
+    const advisory = (vulnerability.via || []).find(via => typeof via === 'object') || {};
+    return {
+      file: 'package.json',
+      line: null,
+      message: `${name} ${vulnerability.range || ''}: ${vulnerability.severity} ${advisory.title || 'vulnerability'}`.replace(/\s+/g, ' '),
+      rule: advisory.url || null
+    };
+  });
+
+  return { counts, issues };
+}
+
+function formatIssue(issue) {
+  const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''} ` : '';
+  return `${location}${issue.message}${issue.rule ? ` (${issue.rule})` : ''}`;
+}
+
+function percent(part, whole) {
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+function clamp(score) {
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// Reads every report in `files` (`[{ path, content }]`). Files that are not a
+// known report are skipped; a report that fails to parse is noted in `errors`.
+function collectReports(files) {
+  const reports = { junit: [], tools: [], sarif: [], coverage: null, audit: null, errors: [] };
+
+  for (const file of files) {
+    const name = file.path.split('/').pop();
+    const text = Buffer.isBuffer(file.content) ? file.content.toString('utf8') : String(file.content);
+
+    try {
+      if (/\.xml$/i.test(name)) {
+        reports.junit.push(parseJUnit(text));
+      } else if (/\.sarif$/i.test(name)) {
+        const { tools, findings } = parseSarif(JSON.parse(text));
+        reports.tools.push(...tools);
+        reports.sarif.push(...findings);
+      } else if (name === 'coverage-summary.json') {
+        reports.coverage = parseCoverageSummary(JSON.parse(text)) || reports.coverage;
+      } else if (name === 'lcov.info') {
+        reports.coverage = reports.coverage || parseLcov(text);
+      } else if (name === 'npm-audit.json') {
+        reports.audit = parseNpmAudit(JSON.parse(text));
+      }
+    } catch (error) {
+      reports.errors.push(`${file.path}: ${error.message}`);
+    }
+  }
+
+  return reports;
+}
+
+// Scores the collected reports. Only checks with a report are returned, so a
+// project without tests is not scored on tests.
+function scoreReports(reports) {
+  const checks = {};
+
+  const tests = reports.junit.reduce(
+    (total, suite) => ({
+      tests: total.tests + suite.tests,
+      failed: total.failed + suite.failed,
+      skipped: total.skipped + suite.skipped,
+      issues: [...total.issues, ...suite.issues]
+    }),
+    { tests: 0, failed: 0, skipped: 0, issues: [] }
+  );
+  const ran = tests.tests - tests.skipped;
+  if (ran > 0) {
+    checks.tests = {
+      score: clamp(((ran - tests.failed) / ran) * 100),
+      summary: `${ran - tests.failed}/${ran} tests passed${tests.skipped ? `, ${tests.skipped} skipped` : ''}`,
+      issues: tests.issues
+    };
+  }
+
+  if (reports.coverage) {
+    checks.coverage = {
+      score: clamp(reports.coverage.lines),
+      summary: `${reports.coverage.lines}% of lines covered`,
+      // Least covered first, so the prompt's share goes to the biggest gaps
+      issues: [...reports.coverage.files]
+        .sort((a, b) => a.lines - b.lines)
+        .map(({ file, lines }) => ({ file, line: null, message: `only ${lines}% of lines covered by tests`, rule: null }))
+    };
+  }
+
+  if (reports.tools.some(tool => !SECURITY_TOOLS.test(tool))) {
+    const lint = reports.sarif.filter(finding => !SECURITY_TOOLS.test(finding.tool) && finding.level !== 'note');
+    const errors = lint.filter(finding => finding.level === 'error').length;
+    const warnings = lint.length - errors;
+    checks.lint = {
+      score: clamp(100 - errors * LINT_PENALTY.error - warnings * LINT_PENALTY.warning),
+      summary: `${errors} error(s), ${warnings} warning(s)`,
+      issues: lint.map(({ file, line, message, rule }) => ({ file, line, message, rule }))
+    };
+  }
+
+  const secrets = reports.sarif.filter(finding => SECURITY_TOOLS.test(finding.tool));
+  if (reports.audit || reports.tools.some(tool => SECURITY_TOOLS.test(tool))) {
+    const counts = (reports.audit && reports.audit.counts) || {};
+    const penalty = ['critical', 'high', 'moderate', 'low']
+      .reduce((total, severity) => total + (counts[severity] || 0) * SECURITY_PENALTY[severity], 0)
+      + secrets.length * SECURITY_PENALTY.secret;
+    const vulnerabilities = ['critical', 'high', 'moderate', 'low']
+      .reduce((total, severity) => total + (counts[severity] || 0), 0);
+
+    checks.security = {
+      score: clamp(100 - penalty),
+      summary: `${vulnerabilities} vulnerable dependenc${vulnerabilities === 1 ? 'y' : 'ies'}, ${secrets.length} secret(s) found`,
+      issues: [
+        ...secrets.map(({ file, line, message, rule }) => ({ file, line, message: `Possible secret: ${message}`, rule })),
+        ...((reports.audit && reports.audit.issues) || [])
+      ]
+    };
+  }
+
+  return checks;
+}
+
+module.exports = {
+  isReportFile,
+  parseJUnit,
+  parseSarif,
+  parseCoverageSummary,
+  parseLcov,
+  parseNpmAudit,
+  collectReports,
+  scoreReports,
+  formatIssue
+};
@@ -0,0 +1,158 @@
+const { SCHEMAS, validate, describeSchema } = require('./schemas');
+
+// Every JSON value in a model response, in the order they are tried: the
+// whole text, each fenced code block, then every balanced {...} or [...] span.
+function* jsonCandidates(text) {
+  const candidates = [text.trim()];
+
+  const fencePattern = /```[a-zA-Z]*\s*\n([\s\S]*?)```/g;
+  let fence;
+  while ((fence = fencePattern.exec(text)) !== null) {
+    candidates.push(fence[1].trim());
+  }
+
+  for (const candidate of candidates) {
+    try {
+      yield JSON.parse(candidate);
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') {
+      continue;
+    }
+
+    const end = findClosingBracket(text, start);
+    if (end === -1) {
+      continue;
+    }
+
+    try {
+      yield JSON.parse(text.slice(start, end + 1));
+    } catch (e) {
+      // Not JSON, keep scanning
+    }
+  }
+}
+
+// Pulls a JSON value out of a model response: the first one `accept` takes,
+// so an example shown before the real answer is passed over, or else the
+// first one found, for the caller to report what is wrong with it.
+function extractJson(text, accept = () => true) {
+  let first;
+  let found = false;
+
+  for (const value of jsonCandidates(text)) {
+    if (accept(value)) {
+      return { found: true, value };
+    }
+    if (!found) {
+      first = value;
+      found = true;
+    }
+  }
+
+  return { found, value: first };
+}
+
+// Index of the bracket closing the one at `start`, skipping string contents.
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+// Extracts and validates a response against one of the declared schemas.
+// Returns `{ value, errors }`; `errors` is empty when the value can be used.
+function parseResponse(text, schemaName) {
+  const schema = SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown response schema: ${schemaName}`);
+  }
+
+  const { found, value } = extractJson(text || '', candidate => validate(schema, candidate).length === 0);
+  if (!found) {
+    return { value: undefined, errors: ['response does not contain JSON'] };
+  }
+
+  return { value, errors: validate(schema, value) };
+}
+
+// Prompt asking the model to answer again after an invalid response.
+function repairPrompt(originalPrompt, response, schemaName, errors) {
+  return `Your previous response could not be used because it did not match the expected ${schemaName} format.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Original request:
+${originalPrompt}
+
+Previous response:
+${response}
+
+Return only JSON matching: ${describeSchema(SCHEMAS[schemaName])}`;
+}
+
+// How the model is asked to return files it writes
+const FILE_FORMAT = 'Return the full content of every file you create or change as a fenced code block whose info string names it, e.g. ```js file=src/index.js. Use a longer fence (````) for files that contain ``` themselves.';
+
+// Files returned in `file=<path>` fenced code blocks, in order. A later
+// block for the same path replaces the earlier one.
+function extractFiles(text) {
+  const files = new Map();
+  const lines = (text || '').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = /^[ \t]*(`{3,})[^`]*?\bfile=(\S+)/.exec(lines[i]);
+    if (!open) {
+      continue;
+    }
+
+    const fence = open[1];
+    const content = [];
+    let j = i + 1;
+    while (j < lines.length && lines[j].trim() !== fence) {
+      content.push(lines[j]);
+      j++;
+    }
+
+    if (j < lines.length) {
+      files.set(open[2], `${content.join('\n')}\n`);
+    }
+    i = j;
+  }
+
+  return [...files].map(([path, content]) => ({ path, content }));
+}
+
+module.exports = { extractJson, findClosingBracket, parseResponse, repairPrompt, extractFiles, FILE_FORMAT };
@@ -0,0 +1,95 @@
+// Turns the files a researcher produced (from an artifact or committed to the
+// branch) into one typed result per researcher:
+//
+//   { researcher, format: 'json' | 'markdown', data, text, files }
+//
+// `text` is the main file as written; `data` is its parsed JSON, or null for
+// Markdown. `files` lists every result file that belongs to the researcher.
+
+const RESULT_FILE = /\.(md|markdown|json)$/i;
+
+function isResultFile(filePath) {
+  return RESULT_FILE.test(filePath);
+}
+
+function formatOf(filePath) {
+  return /\.json$/i.test(filePath) ? 'json' : 'markdown';
+}
+
+// `security-expert-results.md` and `security-expert.json` both belong to
+// security-expert
+function researcherFromFile(filePath) {
+  const base = filePath.split('/').pop();
+  return base.replace(RESULT_FILE, '').replace(/-results$/, '');
+}
+
+// The file that stands for the result: `<researcher>-results.json`, then
+// `<researcher>-results.md`, then any JSON, then any Markdown
+function mainFile(researcher, files) {
+  const rank = ({ path: filePath }) => {
+    const base = filePath.split('/').pop().replace(RESULT_FILE, '');
+    const own = base === `${researcher}-results` || base === researcher;
+    return (own ? 0 : 2) + (formatOf(filePath) === 'json' ? 0 : 1);
+  };
+  return [...files].sort((a, b) => rank(a) - rank(b) || a.path.localeCompare(b.path))[0];
+}
+
+// `files` are `[{ path, content }]` with string or Buffer content. Returns
+// null when none of them is a result file.
+function buildResult(researcher, files) {
+  const results = files.filter(file => isResultFile(file.path));
+  if (results.length === 0) {
+    return null;
+  }
+
+  const main = mainFile(researcher, results);
+  const text = Buffer.isBuffer(main.content) ? main.content.toString('utf8') : String(main.content);
+  const result = {
+    researcher,
+    format: formatOf(main.path),
+    data: null,
+    text,
+    files: results.map(file => file.path).sort()
+  };
+
+  if (result.format === 'json') {
+    try {
+      result.data = JSON.parse(text);
+    } catch (error) {
+      // Keep the text so the findings are not lost; verification sees the error
+      result.error = `${main.path} is not valid JSON: ${error.message}`;
+    }
+  }
+
+  return result;
+}
+
+// Groups files found under `root` by researcher. A file directly under `root`
+// is named after its researcher; anything deeper belongs to the directory
+// below `root` (`research/security-expert/notes.md`).
+function groupResults(files, root = '') {
+  const prefix = root ? `${root.replace(/\/+$/, '')}/` : '';
+  const groups = new Map();
+
+  for (const file of files) {
+    if (!isResultFile(file.path)) {
+      continue;
+    }
+    const relative = file.path.startsWith(prefix) ? file.path.slice(prefix.length) : file.path;
+    const parts = relative.split('/');
+    const researcher = parts.length > 1 ? parts[0] : researcherFromFile(relative);
+
+    if (!groups.has(researcher)) {
+      groups.set(researcher, []);
+    }
+    groups.get(researcher).push(file);
+  }
+
+  const results = {};
+  for (const [researcher, group] of groups) {
+    results[researcher] = buildResult(researcher, group);
+  }
+  return results;
+}
+
+module.exports = { isResultFile, researcherFromFile, buildResult, groupResults };
@@ -0,0 +1,233 @@
+// The agent roles a run may ask for. Plans name their researchers and
+// developers, and repositories their verifiers, from this registry; names it
+// does not know are dropped in favour of the defaults below.
+//
+// Each role has a description (shown to the planner), a system prompt and the
+// tools it may use (passed to providers that support them), the workflow its
+// parallel jobs run in, how many of its jobs may run at once, and the
+// artifact it must produce: `results` (a `<role>-results` artifact or files
+// under research/, Markdown or JSON), `json`, `verification` JSON, `files`
+// as fenced code blocks, or `markdown`.
+
+const READ_TOOLS = ['Read', 'Grep', 'Glob'];
+const WEB_TOOLS = [...READ_TOOLS, 'WebSearch', 'WebFetch'];
+const WRITE_TOOLS = [...READ_TOOLS, 'Edit', 'Write', 'Bash'];
+
+const ROLES = {
+  'project-analyzer': {
+    kind: 'analyzer',
+    description: 'Turns requirements into the project plan and the development plan',
+    systemPrompt: 'You are a software architect. Plan for the requirements as stated, choose proven technology, and answer with the JSON asked for.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'json'
+  },
+  'verification-coordinator': {
+    kind: 'coordinator',
+    description: 'Scores plans, research and development plans',
+    systemPrompt: 'You are a strict reviewer. Score only what is in front of you and name concrete problems.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'verification'
+  },
+
+  'web-technology-researcher': {
+    kind: 'researcher',
+    description: 'Frameworks, libraries and web platform best practices',
+    systemPrompt: 'You research current web technology. Prefer primary sources and stable releases, and cite them.',
+    tools: WEB_TOOLS,
+    workflow: 'research',
+    maxParallel: 5,
+    artifact: 'results'
+  },
+  'security-researcher': {
+    kind: 'researcher',
+    description: 'Threats, secure defaults and known vulnerabilities of the chosen stack',
+    systemPrompt: 'You research application security. Cover authentication, input handling, secrets and dependency risks for the chosen stack.',
+    tools: WEB_TOOLS,
+    workflow: 'research',
+    maxParallel: 5,
+    artifact: 'results'
+  },
+  'performance-researcher': {
+    kind: 'researcher',
+    description: 'Performance and scalability techniques for the chosen stack',
+    systemPrompt: 'You research performance. Give measurable techniques for latency, throughput and resource use.',
+    tools: WEB_TOOLS,
+    workflow: 'research',
+    maxParallel: 5,
+    artifact: 'results'
+  },
+  'database-researcher': {
+    kind: 'researcher',
+    description: 'Data modelling, storage engines and migrations',
+    systemPrompt: 'You research data storage. Compare engines for the workload and describe schemas, indexes and migrations.',
+    tools: WEB_TOOLS,
+    workflow: 'research',
+    maxParallel: 5,
+    artifact: 'results'
+  },
+  'devops-researcher': {
+    kind: 'researcher',
+    description: 'Builds, deployment, CI and observability',
+    systemPrompt: 'You research delivery. Cover builds, CI, deployment targets, configuration and monitoring.',
+    tools: WEB_TOOLS,
+    workflow: 'research',
+    maxParallel: 5,
+    artifact: 'results'
+  },
+
+  'fullstack-developer': {
+    kind: 'developer',
+    description: 'Any component, front to back',
+    systemPrompt: 'You are a senior full-stack developer. Write complete, tested, production-ready code with no placeholders.',
+    tools: WRITE_TOOLS,
+    workflow: 'development',
+    maxParallel: 5,
+    artifact: 'files'
+  },
+  'frontend-developer': {
+    kind: 'developer',
+    description: 'User interfaces, client state and accessibility',
+    systemPrompt: 'You are a senior frontend developer. Write accessible, tested UI code with no placeholders.',
+    tools: WRITE_TOOLS,
+    workflow: 'development',
+    maxParallel: 5,
+    artifact: 'files'
+  },
+  'backend-developer': {
+    kind: 'developer',
+    description: 'APIs, services and business logic',
+    systemPrompt: 'You are a senior backend developer. Write secure, tested service code with explicit error handling.',
+    tools: WRITE_TOOLS,
+    workflow: 'development',
+    maxParallel: 5,
+    artifact: 'files'
+  },
+  'database-developer': {
+    kind: 'developer',
+    description: 'Schemas, migrations and data access',
+    systemPrompt: 'You are a database developer. Write reversible migrations and efficient, tested data access code.',
+    tools: WRITE_TOOLS,
+    workflow: 'development',
+    maxParallel: 2,
+    artifact: 'files'
+  },
+  'devops-developer': {
+    kind: 'developer',
+    description: 'Build scripts, CI workflows, containers and deployment',
+    systemPrompt: 'You are a DevOps engineer. Write reproducible build, CI and deployment configuration.',
+    tools: WRITE_TOOLS,
+    workflow: 'development',
+    maxParallel: 2,
+    artifact: 'files'
+  },
+
+  'code-quality-verifier': {
+    kind: 'verifier',
+    description: 'Readability, structure, tests and maintainability',
+    systemPrompt: 'You review code quality. Judge structure, naming, tests and error handling, and give fixes that can be applied as they are.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'verification'
+  },
+  'security-verifier': {
+    kind: 'verifier',
+    description: 'Vulnerabilities, secrets and unsafe patterns',
+    systemPrompt: 'You review code for security. Report exploitable problems first, with the file and the fix.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'verification'
+  },
+  'performance-verifier': {
+    kind: 'verifier',
+    description: 'Inefficient algorithms, queries and resource use',
+    systemPrompt: 'You review code for performance. Report the hot paths and wasteful work that matter at the expected scale.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'verification'
+  },
+
+  'verification-iterator': {
+    kind: 'iterator',
+    description: 'Applies verification fixes and review feedback to the code',
+    systemPrompt: 'You fix code. Change only what the findings ask for and keep everything else working.',
+    tools: WRITE_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'files'
+  },
+  'report-generator': {
+    kind: 'reporter',
+    description: 'Writes the final project report',
+    systemPrompt: 'You write concise technical documentation for maintainers.',
+    tools: READ_TOOLS,
+    workflow: null,
+    maxParallel: 1,
+    artifact: 'markdown'
+  }
+};
+
+// Used when a plan names no known role of a kind
+const DEFAULT_ROLES = {
+  researcher: 'web-technology-researcher',
+  developer: 'fullstack-developer'
+};
+
+function getRole(name) {
+  return Object.prototype.hasOwnProperty.call(ROLES, name) ? { name, ...ROLES[name] } : null;
+}
+
+function rolesOf(kind) {
+  return Object.keys(ROLES).filter(name => ROLES[name].kind === kind);
+}
+
+// Splits `names` into the known roles of `kind`, without duplicates, and the
+// rest. With none known, the kind's default stands in.
+function resolveRoles(names, kind) {
+  const known = [];
+  const unknown = [];
+
+  for (const name of Array.isArray(names) ? names : []) {
+    const role = getRole(name);
+    if (role && role.kind === kind) {
+      if (!known.includes(name)) {
+        known.push(name);
+      }
+    } else {
+      unknown.push(name);
+    }
+  }
+
+  return {
+    roles: known.length > 0 || !DEFAULT_ROLES[kind] ? known : [DEFAULT_ROLES[kind]],
+    unknown
+  };
+}
+
+// The registered roles of a kind as prompt lines, `- name: description`
+function describeRoles(kind) {
+  return rolesOf(kind).map(name => `${name}: ${ROLES[name].description}`);
+}
+
+// How many jobs of a parallel dispatch may run at once: the lowest limit of
+// the roles involved
+function parallelLimit(names) {
+  const limits = names.map(getRole).filter(Boolean).map(role => role.maxParallel);
+  return limits.length > 0 ? Math.min(...limits) : 1;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLES,
+  getRole,
+  rolesOf,
+  resolveRoles,
+  describeRoles,
+  parallelLimit
+};
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { INITIAL_STEP } = require('./pipeline');
+const { createUsage } = require('./budget');
+const { createStats } = require('./metrics');
+
+function runId(owner, repo, issueNumber) {
+  return `${owner}/${repo}#${issueNumber}`;
+}
+
+// `config` is the repository config the run started with, kept so that
+// editing the file does not change a run halfway through. `budget` holds the
+// limits from lib/budget.js, or null for none. `queue` is set while the run
+// waits for a slot (lib/queue.js). `timeline`, `workflowRuns` and `errors`
+// record what happened, for operators.
+function createRun({ owner, repo, issueNumber, installationId, requirements, config = null, branch = null, budget = null }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: runId(owner, repo, issueNumber),
+    owner,
+    repo,
+    issueNumber,
+    installationId: installationId || null,
+    requirements: requirements || '',
+    config,
+    branch,
+    state: 'running',
+    step: INITIAL_STEP,
+    phase: null,
+    waitingFor: null,
+    context: {},
+    completedPhases: [],
+    iteration: 0,
+    scores: {},
+    artifacts: {},
+    outputs: {},
+    usage: createUsage(),
+    budget,
+    paused: null,
+    queue: null,
+    timeline: [],
+    workflowRuns: [],
+    errors: [],
+    // Version and source of every prompt template the run used
+    prompts: {},
+    stats: createStats(),
+    error: null,
+    status: { commentId: null, checkRun: null, branch: null },
+    activity: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Besides run records, every store remembers webhook delivery IDs:
+// `recordDelivery(id)` resolves to true the first time an ID is seen and to
+// false for a replay or redelivery. `forgetDelivery(id)` lets a delivery that
+// could not be handled be delivered again.
+//
+// Stores also hold named locks with a time to live. `acquireLock(name, ttl)`
+// resolves to a token while nobody else holds the lock and to null
+// otherwise; `renewLock(name, token, ttl)` gives the holder another `ttl` and
+// resolves to false once the lock is no longer theirs; `releaseLock(name,
+// token)` only releases the holder's own lock.
+
+// Keeps runs in process memory. Useful for tests and single-process servers.
+class MemoryRunStore {
+  constructor() {
+    this.runs = new Map();
+    this.deliveries = new Set();
+    this.locks = new Map();
+  }
+
+  async get(id) {
+    const run = this.runs.get(id);
+    return run ? JSON.parse(JSON.stringify(run)) : null;
+  }
+
+  async save(run) {
+    run.updatedAt = new Date().toISOString();
+    this.runs.set(run.id, JSON.parse(JSON.stringify(run)));
+    return run;
+  }
+
+  async list() {
+    return [...this.runs.values()].map(run => JSON.parse(JSON.stringify(run)));
+  }
+
+  async delete(id) {
+    this.runs.delete(id);
+  }
+
+  async recordDelivery(deliveryId) {
+    if (this.deliveries.has(deliveryId)) {
+      return false;
+    }
+    this.deliveries.add(deliveryId);
+    return true;
+  }
+
+  async forgetDelivery(deliveryId) {
+    this.deliveries.delete(deliveryId);
+  }
+
+  async acquireLock(name, ttl) {
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > Date.now()) {
+      return null;
+    }
+
+    const token = crypto.randomUUID();
+    this.locks.set(name, { token, expiresAt: Date.now() + ttl });
+    return token;
+  }
+
+  async renewLock(name, token, ttl) {
+    const lock = this.locks.get(name);
+    if (!lock || lock.token !== token || lock.expiresAt <= Date.now()) {
+      return false;
+    }
+    lock.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async releaseLock(name, token) {
+    const lock = this.locks.get(name);
+    if (lock && lock.token === token) {
+      this.locks.delete(name);
+    }
+  }
+}
+
+// Stores one JSON file per run. Writes go through a temp file and rename so a
+// crash mid-write never leaves a truncated record behind.
+class FileRunStore {
+  constructor(dir) {
+    this.dir = dir || process.env.MCP_RUN_STORE_DIR || path.join(os.tmpdir(), 'mcp-lite-runs');
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  async get(id) {
+    try {
+      const content = await fs.readFile(this.fileFor(id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(run) {
+    run.updatedAt = new Date().toISOString();
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const file = this.fileFor(run.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(run, null, 2));
+    await fs.rename(tempFile, file);
+    return run;
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        const content = await fs.readFile(path.join(this.dir, file), 'utf8');
+        runs.push(JSON.parse(content));
+      }
+    }
+    return runs;
+  }
+
+  async delete(id) {
+    await fs.rm(this.fileFor(id), { force: true });
+  }
+
+  async recordDelivery(deliveryId) {
+    const dir = path.join(this.dir, 'deliveries');
+    await fs.mkdir(dir, { recursive: true });
+
+    try {
+      // 'wx' fails if the file exists, so concurrent deliveries cannot both win
+      await fs.writeFile(path.join(dir, encodeURIComponent(deliveryId)), new Date().toISOString(), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async forgetDelivery(deliveryId) {
+    await fs.rm(path.join(this.dir, 'deliveries', encodeURIComponent(deliveryId)), { force: true });
+  }
+
+  lockFile(name) {
+    return path.join(this.dir, 'locks', encodeURIComponent(name));
+  }
+
+  async acquireLock(name, ttl) {
+    const file = this.lockFile(name);
+    const token = crypto.randomUUID();
+    const tempFile = `${file}.${token}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify({ token, expiresAt: Date.now() + ttl }));
+
+    // Linking fails if the lock exists, and never shows a half-written file
+    try {
+      await fs.link(tempFile, file);
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    } finally {
+      await fs.rm(tempFile, { force: true });
+    }
+
+    // Locks left behind by a crashed process expire
+    const lock = await this.readLock(file);
+    if (lock && lock.expiresAt > Date.now()) {
+      return null;
+    }
+    await fs.rm(file, { force: true });
+    return await this.acquireLock(name, ttl);
+  }
+
+  // Replaced through a rename, so readers never see a half-written lock
+  async renewLock(name, token, ttl) {
+    const file = this.lockFile(name);
+    const lock = await this.readLock(file);
+    if (!lock || lock.token !== token || lock.expiresAt <= Date.now()) {
+      return false;
+    }
+
+    const tempFile = `${file}.${token}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ token, expiresAt: Date.now() + ttl }));
+    await fs.rename(tempFile, file);
+    return true;
+  }
+
+  async releaseLock(name, token) {
+    const file = this.lockFile(name);
+    const lock = await this.readLock(file);
+    if (lock && lock.token === token) {
+      await fs.rm(file, { force: true });
+    }
+  }
+
+  async readLock(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+// Vercel KV / Upstash Redis over its REST interface, so production needs no
+// extra client dependency.
+class KVRunStore {
+  constructor({ url, token, prefix } = {}) {
+    this.url = url || process.env.KV_REST_API_URL;
+    this.token = token || process.env.KV_REST_API_TOKEN;
+    this.prefix = prefix || 'mcp-lite:';
+
+    if (!this.url || !this.token) {
+      throw new Error('KVRunStore requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV command ${args[0]} failed with status ${response.status}`);
+    }
+
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(`KV command ${args[0]} failed: ${error}`);
+    }
+    return result;
+  }
+
+  async get(id) {
+    const value = await this.command('GET', `${this.prefix}run:${id}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async save(run) {
+    run.updatedAt = new Date().toISOString();
+    await this.command('SET', `${this.prefix}run:${run.id}`, JSON.stringify(run));
+    await this.command('SADD', `${this.prefix}runs`, run.id);
+    return run;
+  }
+
+  async list() {
+    const ids = await this.command('SMEMBERS', `${this.prefix}runs`) || [];
+    const runs = [];
+    for (const id of ids) {
+      const run = await this.get(id);
+      if (run) {
+        runs.push(run);
+      }
+    }
+    return runs;
+  }
+
+  async delete(id) {
+    await this.command('DEL', `${this.prefix}run:${id}`);
+    await this.command('SREM', `${this.prefix}runs`, id);
+  }
+
+  async recordDelivery(deliveryId) {
+    // SET NX only succeeds for the first writer; GitHub redeliveries happen
+    // within days, so a week of memory is plenty
+    const result = await this.command('SET', `${this.prefix}delivery:${deliveryId}`, '1', 'NX', 'EX', 7 * 24 * 60 * 60);
+    return result === 'OK';
+  }
+
+  async forgetDelivery(deliveryId) {
+    await this.command('DEL', `${this.prefix}delivery:${deliveryId}`);
+  }
+
+  async acquireLock(name, ttl) {
+    const token = crypto.randomUUID();
+    const result = await this.command('SET', `${this.prefix}lock:${name}`, token, 'NX', 'PX', ttl);
+    return result === 'OK' ? token : null;
+  }
+
+  async renewLock(name, token, ttl) {
+    const result = await this.command(
+      'EVAL',
+      "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end",
+      1,
+      `${this.prefix}lock:${name}`,
+      token,
+      ttl
+    );
+    return result === 1;
+  }
+
+  async releaseLock(name, token) {
+    // Compare and delete in one step, so an expired lock taken over by
+    // someone else stays theirs
+    await this.command(
+      'EVAL',
+      "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end",
+      1,
+      `${this.prefix}lock:${name}`,
+      token
+    );
+  }
+}
+
+// Picks a store from MCP_RUN_STORE (memory, file or kv). Defaults to KV when
+// its credentials are present and to the file store otherwise.
+function createRunStore(type = process.env.MCP_RUN_STORE) {
+  const storeType = type || (process.env.KV_REST_API_URL ? 'kv' : 'file');
+
+  switch (storeType) {
+    case 'memory':
+      return new MemoryRunStore();
+    case 'file':
+      return new FileRunStore();
+    case 'kv':
+      return new KVRunStore();
+    default:
+      throw new Error(`Unknown run store: ${storeType}`);
+  }
+}
+
+module.exports = {
+  runId,
+  createRun,
+  MemoryRunStore,
+  FileRunStore,
+  KVRunStore,
+  createRunStore
+};
@@ -0,0 +1,158 @@
+// Drives one run from the command line, without webhooks. The orchestrator
+// does its work as usual; where a deployed app would wait for a webhook, the
+// runner polls GitHub for the comment or workflow run and hands it over as
+// the event, unless told not to poll. Approval gates are passed only when
+// asked to.
+
+const { EVENTS, PHASES, resolvePhase } = require('./pipeline');
+const { runId } = require('./run-store');
+const { isClaudeComment } = require('./providers');
+const { workflowCompletedEvent } = require('./events');
+const { logger } = require('./logger');
+
+const POLL_INTERVAL = 15 * 1000;
+
+// Research and development workflows can take a long time
+const WAIT_TIMEOUT = 6 * 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LocalRunner {
+  constructor(orchestrator, {
+    approve = false,
+    approver = 'local',
+    poll = true,
+    pollInterval = POLL_INTERVAL,
+    timeout = WAIT_TIMEOUT
+  } = {}) {
+    this.orchestrator = orchestrator;
+    this.octokit = orchestrator.octokit;
+    this.approve = approve;
+    this.approver = approver;
+    this.polling = poll;
+    this.pollInterval = pollInterval;
+    this.timeout = timeout;
+  }
+
+  // Starts or continues the issue's run and follows it until it finishes or
+  // has to wait for something the runner cannot provide. `fromPhase` restarts
+  // the run at that phase. Resolves to the run.
+  async run({ requirements, fromPhase = null }) {
+    const { orchestrator } = this;
+    const existing = await orchestrator.store.get(runId(orchestrator.owner, orchestrator.repo, orchestrator.issueNumber));
+
+    let restarted = false;
+    if (fromPhase && existing) {
+      logger.info(`Restarting run ${existing.id} at ${resolvePhase(fromPhase)}`);
+      await orchestrator.retry(fromPhase);
+      restarted = true;
+    } else if (fromPhase && resolvePhase(fromPhase) !== PHASES[0]) {
+      throw new Error(`No run for issue #${orchestrator.issueNumber} to restart at ${resolvePhase(fromPhase)}; start one from the first phase`);
+    } else if (existing && existing.state === 'paused') {
+      await orchestrator.resume();
+      restarted = true;
+    }
+
+    // A restarted run goes back into the queue; locally there is no other
+    // run to wait for
+    if (!restarted || (await orchestrator.requireRun()).state === 'queued') {
+      await orchestrator.processRequest(requirements);
+    }
+
+    return await this.follow();
+  }
+
+  async follow() {
+    const { orchestrator } = this;
+
+    for (;;) {
+      const run = await orchestrator.requireRun();
+      if (run.state !== 'running' || !run.waitingFor) {
+        return run;
+      }
+
+      const { waitingFor } = run;
+      if (waitingFor.type === EVENTS.APPROVAL) {
+        if (!this.approve) {
+          logger.info(`Run ${run.id} is waiting for approval at ${run.step}`);
+          return run;
+        }
+        await orchestrator.approve(this.approver);
+        continue;
+      }
+
+      if (!this.polling) {
+        logger.info(`Run ${run.id} is waiting for ${waitingFor.type} in ${run.step}`);
+        return run;
+      }
+
+      logger.info(`Waiting for ${waitingFor.type} in ${run.step}`);
+      const event = await this.poll(run, waitingFor);
+      await orchestrator.handleEvent(event);
+    }
+  }
+
+  // Polls until `find` resolves to an event
+  async poll(run, waitingFor) {
+    const since = waitingFor.requestedAt || new Date().toISOString();
+    const giveUpAt = Date.now() + this.timeout;
+    const find = waitingFor.type === EVENTS.MODEL_RESPONSE
+      ? () => this.findModelResponse(run, since)
+      : () => this.findWorkflowRun(run, waitingFor, since);
+
+    for (;;) {
+      const event = await find();
+      if (event) {
+        return event;
+      }
+      if (Date.now() >= giveUpAt) {
+        throw new Error(`Timed out waiting for ${waitingFor.type} in ${run.step}`);
+      }
+      await sleep(this.pollInterval);
+    }
+  }
+
+  // The first answer from the Claude bot after the prompt was posted. Later
+  // than `since`, as matchesWait in lib/pipeline.js has it, or an answer it
+  // rejects would be found on every poll.
+  async findModelResponse(run, since) {
+    const { data: comments } = await this.octokit.request('GET /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      owner: run.owner,
+      repo: run.repo,
+      issue_number: run.issueNumber,
+      since,
+      per_page: 100
+    });
+
+    const comment = comments.find(candidate => isClaudeComment(candidate) && new Date(candidate.created_at) > new Date(since));
+    return comment
+      ? { type: EVENTS.MODEL_RESPONSE, body: comment.body, createdAt: comment.created_at }
+      : null;
+  }
+
+  // The dispatched workflow run, by its correlation ID, once it completed.
+  // Without one, any run of the workflow on the branch started since the wait.
+  async findWorkflowRun(run, waitingFor, since) {
+    const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs', {
+      owner: run.owner,
+      repo: run.repo,
+      branch: waitingFor.branch,
+      event: 'workflow_dispatch',
+      per_page: 50
+    });
+
+    const workflowRun = data.workflow_runs
+      .filter(candidate => candidate.status === 'completed')
+      .map(candidate => ({ candidate, event: workflowCompletedEvent(candidate) }))
+      .find(({ candidate, event }) =>
+        event.workflow === waitingFor.workflow && (waitingFor.correlationId
+          ? event.correlationId === waitingFor.correlationId
+          : candidate.created_at >= since)
+      );
+    return workflowRun ? workflowRun.event : null;
+  }
+}
+
+module.exports = { LocalRunner, POLL_INTERVAL, WAIT_TIMEOUT };
@@ -0,0 +1,146 @@
+// Declared shapes of the JSON the model is asked to return, and a small
+// validator for the subset of JSON Schema they use (type, required,
+// properties, additionalProperties: false, items, minimum, maximum).
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const SCHEMAS = {
+  plan: {
+    type: 'object',
+    required: ['requirements', 'components', 'researchers'],
+    properties: {
+      requirements: { type: 'string' },
+      technologyStack: { type: 'array' },
+      components: { type: 'array' },
+      researchers: stringList,
+      developers: stringList,
+      verifiers: stringList,
+      successCriteria: { type: 'array' },
+      complexity: { type: 'string' }
+    }
+  },
+
+  verification: {
+    type: 'object',
+    required: ['score'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      issues: { type: 'array' },
+      improvements: { type: 'array' },
+      fixes: { type: 'array' }
+    }
+  },
+
+  devPlan: {
+    type: 'object',
+    required: ['components'],
+    properties: {
+      components: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            developer: { type: 'string' },
+            files: { type: 'array' },
+            dependencies: { type: 'array' }
+          }
+        }
+      },
+      developers: stringList
+    }
+  },
+
+  research: {
+    type: 'object'
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+}
+
+// Returns a list of human-readable errors; empty when the value is valid.
+function validate(schema, value, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type && schema.type !== actualType) {
+    errors.push(`${path} must be ${schema.type}, got ${actualType}`);
+    return errors;
+  }
+
+  if (actualType === 'number') {
+    if (Number.isNaN(value)) {
+      errors.push(`${path} must be a number, got NaN`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(schema.properties || {})[key]) {
+          errors.push(`${path}.${key} is not a known property`);
+        }
+      }
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Compact description of a schema for prompts, e.g.
+// {"score": number (0-100, required), "issues": array}
+function describeSchema(schema) {
+  if (schema.type === 'object' && schema.properties) {
+    const required = schema.required || [];
+    const fields = Object.entries(schema.properties).map(([key, propertySchema]) => {
+      const notes = [];
+      if (propertySchema.minimum !== undefined || propertySchema.maximum !== undefined) {
+        notes.push(`${propertySchema.minimum ?? ''}-${propertySchema.maximum ?? ''}`);
+      }
+      if (required.includes(key)) {
+        notes.push('required');
+      }
+      return `"${key}": ${describeSchema(propertySchema)}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+    });
+    return `{${fields.join(', ')}}`;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return `[${describeSchema(schema.items)}]`;
+  }
+
+  return schema.type || 'any';
+}
+
+module.exports = { SCHEMAS, validate, describeSchema };
@@ -0,0 +1,95 @@
+// Quality scoring for the iterative phases. Each iteration is scored on one or
+// more dimensions (a verifier, a tool check, or the phase's single reviewer),
+// combined with per-dimension weights and checked against hard minimums. The
+// loop goes on until the score passes, stops improving or runs out of
+// iterations.
+
+// Combines dimension scores into one. Dimensions without a numeric score are
+// left out of the mean and listed in `missing`; one that has a minimum fails
+// it. Weights default to 1, and a weight of 0 leaves a dimension out.
+function evaluate(dimensions, { threshold, weights = {}, minimums = {} }) {
+  const scored = {};
+  const missing = [];
+  let total = 0;
+  let weightSum = 0;
+
+  for (const [name, score] of Object.entries(dimensions)) {
+    if (typeof score !== 'number' || !Number.isFinite(score)) {
+      missing.push(name);
+      continue;
+    }
+    const weight = name in weights ? weights[name] : 1;
+    scored[name] = score;
+    total += weight * score;
+    weightSum += weight;
+  }
+
+  const belowMinimum = Object.keys(dimensions)
+    .filter(name => name in minimums && !(scored[name] >= minimums[name]))
+    .map(name => ({ name, score: name in scored ? scored[name] : null, minimum: minimums[name] }));
+  const score = weightSum > 0 ? Math.round(total / weightSum) : 0;
+
+  return {
+    score,
+    dimensions: scored,
+    missing,
+    belowMinimum,
+    passed: weightSum > 0 && score >= threshold && belowMinimum.length === 0
+  };
+}
+
+// The entry to fall back to: the highest score among those that meet every
+// minimum, or the highest score overall when none does. Later entries win
+// ties, since they carry more of the work.
+function bestIndex(history) {
+  let best = -1;
+  for (let i = 0; i < history.length; i++) {
+    if (best === -1 || rank(history[i]) >= rank(history[best])) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+function rank(entry) {
+  return (entry.belowMinimum.length === 0 ? 1000 : 0) + entry.score;
+}
+
+// Whether none of the last `patience` entries beat the best one before them
+// by at least `minImprovement`. Covers plateaus and regressions alike.
+function isStagnant(history, { patience, minImprovement }) {
+  if (!patience || history.length <= patience) {
+    return false;
+  }
+
+  const before = Math.max(...history.slice(0, -patience).map(entry => entry.score));
+  const recent = Math.max(...history.slice(-patience).map(entry => entry.score));
+  return recent < before + minImprovement;
+}
+
+// What the loop does after the latest entry of `history` (the current round
+// only): 'passed', 'continue', 'stagnated' or 'exhausted'.
+function decide(history, { iteration, maxIterations, patience, minImprovement }) {
+  const latest = history[history.length - 1];
+
+  if (latest.passed) {
+    return 'passed';
+  }
+  if (iteration >= maxIterations) {
+    return 'exhausted';
+  }
+  if (isStagnant(history, { patience, minImprovement })) {
+    return 'stagnated';
+  }
+  return 'continue';
+}
+
+function describeEvaluation(evaluation) {
+  const parts = [`${evaluation.score}%`];
+  for (const { name, score, minimum } of evaluation.belowMinimum) {
+    parts.push(`${name} ${score === null ? 'missing' : `${score}%`} is below its minimum of ${minimum}%`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = { evaluate, bestIndex, isStagnant, decide, describeEvaluation };
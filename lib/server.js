@@ -0,0 +1,124 @@
+// Local development server. The Vercel handler in api/webhook.js runs behind
+// Express, so the webhook, /health, /metrics and the operator API all answer
+// as deployed. Deliveries can be saved as they arrive and replayed later, and
+// handled as a dry run that only reports what would be written.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const express = require('express');
+
+const { signPayload, verifySignature, parsePayload } = require('./webhook-verification');
+const { writeTranscript } = require('./dry-run');
+const { logger } = require('./logger');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_WEBHOOK_URL = `http://localhost:${DEFAULT_PORT}/api/github/webhooks`;
+
+// A saved delivery is `{ "event": ..., "payload": ... }`. Replays are signed
+// anew, so the payload need not be byte-exact.
+function saveDelivery(dir, event, deliveryId, payload) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${event}-${deliveryId || 'unknown'}.json`;
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify({ event, payload }, null, 2));
+  return file;
+}
+
+// Saves correctly signed webhook deliveries to `dir` before they are handled
+function recordDeliveries(dir) {
+  return (req, res, next) => {
+    const event = req.headers['x-github-event'];
+    const signed = Buffer.isBuffer(req.body) &&
+      verifySignature(process.env.GITHUB_WEBHOOK_SECRET, req.body, req.headers['x-hub-signature-256']);
+    if (req.method === 'POST' && event && signed) {
+      try {
+        const payload = parsePayload(req.body, req.headers['content-type']);
+        const file = saveDelivery(dir, event, req.headers['x-github-delivery'], payload);
+        logger.info(`Saved ${event} delivery to ${file}`);
+      } catch (error) {
+        logger.warn('Error saving delivery', { error });
+      }
+    }
+    next();
+  };
+}
+
+// Rewrites the dry run's transcript after every request
+function saveTranscript(dryRun, file) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      try {
+        writeTranscript(dryRun, file);
+      } catch (error) {
+        logger.warn('Error writing the dry run transcript', { error });
+      }
+    });
+    next();
+  };
+}
+
+// The raw body is kept as a Buffer; the handler verifies the signature over it
+function createServer({
+  handler = require('../api/webhook'),
+  recordDir = null,
+  dryRun = null,
+  transcriptFile = null
+} = {}) {
+  const app = express();
+  app.use(express.raw({ type: () => true, limit: '25mb' }));
+  if (recordDir) {
+    app.use(recordDeliveries(recordDir));
+  }
+  if (dryRun && transcriptFile) {
+    app.use(saveTranscript(dryRun, transcriptFile));
+  }
+  app.use((req, res) => handler(req, res));
+  return app;
+}
+
+// Reads a saved delivery. A bare payload needs its `event` given.
+function readDelivery(file, event = null) {
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (saved.event && saved.payload) {
+    return { event: event || saved.event, payload: saved.payload };
+  }
+  if (!event) {
+    throw new Error(`${file} is a bare payload; name its event`);
+  }
+  return { event, payload: saved };
+}
+
+// Sends a saved delivery to a running server, signed with the webhook secret
+// and under a fresh delivery ID so it is not skipped as a redelivery
+async function replayDelivery(delivery, {
+  url = DEFAULT_WEBHOOK_URL,
+  secret = process.env.GITHUB_WEBHOOK_SECRET
+} = {}) {
+  if (!secret) {
+    throw new Error('GITHUB_WEBHOOK_SECRET is not set; replays are signed with it');
+  }
+
+  const body = Buffer.from(JSON.stringify(delivery.payload));
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-github-event': delivery.event,
+      'x-github-delivery': crypto.randomUUID(),
+      'x-hub-signature-256': signPayload(secret, body)
+    },
+    body
+  });
+
+  return { status: response.status, body: await response.text() };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_WEBHOOK_URL,
+  createServer,
+  readDelivery,
+  replayDelivery
+};
@@ -0,0 +1,259 @@
+// Progress reporting: one status comment on the issue, edited in place, and a
+// Check Run on the head commit of the project branch.
+
+const { PHASES, PHASE_TITLES } = require('./pipeline');
+const { logger } = require('./logger');
+
+const CHECK_NAME = 'MCP-LITE';
+
+// Entries kept in the status comment's activity log
+const ACTIVITY_LIMIT = 10;
+
+const STATE_ICONS = {
+  queued: '⏳',
+  running: '🔄',
+  paused: '⏸️',
+  completed: '✨',
+  failed: '❌',
+  cancelled: '🛑'
+};
+
+// A task list, so GitHub also shows the phase progress next to the comment
+function renderChecklist(run) {
+  return PHASES
+    .map(phase => {
+      const done = run.completedPhases.includes(phase);
+      const scores = run.scores[phase] || [];
+      const notes = [
+        ...((run.skippedPhases || []).includes(phase) ? ['skipped'] : []),
+        ...(scores.length > 0 ? [`quality ${scores[scores.length - 1]}%`] : []),
+        ...(!done && run.phase === phase ? [`${STATE_ICONS[run.state]} current`] : [])
+      ];
+      return `- [${done ? 'x' : ' '}] ${PHASE_TITLES[phase]}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    })
+    .join('\n');
+}
+
+const JOB_ICONS = {
+  success: '✅',
+  skipped: '⏭️',
+  cancelled: '🛑',
+  missing: '❔'
+};
+
+// Job results of the latest workflow run that has them
+function renderJobs(run) {
+  const latest = (run.workflowRuns || []).filter(record => record.jobs).pop();
+  if (!latest) {
+    return null;
+  }
+  const jobs = Object.entries(latest.jobs).map(([name, conclusion]) => `${JOB_ICONS[conclusion] || '❌'} ${name}`);
+  return `**Jobs (\`${latest.workflow}\`):** ${jobs.join(' · ')}`;
+}
+
+function renderLinks(run) {
+  const base = `https://github.com/${run.owner}/${run.repo}`;
+  const links = [];
+
+  if (run.status && run.status.branch) {
+    links.push(`[Branch \`${run.status.branch}\`](${base}/tree/${run.status.branch})`);
+  }
+  if (run.outputs.pullRequest) {
+    links.push(`[Pull request #${run.outputs.pullRequest}](${base}/pull/${run.outputs.pullRequest})`);
+  }
+  if (run.status && run.status.checkRun) {
+    links.push(`[Check run](${run.status.checkRun.url})`);
+  }
+  for (const [name, artifactPath] of Object.entries(run.artifacts)) {
+    if (run.status && run.status.branch) {
+      links.push(`[${name}](${base}/blob/${run.status.branch}/${artifactPath})`);
+    }
+  }
+
+  return links.join(' · ');
+}
+
+// Markdown for the status comment. The Check Run summary uses the same body
+// without the activity log.
+function renderStatus(run, { activity = true } = {}) {
+  const scores = Object.entries(run.scores)
+    .filter(([, values]) => values.length > 0)
+    .map(([phase, values]) => `| ${PHASE_TITLES[phase]} | ${values.join(' → ')} |`);
+  const checks = Object.entries((run.outputs && run.outputs.checks) || {})
+    .map(([check, result]) => `| ${check} | ${result.score}% | ${result.summary} |`);
+  const jobs = renderJobs(run);
+  const links = renderLinks(run);
+  const entries = (run.activity || []).map(entry => `- \`${entry.at.slice(11, 19)}\` ${entry.message}`);
+
+  return [
+    `## 🤖 MCP-LITE run for #${run.issueNumber}`,
+    '',
+    `**State:** ${STATE_ICONS[run.state]} ${run.state} · **Step:** \`${run.step}\` · **Iteration:** ${run.iteration}`,
+    ...(run.waitingFor ? [`**Waiting for:** ${run.waitingFor.type.replace('_', ' ')}`] : []),
+    ...(run.state === 'queued' && run.queue ? [`**Queue position:** ${run.queue.position}`] : []),
+    ...(run.state === 'paused' && run.paused ? [`**Paused:** ${run.paused.reason}. Comment \`/mcp resume\` to continue.`] : []),
+    ...(run.error ? [`**Error:** ${run.error}`] : []),
+    '',
+    renderChecklist(run),
+    ...(scores.length > 0 ? ['', '| Phase | Quality scores |', '|-------|----------------|', ...scores] : []),
+    ...(checks.length > 0 ? ['', '| Check | Score | Result |', '|-------|-------|--------|', ...checks] : []),
+    ...(jobs ? ['', jobs] : []),
+    ...(links ? ['', `**Links:** ${links}`] : []),
+    ...(activity && entries.length > 0
+      ? ['', '<details><summary>Recent activity</summary>', '', ...entries, '', '</details>']
+      : [])
+  ].join('\n');
+}
+
+function checkRunTitle(run) {
+  if (run.state === 'queued') {
+    return 'Queued';
+  }
+  if (run.state === 'paused') {
+    return 'Paused';
+  }
+  if (run.state !== 'running') {
+    return `Run ${run.state}`;
+  }
+  return run.phase ? PHASE_TITLES[run.phase] : 'Starting';
+}
+
+const CONCLUSIONS = {
+  completed: 'success',
+  failed: 'failure',
+  cancelled: 'cancelled'
+};
+
+// Keeps the status comment and Check Run of one run up to date. Their IDs
+// live in `run.status`, so the caller saves the run after `update`.
+class StatusReporter {
+  constructor(octokit, owner, repo, issueNumber) {
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.issueNumber = issueNumber;
+  }
+
+  // Adds `message` to the activity log, if given, and re-renders both.
+  async update(run, message = null) {
+    run.status = run.status || { commentId: null, checkRun: null, branch: null };
+
+    if (message) {
+      const entry = { at: new Date().toISOString(), message: message.replace(/\s*\n\s*/g, ' ') };
+      run.activity = [...(run.activity || []), entry].slice(-ACTIVITY_LIMIT);
+    }
+
+    await this.updateComment(run);
+
+    // The Check Run is a nicety; missing Checks permission must not stop the run
+    try {
+      await this.updateCheckRun(run);
+    } catch (error) {
+      logger.warn('Error updating check run', { error });
+    }
+  }
+
+  async updateComment(run) {
+    const body = renderStatus(run);
+
+    if (run.status.commentId) {
+      try {
+        await this.octokit.request('PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}', {
+          owner: this.owner,
+          repo: this.repo,
+          comment_id: run.status.commentId,
+          body
+        });
+        return;
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+        // Someone deleted the status comment; post a new one
+      }
+    }
+
+    const { data: comment } = await this.octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      owner: this.owner,
+      repo: this.repo,
+      issue_number: this.issueNumber,
+      body
+    });
+    run.status.commentId = comment.id;
+  }
+
+  async headSha(branch) {
+    try {
+      const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', {
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`
+      });
+      return data.object.sha;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Check Runs belong to a commit, so a new head gets a new Check Run and the
+  // previous one is closed as superseded.
+  async updateCheckRun(run) {
+    const { branch } = run;
+    const sha = branch ? await this.headSha(branch) : null;
+    if (!sha) {
+      // The branch is created when development starts
+      return;
+    }
+    run.status.branch = branch;
+
+    const { checkRun } = run.status;
+    // Queued and paused runs are not over, so their Check Run stays in progress
+    const finished = !['queued', 'running', 'paused'].includes(run.state);
+    const output = {
+      title: checkRunTitle(run),
+      summary: renderStatus(run, { activity: false })
+    };
+    const progress = finished
+      ? { status: 'completed', conclusion: CONCLUSIONS[run.state], completed_at: new Date().toISOString() }
+      : { status: 'in_progress' };
+
+    if (checkRun && checkRun.sha === sha) {
+      await this.octokit.request('PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}', {
+        owner: this.owner,
+        repo: this.repo,
+        check_run_id: checkRun.id,
+        output,
+        ...progress
+      });
+      checkRun.finished = finished;
+      return;
+    }
+
+    if (checkRun && !checkRun.finished) {
+      await this.octokit.request('PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}', {
+        owner: this.owner,
+        repo: this.repo,
+        check_run_id: checkRun.id,
+        status: 'completed',
+        conclusion: 'neutral',
+        output: { title: 'Superseded', summary: `Continued on ${sha}` }
+      });
+    }
+
+    const { data } = await this.octokit.request('POST /repos/{owner}/{repo}/check-runs', {
+      owner: this.owner,
+      repo: this.repo,
+      name: CHECK_NAME,
+      head_sha: sha,
+      details_url: `https://github.com/${this.owner}/${this.repo}/issues/${this.issueNumber}`,
+      output,
+      ...progress
+    });
+    run.status.checkRun = { id: data.id, sha, url: data.html_url, finished };
+  }
+}
+
+module.exports = { StatusReporter, renderStatus, CHECK_NAME };
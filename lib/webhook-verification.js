@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// GitHub signs the exact bytes it sends, so verification has to run over the
+// raw request body, never over a re-serialised parse of it.
+
+function signPayload(secret, rawBody) {
+  return 'sha256=' + crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+}
+
+// Constant-time comparison of the X-Hub-Signature-256 header against the
+// signature we compute ourselves.
+function verifySignature(secret, rawBody, signature) {
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, rawBody));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns the unparsed request body as a Buffer. Works with a body-parser that
+// kept the bytes (express.raw, `req.rawBody`) and with a readable stream.
+//
+// The Vercel runtime reads the stream itself before calling us: it leaves the
+// stream ended, replays the bytes to `data` and `end` listeners only, and
+// makes `req.body` a getter that parses them. So the bytes are read through
+// those listeners, and `req.body` is only used when it already holds a Buffer,
+// never through a getter that would parse it.
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody;
+  }
+  const body = Object.getOwnPropertyDescriptor(req, 'body');
+  if (body && Buffer.isBuffer(body.value)) {
+    return body.value;
+  }
+  // An ended stream nobody replays would never emit `end`
+  if (req.readableEnded && !Object.prototype.hasOwnProperty.call(req, 'on')) {
+    throw new Error('Raw request body is not available');
+  }
+
+  return await new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Webhooks are delivered as JSON or, if the app is configured that way, as a
+// form with a single `payload` field.
+function parsePayload(rawBody, contentType = '') {
+  const text = rawBody.toString('utf8');
+
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return JSON.parse(new URLSearchParams(text).get('payload'));
+  }
+  return JSON.parse(text);
+}
+
+module.exports = { signPayload, verifySignature, readRawBody, parsePayload };
@@ -0,0 +1,130 @@
+// Reads the files out of a zip archive in memory, for workflow artifacts.
+// Supports stored and deflated entries, which is what GitHub produces; zip64
+// and encrypted archives are rejected.
+
+const zlib = require('zlib');
+
+const DEFAULT_LIMITS = {
+  maxEntries: 1000,
+  maxEntrySize: 10 * 1024 * 1024,
+  maxTotalSize: 50 * 1024 * 1024
+};
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KiB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a zip archive');
+}
+
+// Entry names are relative paths; anything that could escape is refused
+function safePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.split('/').includes('..')) {
+    throw new Error(`Unsafe path in zip archive: ${name}`);
+  }
+  return normalized;
+}
+
+// Returns `[{ path, content }]` with `content` as a Buffer. `filter(path)`
+// selects the entries to extract; limits apply to what is extracted.
+function extractZip(buffer, { filter = () => true, limits = {} } = {}) {
+  const { maxEntries, maxEntrySize, maxTotalSize } = { ...DEFAULT_LIMITS, ...limits };
+
+  if (buffer.length < 22) {
+    throw new Error('Not a zip archive');
+  }
+
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('Zip64 archives are not supported');
+  }
+  if (entryCount > maxEntries) {
+    throw new Error(`Zip archive has ${entryCount} entries, the limit is ${maxEntries}`);
+  }
+
+  const files = [];
+  let totalSize = 0;
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip archive: bad central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    const filePath = safePath(name);
+    if (!filter(filePath)) {
+      continue;
+    }
+
+    if (flags & 0x1) {
+      throw new Error(`Encrypted zip entry: ${name}`);
+    }
+    if (size > maxEntrySize) {
+      throw new Error(`Zip entry ${name} is ${size} bytes, the limit is ${maxEntrySize}`);
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`Zip archive expands beyond ${maxTotalSize} bytes`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip archive: bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (data.length !== compressedSize) {
+      throw new Error(`Corrupt zip archive: ${name} is truncated`);
+    }
+
+    let content;
+    if (method === METHOD_STORED) {
+      content = Buffer.from(data);
+    } else if (method === METHOD_DEFLATED) {
+      // maxOutputLength stops a lying size field from inflating a zip bomb
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+
+    if (content.length !== size) {
+      throw new Error(`Corrupt zip archive: ${name} has the wrong size`);
+    }
+
+    files.push({ path: filePath, content });
+  }
+
+  return files;
+}
+
+module.exports = { extractZip, DEFAULT_LIMITS };
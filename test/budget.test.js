@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createUsage, grantBudget, budgetExceeded, describeUsage } = require('../lib/budget');
+
+const NOW = Date.parse('2024-05-01T10:00:00.000Z');
+
+test('a budget is granted from what the run has used so far', () => {
+  assert.deepStrictEqual(grantBudget({ modelCalls: 10, dispatches: 5, hours: 2 }, createUsage(), NOW), {
+    modelCalls: 10,
+    dispatches: 5,
+    deadline: '2024-05-01T12:00:00.000Z'
+  });
+  assert.deepStrictEqual(grantBudget({ modelCalls: 10, dispatches: 0, hours: 0 }, { modelCalls: 7, dispatches: 3 }, NOW), {
+    modelCalls: 17,
+    dispatches: null,
+    deadline: null
+  });
+});
+
+test('a run is stopped by the first limit it reaches', () => {
+  const budget = grantBudget({ modelCalls: 2, dispatches: 1, hours: 1 }, createUsage(), NOW);
+
+  assert.strictEqual(budgetExceeded({ budget, usage: { modelCalls: 1, dispatches: 0 } }, NOW), null);
+  assert.strictEqual(budgetExceeded({ budget, usage: { modelCalls: 2, dispatches: 0 } }, NOW), 'used its budget of 2 model calls');
+  assert.strictEqual(budgetExceeded({ budget, usage: { modelCalls: 0, dispatches: 3 } }, NOW), 'used its budget of 1 workflow dispatches');
+  assert.strictEqual(
+    budgetExceeded({ budget, usage: createUsage() }, NOW + 60 * 60 * 1000),
+    'ran past its time budget (2024-05-01T11:00:00.000Z)'
+  );
+});
+
+test('unlimited budgets and runs from before budgets never stop', () => {
+  const budget = grantBudget({ modelCalls: 0, dispatches: 0, hours: 0 }, createUsage(), NOW);
+
+  assert.strictEqual(budgetExceeded({ budget, usage: { modelCalls: 1e6, dispatches: 1e6 } }, NOW + 1e12), null);
+  assert.strictEqual(budgetExceeded({ usage: { modelCalls: 1e6, dispatches: 0 } }), null);
+});
+
+test('usage is described against its limits', () => {
+  assert.strictEqual(
+    describeUsage({ usage: { modelCalls: 3, dispatches: 1 }, budget: { modelCalls: 10, dispatches: null } }),
+    '3/10 model calls, 1 workflow dispatches'
+  );
+  assert.strictEqual(describeUsage({}), '0 model calls, 0 workflow dispatches');
+});
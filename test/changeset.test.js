@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Changeset, MAX_COMMIT_ATTEMPTS } = require('../lib/changeset');
+const { FakeGitHub } = require('./support/fake-github');
+
+const UPDATE_REF = 'PATCH /repos/{owner}/{repo}/git/refs/{ref}';
+
+function setup() {
+  const github = new FakeGitHub({ files: { 'README.md': '# App\n', 'src/old.js': 'old\n' } });
+  github.addBranch('work');
+  return github;
+}
+
+test('file paths are normalized and paths out of the repository rejected', () => {
+  const changeset = new Changeset(setup().octokit(), 'octo', 'app', 'work');
+  changeset.add('./src/a.js', 'a').add('/src/b.js', 'b').add('src\\c.js', 'c').add('src/a.js', 'a2');
+
+  assert.deepStrictEqual([...changeset.files.keys()], ['src/a.js', 'src/b.js', 'src/c.js']);
+  assert.strictEqual(changeset.files.get('src/a.js'), 'a2');
+
+  for (const filePath of ['', './', '../secrets', 'src/../../x', '.git/config', 'src/.git/hooks/pre-commit']) {
+    assert.throws(() => changeset.add(filePath, 'x'), /Invalid file path/, filePath);
+  }
+});
+
+test('additions, updates and deletions land in one commit', async () => {
+  const github = setup();
+  const before = github.refs.get('heads/work');
+
+  const sha = await new Changeset(github.octokit(), 'octo', 'app', 'work')
+    .add('src/new.js', 'new\n')
+    .add('README.md', '# App, updated\n')
+    .delete('src/old.js')
+    .commit('Change files');
+
+  assert.strictEqual(github.refs.get('heads/work'), sha);
+  assert.deepStrictEqual(github.commits.get(sha).parents, [before]);
+  assert.deepStrictEqual(github.files('work'), { 'README.md': '# App, updated\n', 'src/new.js': 'new\n' });
+});
+
+test('nothing is committed for an empty changeset or unchanged files', async () => {
+  const github = setup();
+  const before = github.refs.get('heads/work');
+
+  assert.strictEqual(await new Changeset(github.octokit(), 'octo', 'app', 'work').commit('Nothing'), null);
+  assert.strictEqual(await new Changeset(github.octokit(), 'octo', 'app', 'work').add('README.md', '# App\n').commit('Same'), null);
+  assert.strictEqual(github.refs.get('heads/work'), before);
+});
+
+test('updated executables and symlinks keep their mode', async () => {
+  const github = setup();
+  github.addBranch('tools', { 'bin/run': '#!/bin/sh\n', latest: 'bin/run' });
+  github.modes.set('bin/run', '100755');
+  github.modes.set('latest', '120000');
+
+  await new Changeset(github.octokit(), 'octo', 'app', 'tools')
+    .add('bin/run', '#!/bin/sh\necho hi\n')
+    .add('latest', 'bin/other')
+    .add('bin/other', 'other\n')
+    .commit('Update files');
+
+  assert.strictEqual(github.modes.get('bin/run'), '100755');
+  assert.strictEqual(github.modes.get('latest'), '120000');
+  assert.strictEqual(github.modes.get('bin/other'), '100644');
+  assert.strictEqual(github.files('tools')['bin/run'], '#!/bin/sh\necho hi\n');
+});
+
+test('a commit lost to a concurrent push is redone on the new head', async () => {
+  const github = setup();
+  const octokit = github.octokit();
+  let pushed = false;
+  const racing = {
+    ...octokit,
+    request: async (route, params) => {
+      // Someone else pushes between our read of the head and our ref update
+      if (route === UPDATE_REF && !pushed) {
+        pushed = true;
+        github.refs.set('heads/work', github.commit({ ...github.files('work'), 'other.txt': 'theirs\n' }, [github.refs.get('heads/work')], 'Theirs'));
+      }
+      return octokit.request(route, params);
+    }
+  };
+
+  const sha = await new Changeset(racing, 'octo', 'app', 'work').add('mine.txt', 'mine\n').commit('Mine');
+
+  assert.strictEqual(github.refs.get('heads/work'), sha);
+  assert.strictEqual(github.commits.get(github.commits.get(sha).parents[0]).message, 'Theirs');
+  assert.deepStrictEqual(Object.keys(github.files('work')).sort(), ['README.md', 'mine.txt', 'other.txt', 'src/old.js']);
+  assert.strictEqual(github.requestsTo(UPDATE_REF).length, 2);
+  // The blob is uploaded once and reused by the retry
+  assert.strictEqual(github.requestsTo('POST /repos/{owner}/{repo}/git/blobs').length, 1);
+});
+
+test('the commit gives up after repeated non-fast-forward updates, and on other errors', async () => {
+  const github = setup();
+  const before = github.refs.get('heads/work');
+  github.fail(UPDATE_REF, { status: 422, message: 'Update is not a fast forward', times: MAX_COMMIT_ATTEMPTS });
+
+  await assert.rejects(
+    new Changeset(github.octokit(), 'octo', 'app', 'work').add('mine.txt', 'mine\n').commit('Mine'),
+    /not a fast forward/
+  );
+  assert.strictEqual(github.requestsTo(UPDATE_REF).length, MAX_COMMIT_ATTEMPTS);
+  assert.strictEqual(github.refs.get('heads/work'), before);
+
+  github.fail(UPDATE_REF, { status: 500, message: 'Server error' });
+  await assert.rejects(
+    new Changeset(github.octokit(), 'octo', 'app', 'work').add('mine.txt', 'mine\n').commit('Mine'),
+    /Server error/
+  );
+  assert.strictEqual(github.requestsTo(UPDATE_REF).length, MAX_COMMIT_ATTEMPTS + 1);
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  resolveConfig,
+  parseConfig,
+  loadConfig,
+  formatConfigErrors,
+  branchName
+} = require('../lib/config');
+const { FakeGitHub } = require('./support/fake-github');
+
+test('a missing or empty config file means the defaults', () => {
+  assert.deepStrictEqual(resolveConfig(null), { config: DEFAULT_CONFIG, errors: [] });
+  assert.deepStrictEqual(resolveConfig(undefined), { config: DEFAULT_CONFIG, errors: [] });
+  assert.deepStrictEqual(parseConfig(''), { config: DEFAULT_CONFIG, errors: [] });
+  assert.deepStrictEqual(parseConfig('# nothing set yet\n'), { config: DEFAULT_CONFIG, errors: [] });
+});
+
+test('repository settings override the defaults key by key', () => {
+  const { config, errors } = parseConfig(`
+label: build-me
+branchPattern: mcp/{issue}
+maxActiveRuns: 0
+iterations:
+  plan: 2
+workflows:
+  verification: ''
+  quorum: 0.5
+budget:
+  hours: 0
+scoring:
+  weights:
+    security-verifier: 2
+  minimums:
+    tests: 80
+cleanup: branch
+`);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(config.label, 'build-me');
+  assert.strictEqual(config.maxActiveRuns, 0);
+  assert.strictEqual(config.cleanup, 'branch');
+  assert.strictEqual(config.qualityThreshold, DEFAULT_CONFIG.qualityThreshold);
+  assert.deepStrictEqual(config.iterations, { ...DEFAULT_CONFIG.iterations, plan: 2 });
+  assert.deepStrictEqual(config.workflows, { ...DEFAULT_CONFIG.workflows, verification: '', quorum: 0.5 });
+  assert.deepStrictEqual(config.budget, { ...DEFAULT_CONFIG.budget, hours: 0 });
+  assert.deepStrictEqual(config.scoring, {
+    ...DEFAULT_CONFIG.scoring,
+    weights: { 'security-verifier': 2 },
+    minimums: { tests: 80 }
+  });
+  assert.deepStrictEqual(config.verifiers, DEFAULT_CONFIG.verifiers);
+  assert.strictEqual(branchName(config, 42), 'mcp/42');
+
+  // The defaults themselves are left alone
+  assert.strictEqual(DEFAULT_CONFIG.iterations.plan, 5);
+});
+
+test('invalid values are all reported and the defaults used instead', () => {
+  const { config, errors } = parseConfig(`
+labels: typo
+qualityThreshold: 120
+branchPattern: mcp-branch
+maxActiveRuns: 1.5
+iterations:
+  plan: 0
+  research: 2.5
+workflows:
+  retries: 1.5
+verifiers: [astrology-verifier]
+cleanup: everything
+budget:
+  modelCalls: -1
+scoring:
+  weights:
+    tests: -2
+  minimums:
+    tests: 101
+  patience: 1.5
+`);
+
+  assert.strictEqual(config, DEFAULT_CONFIG);
+  const expected = [
+    /labels/,
+    /qualityThreshold/,
+    /\$\.iterations\.plan/,
+    /\$\.budget\.modelCalls/,
+    /^\$\.branchPattern must contain \{issue\}$/,
+    /^\$\.iterations\.research must be a whole number$/,
+    /^\$\.maxActiveRuns must be a whole number$/,
+    /^\$\.workflows\.retries must be a whole number$/,
+    /^\$\.verifiers has unknown verifiers: astrology-verifier \(known: /,
+    /^\$\.cleanup must be one of: none, files, branch$/,
+    /^\$\.scoring\.weights\.tests must be a number of 0 or more$/,
+    /^\$\.scoring\.minimums\.tests must be a number from 0 to 100$/,
+    /^\$\.scoring\.patience must be a whole number$/
+  ];
+  for (const pattern of expected) {
+    assert.ok(errors.some(error => pattern.test(error)), `no error matches ${pattern}: ${errors.join('; ')}`);
+  }
+
+  assert.deepStrictEqual(parseConfig('verifiers: []').errors, ['$.verifiers must name at least one verifier']);
+  assert.match(parseConfig('label: [unclosed').errors[0], /^not valid YAML: /);
+  assert.ok(parseConfig('- just\n- a list').errors.length > 0);
+});
+
+test('the config is read from the default branch, with errors naming the file', async () => {
+  const github = new FakeGitHub({ files: { [CONFIG_PATH]: 'label: build-me\n' } });
+  const octokit = github.octokit();
+
+  const loaded = await loadConfig(octokit, 'octo', 'app');
+  assert.deepStrictEqual(loaded.errors, []);
+  assert.strictEqual(loaded.config.label, 'build-me');
+  assert.deepStrictEqual(loaded.config.prompts, {});
+
+  const bare = await loadConfig(new FakeGitHub().octokit(), 'octo', 'app');
+  assert.deepStrictEqual(bare, { config: { ...DEFAULT_CONFIG, prompts: {} }, errors: [] });
+
+  github.refs.set('heads/main', github.commit({ [CONFIG_PATH]: 'cleanup: everything\n' }, [], 'Break the config'));
+  const broken = await loadConfig(octokit, 'octo', 'app');
+  assert.strictEqual(broken.config, DEFAULT_CONFIG);
+  assert.deepStrictEqual(broken.errors, [`${CONFIG_PATH}: $.cleanup must be one of: none, files, branch`]);
+  assert.match(formatConfigErrors(broken.errors), /the run was not started:\n\n- \.github\/mcp-lite\.yml: \$\.cleanup must be one of/);
+});
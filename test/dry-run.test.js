@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MCP_LOG_LEVEL = 'error';
+
+const { DryRun, renderTranscript, writeTranscript } = require('../lib/dry-run');
+const { Changeset, ensureBranch, deleteBranch } = require('../lib/changeset');
+const { FakeGitHub } = require('./support/fake-github');
+
+const REPO = { owner: 'octo', repo: 'app' };
+
+function setup() {
+  const github = new FakeGitHub({ files: { 'README.md': '# App\n', 'src/index.js': 'module.exports = 1;\n' } });
+  const dryRun = new DryRun();
+  return { github, dryRun, octokit: dryRun.wrap(github.octokit()) };
+}
+
+function writesSentTo(github) {
+  return github.requests.filter(({ route }) => !route.startsWith('GET '));
+}
+
+test('writes are captured instead of sent, with the answers the app reads back', async () => {
+  const { github, dryRun, octokit } = setup();
+
+  const { data: comment } = await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+    ...REPO,
+    issue_number: 1,
+    body: 'Starting'
+  });
+  const { data: check } = await octokit.request('POST /repos/{owner}/{repo}/check-runs', {
+    ...REPO,
+    name: 'MCP-LITE',
+    head_sha: github.refs.get('heads/main'),
+    status: 'in_progress'
+  });
+  await octokit.request('POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches', {
+    ...REPO,
+    workflow_id: 'research.yml',
+    ref: 'main',
+    inputs: { phase: 'research' }
+  });
+
+  assert.deepStrictEqual(writesSentTo(github), []);
+  assert.deepStrictEqual(github.comments, []);
+  assert.deepStrictEqual(github.workflowRuns, []);
+  assert.ok(comment.id >= 900000001);
+  assert.match(comment.html_url, /\/issues\/1#issuecomment-\d+$/);
+  assert.notStrictEqual(check.id, comment.id);
+
+  assert.deepStrictEqual(dryRun.writes.map(({ method, url, summary }) => [method, url, summary]), [
+    ['POST', '/repos/octo/app/issues/1/comments', 'Comment on #1'],
+    ['POST', '/repos/octo/app/check-runs', `Create check run MCP-LITE on ${github.refs.get('heads/main').slice(0, 7)} (in_progress)`],
+    ['POST', '/repos/octo/app/actions/workflows/research.yml/dispatches', 'Dispatch research.yml on main']
+  ]);
+  assert.deepStrictEqual(dryRun.writes[0].body, { body: 'Starting' });
+  assert.deepStrictEqual(dryRun.writes[2].body, { ref: 'main', inputs: { phase: 'research' } });
+});
+
+test('reads go to GitHub, and reads of what the dry run wrote are answered from it', async () => {
+  const { github, dryRun, octokit } = setup();
+
+  assert.strictEqual(await ensureBranch(octokit, 'octo', 'app', 'mcp/issue-1', 'main'), true);
+  assert.strictEqual(await ensureBranch(octokit, 'octo', 'app', 'mcp/issue-1', 'main'), false);
+  const sha = await new Changeset(octokit, 'octo', 'app', 'mcp/issue-1')
+    .add('src/index.js', 'module.exports = 2;\n')
+    .add('docs/plan.md', '# Plan\n')
+    .commit('Add the plan');
+
+  assert.ok(sha);
+  assert.deepStrictEqual(writesSentTo(github), []);
+  assert.strictEqual(github.refs.has('heads/mcp/issue-1'), false);
+
+  const read = async (filePath, ref) => {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', { ...REPO, path: filePath, ref });
+    return Buffer.from(data.content, 'base64').toString('utf8');
+  };
+  assert.strictEqual(await read('docs/plan.md', 'mcp/issue-1'), '# Plan\n');
+  assert.strictEqual(await read('src/index.js', 'mcp/issue-1'), 'module.exports = 2;\n');
+  assert.strictEqual(await read('README.md', 'mcp/issue-1'), '# App\n');
+  assert.strictEqual(await read('src/index.js', 'main'), 'module.exports = 1;\n');
+  assert.ok(dryRun.reads > 0);
+
+  assert.strictEqual(await deleteBranch(octokit, 'octo', 'app', 'mcp/issue-1'), true);
+  assert.strictEqual(await deleteBranch(octokit, 'octo', 'app', 'mcp/issue-1'), false);
+  await assert.rejects(
+    octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', { ...REPO, ref: 'heads/mcp/issue-1' }),
+    { status: 404 }
+  );
+  assert.deepStrictEqual(writesSentTo(github), []);
+});
+
+test('the transcript renders as Markdown or as JSON', async () => {
+  const { dryRun, octokit } = setup();
+  await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { ...REPO, issue_number: 1, body: 'a | b' });
+  await octokit.request('POST /repos/{owner}/{repo}/git/blobs', {
+    ...REPO,
+    content: Buffer.from('console.log(1);\n').toString('base64'),
+    encoding: 'base64'
+  });
+  await octokit.request('GET /repos/{owner}/{repo}/git/ref/{ref}', { ...REPO, ref: 'heads/main' });
+
+  const markdown = renderTranscript(dryRun);
+  assert.match(markdown, /^# Dry run transcript\n/);
+  assert.match(markdown, /2 write\(s\) captured, 1 read\(s\)/);
+  assert.match(markdown, /^\| 1 \| `POST \/repos\/octo\/app\/issues\/1\/comments` \| Comment on #1 \|$/m);
+  assert.match(markdown, /^## 2\. Create blob [0-9a-f]{7} \(16 bytes\)$/m);
+  // Blobs that are text are shown as text
+  assert.ok(markdown.includes('"content": "console.log(1);\\n"'));
+
+  const json = JSON.parse(renderTranscript(dryRun, 'json'));
+  assert.strictEqual(json.reads, 1);
+  assert.deepStrictEqual(json.writes.map(write => write.route), [
+    'POST /repos/{owner}/{repo}/issues/{issue_number}/comments',
+    'POST /repos/{owner}/{repo}/git/blobs'
+  ]);
+  assert.deepStrictEqual(json.writes[0].body, { body: 'a | b' });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-dry-run-'));
+  try {
+    writeTranscript(dryRun, path.join(dir, 'transcript.json'));
+    writeTranscript(dryRun, path.join(dir, 'transcript.md'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'transcript.json'), 'utf8')), json);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'transcript.md'), 'utf8'), markdown);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,821 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const YAML = require('yaml');
+
+const { FakeGitHub } = require('./support/fake-github');
+const { ScriptedModel } = require('./support/scripted-model');
+const { createResponse } = require('./support/http');
+
+// Whole runs, from the issue being opened to the pull request, against a fake
+// GitHub and a scripted model. Deliveries go through the webhook handler like
+// GitHub's own; runs are inspected through the operator API.
+
+const SECRET = 'e2e-webhook-secret';
+const OPERATOR_TOKEN = 'e2e-operator-token';
+
+process.env.MCP_RUN_STORE = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+process.env.MCP_OPERATOR_TOKEN = OPERATOR_TOKEN;
+
+// Each test gets its own repository and installation
+const repositories = new Map();
+
+require('../lib/github').createInstallationOctokit = async installationId => repositories.get(installationId).github.octokit();
+require('../lib/providers').createProvider = ({ owner, repo }) =>
+  [...repositories.values()].find(({ github }) => github.owner === owner && github.repo === repo).model;
+
+const handler = require('../api/webhook');
+const { signPayload } = require('../lib/webhook-verification');
+
+let nextInstallation = 100;
+
+function setup(repo) {
+  const github = new FakeGitHub({ owner: 'octo', repo, installationId: nextInstallation++ });
+  const model = new ScriptedModel();
+  github.collaborators.maintainer = 'write';
+  repositories.set(github.installationId, { github, model });
+  return { github, model };
+}
+
+async function deliver(event, payload) {
+  const body = Buffer.from(JSON.stringify(payload));
+  const req = Readable.from([body]);
+  req.method = 'POST';
+  req.url = '/api/github/webhooks';
+  req.headers = {
+    'content-type': 'application/json',
+    'x-github-event': event,
+    'x-github-delivery': crypto.randomUUID(),
+    'x-hub-signature-256': signPayload(SECRET, body)
+  };
+  const res = createResponse();
+
+  await handler(req, res);
+  assert.strictEqual(res.statusCode, 200, res.body);
+  return res.body;
+}
+
+async function getRun(github, issueNumber) {
+  const req = Readable.from([]);
+  req.method = 'GET';
+  req.url = `/runs/${encodeURIComponent(`${github.owner}/${github.repo}/${issueNumber}`)}`;
+  req.headers = { authorization: `Bearer ${OPERATOR_TOKEN}` };
+  const res = createResponse();
+
+  await handler(req, res);
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function openIssue(github, number = 1) {
+  const issue = github.addIssue({ number, body: 'Build a todo API', labels: ['claude-build'] });
+  return deliver('issues', github.payload({ action: 'opened', issue }));
+}
+
+function comment(github, issueNumber, body) {
+  const created = github.addComment(issueNumber, body);
+  return deliver('issue_comment', github.payload({
+    action: 'created',
+    issue: github.issues.get(issueNumber),
+    comment: created
+  }));
+}
+
+// Completes the workflow the run dispatched last, with every job in `jobs`
+// concluding as given
+function completeWorkflow(github, workflow, options) {
+  const workflowRun = github.lastWorkflowRun(workflow);
+  assert.ok(workflowRun, `${workflow} was dispatched`);
+  return deliver('workflow_run', github.completeWorkflowRun(workflowRun, options));
+}
+
+const RESEARCH = {
+  jobs: { 'web-technology-researcher': 'success' },
+  artifacts: {
+    'web-technology-researcher-results': {
+      'web-technology-researcher-results.json': JSON.stringify({ findings: ['Use express'], recommendations: [] })
+    }
+  }
+};
+
+const DEVELOPMENT = { jobs: { app: 'success' } };
+
+const CHECKS = {
+  jobs: { lint: 'success', tests: 'success', security: 'success' },
+  artifacts: {
+    'tests-reports': {
+      'junit.xml': '<testsuites><testsuite name="app" tests="2" failures="0"><testcase name="a"/><testcase name="b"/></testsuite></testsuites>'
+    }
+  }
+};
+
+// Drives an opened issue to the review of its pull request, approving at both
+// gates
+async function runToReview(github) {
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'development.yml', DEVELOPMENT);
+  await completeWorkflow(github, 'verification.yml', CHECKS);
+  return await getRun(github, 1);
+}
+
+test('an opened issue runs through every phase to a pull request', async () => {
+  const { github, model } = setup('full');
+
+  await openIssue(github);
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.ok(run.plan.researchers.includes('web-technology-researcher'));
+  assert.ok(github.refs.has('heads/project-1'));
+
+  await comment(github, 1, '/mcp approve');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'workflow_completed');
+  const research = github.lastWorkflowRun('research.yml');
+  assert.strictEqual(research.head_branch, 'project-1');
+  assert.deepStrictEqual(JSON.parse(research.inputs.researchers), ['web-technology-researcher']);
+
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.ok(model.prompts('As verification-coordinator, verify this research').some(prompt => prompt.includes('Use express')));
+
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'development.yml', DEVELOPMENT);
+  await completeWorkflow(github, 'verification.yml', CHECKS);
+
+  run = await getRun(github, 1);
+  assert.strictEqual(run.step, 'review');
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.ok(run.pullRequest);
+
+  const pull = github.pulls.get(run.pullRequest);
+  assert.strictEqual(pull.head.ref, 'project-1');
+  assert.strictEqual(pull.base.ref, 'main');
+  assert.match(pull.body, /Closes #1/);
+  assert.strictEqual(run.checks.tests.score, 100);
+  assert.deepStrictEqual(run.workflowRuns.map(workflowRun => [workflowRun.workflow, workflowRun.conclusion]), [
+    ['research.yml', 'success'],
+    ['development.yml', 'success'],
+    ['verification.yml', 'success']
+  ]);
+
+  const files = github.files('project-1');
+  assert.ok(files['plans/final-plan.json']);
+  assert.ok(files['plans/development-plan.json']);
+  assert.strictEqual(github.files('main')['plans/final-plan.json'], undefined);
+
+  await comment(github, 1, '/mcp approve');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'completed', run.error);
+});
+
+test('progress edits one pinned status comment and the Check Run of the branch head', async () => {
+  const { github } = setup('status');
+  const UPDATE_COMMENT = 'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}';
+  const statusComments = () => github.commentsOn(1).filter(candidate => candidate.body.startsWith('## 🤖 MCP-LITE run for #1'));
+
+  await openIssue(github);
+  const [status] = statusComments();
+  assert.strictEqual(status.user.login, 'mcp-lite[bot]');
+  assert.match(status.body, /\*\*Step:\*\* `plan\.gate`.*\n\*\*Waiting for:\*\* approval/);
+  const checkRun = () => [...github.checkRuns.values()].find(candidate => candidate.head_sha === github.refs.get('heads/project-1'));
+  assert.strictEqual(checkRun().name, 'MCP-LITE');
+  assert.strictEqual(checkRun().status, 'in_progress');
+
+  await comment(github, 1, '/mcp approve');
+  assert.match(status.body, /- \[x\] 📋 .*\n- \[ \] 🔍 .*🔄 current/);
+  assert.match(status.body, /\*\*Waiting for:\*\* workflow completed/);
+
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'development.yml', DEVELOPMENT);
+  await completeWorkflow(github, 'verification.yml', CHECKS);
+  await comment(github, 1, '/mcp approve');
+
+  assert.deepStrictEqual(statusComments(), [status]);
+  assert.match(status.body, /\*\*State:\*\* ✨ completed/);
+  assert.match(status.body, /\[Pull request #\d+\]/);
+  const edits = github.requestsTo(UPDATE_COMMENT, params => params.comment_id === status.id);
+  assert.ok(edits.length >= 6, `${edits.length} edits`);
+  assert.strictEqual(github.requestsTo(UPDATE_COMMENT).length, edits.length);
+
+  // A Check Run per head commit; those left behind by new commits are closed
+  const checkRuns = [...github.checkRuns.values()];
+  assert.ok(checkRuns.length > 1);
+  assert.strictEqual(checkRun().conclusion, 'success');
+  assert.strictEqual(checkRun().output.title, 'Run completed');
+  assert.ok(checkRuns.filter(candidate => candidate !== checkRun()).every(candidate => candidate.conclusion === 'neutral' && candidate.output.title === 'Superseded'));
+  assert.ok(github.requestsTo('PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}', params => params.check_run_id === checkRun().id).length > 0);
+});
+
+const PLAN_PROMPT = 'As project-analyzer, create a detailed implementation plan';
+const REPAIR_PROMPT = 'Your previous response could not be used';
+
+const PLAN = {
+  requirements: 'Build a todo API',
+  technologyStack: ['node'],
+  components: ['app'],
+  researchers: ['web-technology-researcher'],
+  developers: ['fullstack-developer'],
+  verifiers: ['code-quality-verifier'],
+  successCriteria: ['All tests pass'],
+  complexity: 'low'
+};
+
+test('a plan that is not JSON is asked for again and the repaired plan is used', async () => {
+  const { github, model } = setup('repaired-plan');
+  model
+    .answer(PLAN_PROMPT, 'Here is my plan: build it well.')
+    .answer(REPAIR_PROMPT, { ...PLAN, complexity: 'medium' });
+
+  await openIssue(github);
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'running');
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.strictEqual(run.plan.complexity, 'medium');
+  assert.strictEqual(model.prompts(REPAIR_PROMPT).length, 1);
+  assert.match(model.prompts(REPAIR_PROMPT)[0], /Here is my plan: build it well\./);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('Invalid plan response, asking again (1/2)')));
+});
+
+test('a plan that stays invalid after every repair fails the run', async () => {
+  const { github, model } = setup('invalid-plan');
+  model
+    .answer(PLAN_PROMPT, '{"requirements": ')
+    .answer(REPAIR_PROMPT, 'still not JSON', '[]');
+
+  await openIssue(github);
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'failed');
+  assert.match(run.error, /Invalid plan response after 2 retries/);
+  assert.strictEqual(model.prompts(REPAIR_PROMPT).length, 2);
+  assert.strictEqual(github.workflowRuns.length, 0);
+});
+
+test('failed workflow jobs are re-run and the run goes on once they pass', async () => {
+  const { github } = setup('flaky-research');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', { jobs: { 'web-technology-researcher': 'failure' } });
+
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'workflow_completed');
+  assert.strictEqual(github.requestsTo('POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs').length, 1);
+
+  const research = github.lastWorkflowRun('research.yml');
+  assert.strictEqual(research.run_attempt, 2);
+  assert.strictEqual(github.workflowRuns.length, 1);
+
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'running');
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.ok(run.completedPhases.includes('phase2_research'));
+});
+
+test('workflow jobs that fail beyond their retries fail the run', async () => {
+  const { github } = setup('failing-research');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', { conclusion: 'failure', jobs: { 'web-technology-researcher': 'failure' } });
+  await completeWorkflow(github, 'research.yml', { conclusion: 'failure', jobs: { 'web-technology-researcher': 'failure' } });
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'failed');
+  assert.match(run.error, /research\.yml: 0 of 1 jobs succeeded/);
+  assert.strictEqual(github.requestsTo('POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs').length, 1);
+  assert.strictEqual(github.lastWorkflowRun('development.yml'), null);
+});
+
+test('a project branch that already exists is built on rather than replaced', async () => {
+  const { github } = setup('existing-branch');
+  github.addBranch('project-1', { 'NOTES.md': 'Started by hand' });
+
+  const run = await runToReview(github);
+
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.strictEqual(run.step, 'review');
+  const [createBranch] = github.requestsTo('POST /repos/{owner}/{repo}/git/refs');
+  assert.strictEqual(createBranch.params.ref, 'refs/heads/project-1');
+
+  const files = github.files('project-1');
+  assert.strictEqual(files['NOTES.md'], 'Started by hand');
+  assert.ok(files['plans/final-plan.json']);
+});
+
+test('an injected 422 on branch creation is taken as the branch existing', async () => {
+  const { github } = setup('branch-422');
+  github.addBranch('project-1');
+  github.fail('POST /repos/{owner}/{repo}/git/refs', { status: 422, message: 'Reference already exists' });
+
+  const run = await runToReview(github);
+
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.ok(github.files('project-1')['plans/development-plan.json']);
+});
+
+test('a pull request already open from the project branch is taken over', async () => {
+  const { github } = setup('existing-pull');
+  github.addBranch('project-1');
+  const { data: existing } = await github.request('POST /repos/{owner}/{repo}/pulls', {
+    title: 'Work in progress',
+    head: 'project-1',
+    base: 'main'
+  });
+
+  const run = await runToReview(github);
+
+  assert.strictEqual(run.state, 'running');
+  assert.strictEqual(run.pullRequest, existing.number);
+  assert.strictEqual(github.pulls.size, 1);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes(`Pull Request #${existing.number} was already open`)));
+});
+
+test('an error creating the pull request fails the run', async () => {
+  const { github } = setup('pull-error');
+  github.fail('POST /repos/{owner}/{repo}/pulls', { status: 422, message: 'Validation Failed: No commits between main and project-1' });
+
+  const run = await runToReview(github);
+
+  assert.strictEqual(run.state, 'failed');
+  assert.match(run.error, /No commits between main and project-1/);
+  assert.strictEqual(github.pulls.size, 0);
+});
+
+test('prompt templates overridden by the repository are used and their versions recorded', async () => {
+  const { github, model } = setup('prompt-overrides');
+  github.refs.set(`heads/${github.defaultBranch}`, github.commit({
+    '.github/mcp-lite/prompts/plan.verify.md': '---\nversion: strict-2\n---\nAs verification-coordinator, be strict with this plan:\n{{plan}}\nReturn JSON: {{schema}}'
+  }, [], 'Add prompt overrides'));
+
+  await openIssue(github);
+
+  const [prompt] = model.prompts('As verification-coordinator, be strict');
+  assert.match(prompt, /"researchers": \[\n\s+"web-technology-researcher"/);
+  assert.match(prompt, /"score": number \(0-100, required\)/);
+
+  const run = await getRun(github, 1);
+  assert.deepStrictEqual(run.prompts['plan.verify'], { version: 'strict-2', source: '.github/mcp-lite/prompts/plan.verify.md' });
+  assert.deepStrictEqual(run.prompts['plan.generate'], { version: '2', source: 'default' });
+});
+
+test('an invalid prompt override keeps the run from starting', async () => {
+  const { github } = setup('invalid-override');
+  github.refs.set(`heads/${github.defaultBranch}`, github.commit({
+    '.github/mcp-lite/prompts/plan.verify.md': 'Rate {{plans}}'
+  }, [], 'Add a broken prompt override'));
+
+  await openIssue(github);
+
+  const [notice] = github.commentsOn(1);
+  assert.match(notice.body, /the run was not started/);
+  assert.match(notice.body, /plan\.verify\.md: \{\{plans\}\} is not a variable/);
+  assert.ok(!github.refs.has('heads/project-1'));
+});
+
+test('roles the registry does not know are left out of the plan or replaced by the default', async () => {
+  const { github, model } = setup('unknown-roles');
+  model
+    .answer(PLAN_PROMPT, { ...PLAN, researchers: ['web-technology-researcher', 'astrology-researcher'] })
+    .answer('As project-analyzer, create development plan', {
+      components: [
+        { name: 'api', developer: 'backend-developer' },
+        { name: 'schema', developer: 'database-developer' },
+        { name: 'ui', developer: 'wizard-developer' }
+      ]
+    });
+
+  await openIssue(github);
+  assert.match(model.prompts(PLAN_PROMPT)[0], /Choose researchers from:\n- web-technology-researcher: /);
+
+  let run = await getRun(github, 1);
+  assert.deepStrictEqual(run.plan.researchers, ['web-technology-researcher']);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('the registry does not have: astrology-researcher')));
+
+  await comment(github, 1, '/mcp approve');
+  const research = github.lastWorkflowRun('research.yml');
+  assert.deepStrictEqual(JSON.parse(research.inputs.researchers), ['web-technology-researcher']);
+  assert.strictEqual(research.inputs.max_parallel, '5');
+
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  await comment(github, 1, '/mcp approve');
+
+  run = await getRun(github, 1);
+  assert.deepStrictEqual(run.devPlan.components.map(component => component.developer), [
+    'backend-developer',
+    'database-developer',
+    'fullstack-developer'
+  ]);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('wizard-developer (ui)')));
+
+  const development = github.lastWorkflowRun('development.yml');
+  assert.deepStrictEqual(JSON.parse(development.inputs.developers), ['backend-developer', 'database-developer', 'fullstack-developer']);
+  assert.strictEqual(development.inputs.max_parallel, '2');
+});
+
+test('verification jobs whose tools left no usable report leave their checks out', async () => {
+  const { github, model } = setup('missing-reports');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'development.yml', DEVELOPMENT);
+  // ESLint crashed before writing its SARIF, the test runner left an empty
+  // junit.xml, and npm audit printed its error instead of an audit
+  await completeWorkflow(github, 'verification.yml', {
+    jobs: { lint: 'success', tests: 'success', security: 'success' },
+    artifacts: {
+      'tests-reports': { 'junit.xml': '' },
+      'security-reports': {
+        'npm-audit.json': JSON.stringify({ error: { code: 'ENOLOCK', summary: 'This command requires an existing lockfile.' } })
+      }
+    }
+  });
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.step, 'review');
+  assert.deepStrictEqual(run.checks, {});
+  assert.ok(github.commentsOn(1).some(({ body }) =>
+    body.includes('🧪 Checks: no reports found (unreadable: junit.xml: not a JUnit report; npm-audit.json: npm audit failed')
+  ));
+  assert.ok(model.prompts(/^As code-quality-verifier/).every(prompt => !prompt.includes('Results of the verification workflow')));
+});
+
+test('research verification without usable improvements moves on instead of asking again', async () => {
+  const { github, model } = setup('no-improvements');
+  const VERIFY_RESEARCH = 'As verification-coordinator, verify this research';
+  model.answer(VERIFY_RESEARCH, {
+    score: 60,
+    improvements: [{ researcher: 'astrology-researcher', suggestion: 'Read the stars' }, { suggestion: 'No researcher' }]
+  });
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.strictEqual(model.prompts(VERIFY_RESEARCH).length, 1);
+  assert.strictEqual(github.workflowRuns.length, 1);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('no usable improvements proposed at 60%')));
+});
+
+test('research improvements redo one researcher, and one that cannot be dispatched is reported', async () => {
+  const { github, model } = setup('improvements');
+  const VERIFY_RESEARCH = 'As verification-coordinator, verify this research';
+  const DISPATCH = 'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches';
+  model.answer(VERIFY_RESEARCH, {
+    score: 60,
+    improvements: [
+      { researcher: 'web-technology-researcher', suggestion: 'Compare express with fastify' },
+      { researcher: 'web-technology-researcher', suggestion: 'Cover rate limiting' }
+    ]
+  }, { score: 95, improvements: [] });
+  github.fail(DISPATCH, { status: 500, message: 'Dispatch failed', when: params => params.inputs.improvement_mode === 'true' });
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'workflow_completed');
+  assert.match(run.errors[0].message, /^Improving web-technology-researcher failed: Dispatch failed/);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('Could not dispatch the improvement for web-technology-researcher: Dispatch failed')));
+
+  // The workflow declares every input it is dispatched with
+  const improvement = github.lastWorkflowRun('research.yml');
+  const workflow = YAML.parse(fs.readFileSync(path.join(__dirname, '..', '.github', 'workflows', 'research.yml'), 'utf8'));
+  const declared = Object.keys(workflow.on.workflow_dispatch.inputs);
+  assert.deepStrictEqual(JSON.parse(improvement.inputs.researchers), ['web-technology-researcher']);
+  assert.strictEqual(improvement.inputs.improvement_mode, 'true');
+  for (const dispatch of github.requestsTo(DISPATCH)) {
+    assert.deepStrictEqual(Object.keys(dispatch.params.inputs).filter(input => !declared.includes(input)), []);
+  }
+  assert.strictEqual(github.files('project-1')['improvements/web-technology-researcher-improvement.md'], 'Cover rate limiting');
+
+  await completeWorkflow(github, 'research.yml', { ...RESEARCH, jobs: { 'web-technology-researcher': 'failure' } });
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.strictEqual(model.prompts(VERIFY_RESEARCH).length, 2);
+
+  // Each dispatch keeps the result of its jobs after the phase moved on
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'development.yml', DEVELOPMENT);
+  run = await getRun(github, 1);
+  assert.deepStrictEqual(run.workflowRuns.map(({ workflow, jobs }) => [workflow, jobs]), [
+    ['research.yml', { 'web-technology-researcher': 'success' }],
+    ['research.yml', { 'web-technology-researcher': 'success' }],
+    ['development.yml', { app: 'success' }],
+    ['verification.yml', null]
+  ]);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('**Jobs (`development.yml`):** ✅ app')));
+});
+
+test('a run that spends its budget pauses, and resuming grants another allowance', async () => {
+  const { github, model } = setup('budget');
+  github.refs.set(`heads/${github.defaultBranch}`, github.commit({
+    '.github/mcp-lite.yml': 'budget:\n  modelCalls: 2\n'
+  }, [], 'Limit model calls'));
+
+  await openIssue(github);
+
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'paused');
+  assert.strictEqual(run.paused.kind, 'budget');
+  assert.strictEqual(run.usage.modelCalls, 2);
+  assert.strictEqual(model.calls.length, 2);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('Paused: the run used its budget of 2 model calls')));
+
+  await comment(github, 1, '/mcp approve');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'paused');
+  assert.strictEqual(model.calls.length, 2);
+
+  await comment(github, 1, '/mcp resume');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'running');
+  assert.strictEqual(run.budget.modelCalls, 4);
+  assert.strictEqual(run.waitingFor, 'approval');
+});
+
+test('queued runs start in the order they were queued as slots free up', async () => {
+  const { github, model } = setup('queue');
+  github.refs.set(`heads/${github.defaultBranch}`, github.commit({
+    '.github/mcp-lite.yml': 'maxActiveRuns: 1\n'
+  }, [], 'One run at a time'));
+  // The second run fails at once, which frees its slot for the third
+  model
+    .answer(PLAN_PROMPT, PLAN, '{"requirements": ')
+    .answer(REPAIR_PROMPT, 'still not JSON', '[]');
+
+  await openIssue(github, 1);
+  await openIssue(github, 2);
+  await openIssue(github, 3);
+
+  assert.strictEqual((await getRun(github, 1)).waitingFor, 'approval');
+  assert.deepStrictEqual([(await getRun(github, 2)).queue.position, (await getRun(github, 3)).queue.position], [1, 2]);
+  assert.ok(github.commentsOn(3).some(({ body }) => body.includes('Queued at position 2')));
+
+  await comment(github, 1, '/mcp cancel');
+
+  assert.strictEqual((await getRun(github, 1)).state, 'cancelled');
+  assert.strictEqual((await getRun(github, 2)).state, 'failed');
+  const third = await getRun(github, 3);
+  assert.strictEqual(third.state, 'running');
+  assert.strictEqual(third.waitingFor, 'approval');
+});
+
+test('re-planning cancels the workflows dispatched for the old plan', async () => {
+  const { github, model } = setup('replan');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  const research = github.lastWorkflowRun('research.yml');
+  assert.strictEqual(research.status, 'queued');
+
+  const issue = github.issues.get(1);
+  issue.body = 'Build a todo API with authentication';
+  await deliver('issues', github.payload({ action: 'edited', issue, changes: { body: { from: 'Build a todo API' } } }));
+  await comment(github, 1, '/mcp replan');
+
+  assert.strictEqual(research.conclusion, 'cancelled');
+  assert.strictEqual(github.requestsTo('POST /repos/{owner}/{repo}/actions/runs/{run_id}/cancel').length, 1);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('(stopped 1 workflow run(s))')));
+  assert.strictEqual((await getRun(github, 1)).waitingFor, 'approval');
+  const plans = model.prompts(PLAN_PROMPT);
+  assert.strictEqual(plans.length, 2);
+  assert.ok(plans[1].includes('Build a todo API with authentication'));
+});
+
+test('a retried run waits in the queue for a free slot, and a cancelled one cannot be retried', async () => {
+  const { github, model } = setup('requeue');
+  github.refs.set(`heads/${github.defaultBranch}`, github.commit({
+    '.github/mcp-lite.yml': 'maxActiveRuns: 1\n'
+  }, [], 'One run at a time'));
+  // Issue 2 fails at once; issue 1 then takes the only slot
+  model
+    .answer(PLAN_PROMPT, '{"requirements": ', PLAN)
+    .answer(REPAIR_PROMPT, 'still not JSON', '[]');
+
+  await openIssue(github, 2);
+  assert.strictEqual((await getRun(github, 2)).state, 'failed');
+  await openIssue(github, 1);
+  assert.strictEqual((await getRun(github, 1)).waitingFor, 'approval');
+
+  await comment(github, 2, '/mcp retry');
+  let retried = await getRun(github, 2);
+  assert.strictEqual(retried.state, 'queued');
+  assert.strictEqual(retried.queue.position, 1);
+  assert.ok(github.commentsOn(2).some(({ body }) => body.includes('Retried the current step, queued at')));
+
+  await comment(github, 1, '/mcp cancel');
+  retried = await getRun(github, 2);
+  assert.strictEqual(retried.state, 'running');
+  assert.strictEqual(retried.waitingFor, 'approval');
+
+  await comment(github, 1, '/mcp retry');
+  assert.strictEqual((await getRun(github, 1)).state, 'cancelled');
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('`/mcp retry` failed: Run was cancelled')));
+});
+
+test('a rate limit that outlasts the request pauses the run until it is resumed', async () => {
+  const { github } = setup('rate-limit');
+  github.fail('POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches', { status: 429, message: 'API rate limit exceeded' });
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'paused');
+  assert.strictEqual(run.paused.kind, 'rateLimit');
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('Paused: GitHub API rate limit reached')));
+
+  await comment(github, 1, '/mcp resume');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'running');
+  assert.strictEqual(run.waitingFor, 'workflow_completed');
+  assert.ok(github.lastWorkflowRun('research.yml'));
+});
+
+const CANCEL_WORKFLOW_RUN = 'POST /repos/{owner}/{repo}/actions/runs/{run_id}/cancel';
+const DELETE_REF = 'DELETE /repos/{owner}/{repo}/git/refs/{ref}';
+
+test('cancelling stops the dispatched workflows and keeps the branch by default', async () => {
+  const { github } = setup('cancel-none');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  const research = github.lastWorkflowRun('research.yml');
+  const head = github.refs.get('heads/project-1');
+
+  await comment(github, 1, '/mcp cancel');
+
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'cancelled');
+  assert.strictEqual(run.waitingFor, null);
+  assert.strictEqual(research.conclusion, 'cancelled');
+  assert.deepStrictEqual(github.requestsTo(CANCEL_WORKFLOW_RUN).map(({ params }) => params.run_id), [research.id]);
+  assert.deepStrictEqual(github.requestsTo(DELETE_REF), []);
+  assert.strictEqual(github.refs.get('heads/project-1'), head);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('🛑 Run cancelled, stopped 1 workflow run(s)')));
+
+  // The cancelled workflow's completion is ignored
+  await deliver('workflow_run', github.completeWorkflowRun(research, RESEARCH));
+  assert.strictEqual((await getRun(github, 1)).state, 'cancelled');
+});
+
+test('cancelling with files cleanup removes the generated files in one commit', async () => {
+  const { github } = setup('cancel-files');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  await completeWorkflow(github, 'research.yml', RESEARCH);
+  const generated = Object.keys(github.files('project-1')).filter(file => /^(plans|research|improvements|reports)\//.test(file));
+  assert.ok(generated.length > 0);
+  const head = github.refs.get('heads/project-1');
+
+  await comment(github, 1, '/mcp cancel files');
+
+  assert.deepStrictEqual(Object.keys(github.files('project-1')).filter(file => generated.includes(file)), []);
+  const commit = github.commits.get(github.refs.get('heads/project-1'));
+  assert.deepStrictEqual(commit.parents, [head]);
+  assert.strictEqual(commit.message, 'Remove files generated for #1');
+  assert.deepStrictEqual(github.requestsTo(DELETE_REF), []);
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes(`removed ${generated.length} generated file(s)`)));
+});
+
+test('cancelling with branch cleanup deletes the branch, which closes the pull request', async () => {
+  const { github } = setup('cancel-branch');
+
+  const pull = github.pulls.get((await runToReview(github)).pullRequest);
+  assert.strictEqual(pull.state, 'open');
+
+  await comment(github, 1, '/mcp cancel branch');
+
+  assert.deepStrictEqual(github.requestsTo(DELETE_REF).map(({ params }) => params.ref), ['heads/project-1']);
+  assert.strictEqual(github.refs.has('heads/project-1'), false);
+  assert.strictEqual(pull.state, 'closed');
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('🧹 Deleted branch `project-1`')));
+  assert.strictEqual((await getRun(github, 1)).state, 'cancelled');
+
+  await comment(github, 1, '/mcp cancel');
+  assert.ok(github.commentsOn(1).some(({ body }) => body.includes('`/mcp cancel` failed: Run is already cancelled')));
+});
+
+test('the operator API cancels with the cleanup it is given', async () => {
+  const { github } = setup('cancel-operator');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+
+  const req = Readable.from([Buffer.from(JSON.stringify({ reason: 'superseded', cleanup: 'branch' }))]);
+  req.method = 'POST';
+  req.url = `/runs/${encodeURIComponent(`${github.owner}/${github.repo}/1`)}/cancel`;
+  req.headers = { authorization: `Bearer ${OPERATOR_TOKEN}`, 'content-type': 'application/json' };
+  const res = createResponse();
+  await handler(req, res);
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(res.body.result, 'Run cancelled');
+  assert.strictEqual(res.body.run.state, 'cancelled');
+  assert.strictEqual(res.body.run.error, 'superseded');
+  assert.strictEqual(github.lastWorkflowRun('research.yml').conclusion, 'cancelled');
+  assert.strictEqual(github.refs.has('heads/project-1'), false);
+});
+
+test('adding the build label starts a run and removing it cancels the run', async () => {
+  const { github } = setup('labels');
+  const issue = github.addIssue({ number: 1, body: 'Build a todo API' });
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'opened', issue })), 'OK - No claude-build label');
+
+  issue.labels = [{ name: 'bug' }];
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'labeled', issue, label: { name: 'bug' } })), 'OK - Not the claude-build label');
+
+  issue.labels.push({ name: 'claude-build' });
+  await deliver('issues', github.payload({ action: 'labeled', issue, label: { name: 'claude-build' } }));
+  assert.strictEqual((await getRun(github, 1)).waitingFor, 'approval');
+
+  issue.labels = [{ name: 'claude-build' }];
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'unlabeled', issue, label: { name: 'bug' } })), 'OK - Not the claude-build label');
+  assert.strictEqual((await getRun(github, 1)).state, 'running');
+
+  issue.labels = [];
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'unlabeled', issue, label: { name: 'claude-build' } })), 'OK - Run cancelled');
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'cancelled');
+  assert.strictEqual(run.error, 'claude-build label removed');
+});
+
+test('closing the issue cancels its run and the workflows it dispatched', async () => {
+  const { github } = setup('closed');
+
+  await openIssue(github);
+  await comment(github, 1, '/mcp approve');
+  const issue = github.issues.get(1);
+  issue.state = 'closed';
+
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'closed', issue })), 'OK - Run cancelled');
+  const run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'cancelled');
+  assert.strictEqual(run.error, 'issue closed');
+  assert.strictEqual(github.lastWorkflowRun('research.yml').conclusion, 'cancelled');
+
+  assert.strictEqual(await deliver('issues', github.payload({ action: 'closed', issue })), 'OK - No active run');
+});
+
+test('reviews on the pull request send line comments back to the model and approve the run', async () => {
+  const { github, model } = setup('reviews');
+  const REVIEW_FIX = 'As verification-iterator, address this pull request review';
+  github.collaborators.outsider = 'read';
+
+  const pull = github.pulls.get((await runToReview(github)).pullRequest);
+  const review = (user, state, body = '') => deliver('pull_request_review', github.payload({
+    action: 'submitted',
+    pull_request: pull,
+    review: { user, state, body }
+  }));
+
+  assert.strictEqual(await deliver('pull_request_review_comment', github.payload({
+    action: 'created',
+    pull_request: pull,
+    comment: { user: { login: 'maintainer', type: 'User' }, path: 'src/app.js', line: 12, body: 'Validate the input here' }
+  })), 'OK - Review comment recorded');
+  assert.strictEqual(await deliver('pull_request_review_comment', github.payload({
+    action: 'created',
+    pull_request: pull,
+    comment: { user: { login: 'linter[bot]', type: 'Bot' }, path: 'src/app.js', line: 3, body: 'Style' }
+  })), 'OK - Not a comment on a generated PR');
+
+  assert.strictEqual(await review({ login: 'maintainer', type: 'User' }, 'commented', 'Looks close'), 'OK - Review comment only');
+  assert.strictEqual(await review({ login: 'outsider', type: 'User' }, 'approved'), 'OK - Reviewer lacks permission');
+  assert.strictEqual((await getRun(github, 1)).waitingFor, 'approval');
+
+  assert.strictEqual(await review({ login: 'maintainer', type: 'User' }, 'CHANGES_REQUESTED', 'Handle bad input'), 'OK - Review applied');
+  const [fix] = model.prompts(REVIEW_FIX);
+  assert.ok(fix.includes('Handle bad input'));
+  assert.ok(fix.includes('- src/app.js:12 (@maintainer): Validate the input here'));
+  assert.ok(!fix.includes('Style'));
+
+  let run = await getRun(github, 1);
+  assert.strictEqual(run.waitingFor, 'approval');
+  assert.deepStrictEqual(run.decisions.map(({ user, decision }) => [user, decision]).slice(-1), [['maintainer', 'changes']]);
+
+  assert.strictEqual(await review({ login: 'maintainer', type: 'User' }, 'APPROVED'), 'OK - Review applied');
+  run = await getRun(github, 1);
+  assert.strictEqual(run.state, 'completed');
+  assert.strictEqual(model.prompts(REVIEW_FIX).length, 1);
+});
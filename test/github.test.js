@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_RATE_LIMIT_WAIT, retryWithin, isRateLimitError, rateLimitResetAt } = require('../lib/github');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+function options(retryCount = 0) {
+  return { method: 'GET', url: '/repos/{owner}/{repo}', request: { retryCount } };
+}
+
+// An Octokit with the app's throttling handlers, answering from `responses`
+async function createOctokit(responses) {
+  const { Octokit } = await import('octokit');
+  const calls = [];
+  const octokit = new Octokit({
+    log,
+    retry: { enabled: false },
+    throttle: {
+      onRateLimit: retryWithin('Rate limit exceeded'),
+      onSecondaryRateLimit: retryWithin('Secondary rate limit')
+    },
+    request: {
+      fetch: async url => {
+        calls.push(url);
+        const { status, headers = {}, body } = responses.shift();
+        return new Response(JSON.stringify(body), {
+          status,
+          headers: { 'content-type': 'application/json', ...headers }
+        });
+      }
+    }
+  });
+  return { octokit, calls };
+}
+
+const SECONDARY_LIMIT = { message: 'You have exceeded a secondary rate limit.' };
+
+test('rate-limited requests wait at most the allowance, across their retries', () => {
+  const retry = retryWithin('Rate limit exceeded');
+
+  assert.strictEqual(retry(MAX_RATE_LIMIT_WAIT + 1, options(), { log }), false);
+  assert.strictEqual(retry(60, options(), { log }), false);
+
+  const request = options();
+  assert.strictEqual(retry(6, request, { log }), true);
+  request.request.retryCount = 1;
+  assert.strictEqual(retry(6, request, { log }), false);
+  assert.strictEqual(retry(4, request, { log }), true);
+  request.request.retryCount = 2;
+  assert.strictEqual(retry(0, request, { log }), false);
+});
+
+test('a long Retry-After fails the request at once as a rate limit', async () => {
+  const { octokit, calls } = await createOctokit([
+    { status: 403, headers: { 'retry-after': '60' }, body: SECONDARY_LIMIT }
+  ]);
+
+  const startedAt = Date.now();
+  const error = await octokit.request('GET /repos/{owner}/{repo}', { owner: 'octo', repo: 'app' }).catch(caught => caught);
+
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(error.status, 403);
+  assert.ok(isRateLimitError(error));
+  assert.strictEqual(rateLimitResetAt(error, Date.parse('2024-05-01T10:00:00Z')), '2024-05-01T10:01:00.000Z');
+});
+
+test('a short Retry-After is waited out and the request retried', async () => {
+  const { octokit, calls } = await createOctokit([
+    { status: 403, headers: { 'retry-after': '1' }, body: SECONDARY_LIMIT },
+    { status: 200, body: { full_name: 'octo/app' } }
+  ]);
+
+  const { data } = await octokit.request('GET /repos/{owner}/{repo}', { owner: 'octo', repo: 'app' });
+
+  assert.strictEqual(data.full_name, 'octo/app');
+  assert.strictEqual(calls.length, 2);
+});
+
+test('rate limits are told apart from other failures', () => {
+  const failure = (status, headers = {}, message = 'Forbidden') => Object.assign(new Error(message), { status, response: { headers } });
+
+  assert.ok(isRateLimitError(failure(429)));
+  assert.ok(isRateLimitError(failure(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1714557600' })));
+  assert.ok(isRateLimitError(failure(403, {}, 'API rate limit exceeded')));
+  assert.ok(!isRateLimitError(failure(403)));
+  assert.ok(!isRateLimitError(failure(500, { 'retry-after': '5' })));
+  assert.ok(!isRateLimitError(null));
+
+  assert.strictEqual(rateLimitResetAt(failure(403, { 'x-ratelimit-reset': '1714557600' })), '2024-05-01T10:00:00.000Z');
+  assert.strictEqual(rateLimitResetAt(failure(403)), null);
+});
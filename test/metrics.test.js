@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  startPhase,
+  finishPhase,
+  recordModelRequest,
+  recordModelResponse,
+  recordWorkflow,
+  renderMetrics
+} = require('../lib/metrics');
+const { createRun } = require('../lib/run-store');
+
+function run(issueNumber, state) {
+  const created = { ...createRun({ owner: 'octo', repo: 'app', issueNumber, installationId: 7 }), state };
+  recordModelRequest(created, 'planning');
+  recordModelResponse(created, 'planning', 12);
+  recordWorkflow(created, 'research.yml', issueNumber === 2);
+  return created;
+}
+
+// The samples of one metric, by their label set
+function samples(text, name) {
+  const pattern = new RegExp(`^${name}(\\{[^}]*\\})? (\\S+)$`, 'gm');
+  return Object.fromEntries([...text.matchAll(pattern)].map(([, labels = '', value]) => [labels, Number(value)]));
+}
+
+test('counts over the runs in the store are gauges that drop when runs are pruned', () => {
+  const runs = [run(1, 'completed'), run(2, 'failed'), run(3, 'running')];
+
+  const all = renderMetrics(runs);
+  for (const name of ['mcp_lite_runs', 'mcp_lite_model_calls', 'mcp_lite_workflow_runs', 'mcp_lite_workflow_failures']) {
+    assert.match(all, new RegExp(`^# TYPE ${name} gauge$`, 'm'));
+  }
+  assert.doesNotMatch(all, / counter$/m);
+  assert.deepStrictEqual(samples(all, 'mcp_lite_model_calls'), { '{phase="planning"}': 3 });
+  assert.deepStrictEqual(samples(all, 'mcp_lite_workflow_failures'), { '{workflow="research.yml"}': 1 });
+  assert.strictEqual(samples(all, 'mcp_lite_runs')['{state="completed"}'], 1);
+
+  const pruned = renderMetrics(runs.slice(1));
+  assert.deepStrictEqual(samples(pruned, 'mcp_lite_model_calls'), { '{phase="planning"}': 2 });
+  assert.deepStrictEqual(samples(pruned, 'mcp_lite_workflow_runs'), { '{workflow="research.yml"}': 2 });
+  assert.strictEqual(samples(pruned, 'mcp_lite_runs')['{state="completed"}'], 0);
+});
+
+test('histograms add up the runs\' observations into cumulative buckets', () => {
+  const timed = run(1, 'running');
+  startPhase(timed, 'research', Date.parse('2024-05-01T10:00:00Z'));
+  assert.deepStrictEqual(finishPhase(timed, Date.parse('2024-05-01T10:02:00Z')), { phase: 'research', seconds: 120 });
+  assert.strictEqual(finishPhase(timed), null);
+
+  const text = renderMetrics([timed, run(2, 'running')]);
+  const buckets = samples(text, 'mcp_lite_phase_duration_seconds_bucket');
+  assert.strictEqual(buckets['{phase="research",le="60"}'], 0);
+  assert.strictEqual(buckets['{phase="research",le="300"}'], 1);
+  assert.strictEqual(buckets['{phase="research",le="+Inf"}'], 1);
+  assert.deepStrictEqual(samples(text, 'mcp_lite_model_call_duration_seconds_sum'), { '{phase="planning"}': 24 });
+  assert.deepStrictEqual(samples(text, 'mcp_lite_model_call_duration_seconds_count'), { '{phase="planning"}': 2 });
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+
+process.env.MCP_LOG_LEVEL = 'error';
+
+const { handleOperatorRequest, isOperatorRequest } = require('../lib/operator');
+const { MemoryRunStore, createRun } = require('../lib/run-store');
+const { createResponse } = require('./support/http');
+
+const TOKEN = 'operator-token';
+
+async function request(store, { method = 'GET', url = '/runs', authorization, token = TOKEN, body } = {}) {
+  const req = Readable.from(body ? [Buffer.from(JSON.stringify(body))] : []);
+  req.method = method;
+  req.url = url;
+  req.headers = authorization === undefined ? {} : { authorization };
+  const res = createResponse();
+
+  await handleOperatorRequest(req, res, { store, token });
+  return res;
+}
+
+async function storeWithRun() {
+  const store = new MemoryRunStore();
+  await store.save({ ...createRun({ owner: 'octo', repo: 'app', issueNumber: 42, installationId: 7 }), state: 'running' });
+  return store;
+}
+
+test('only /runs and the paths below it are operator requests', () => {
+  assert.ok(isOperatorRequest({ url: '/runs' }));
+  assert.ok(isOperatorRequest({ url: '/runs/octo%2Fapp%2342/cancel' }));
+  assert.ok(isOperatorRequest({ url: '/runs?state=running' }));
+  assert.ok(!isOperatorRequest({ url: '/runsheet' }));
+  assert.ok(!isOperatorRequest({ url: '/metrics' }));
+});
+
+test('the API is disabled without a configured token', async () => {
+  const res = await request(await storeWithRun(), { authorization: 'Bearer ', token: '' });
+  assert.strictEqual(res.statusCode, 503);
+  assert.match(res.body.error, /set MCP_OPERATOR_TOKEN/);
+});
+
+test('requests without the right bearer token are rejected', async () => {
+  const store = await storeWithRun();
+  const rejected = [
+    undefined,
+    '',
+    'Bearer',
+    'Bearer ',
+    `bearer ${TOKEN}`,
+    `Basic ${Buffer.from(`operator:${TOKEN}`).toString('base64')}`,
+    TOKEN,
+    `Bearer  ${TOKEN}`,
+    `Bearer ${TOKEN} `,
+    'Bearer wrong-token',
+    `Bearer ${TOKEN.slice(0, -1)}`,
+    `Bearer ${TOKEN}x`
+  ];
+
+  for (const authorization of rejected) {
+    const res = await request(store, { authorization });
+    assert.strictEqual(res.statusCode, 401, `${JSON.stringify(authorization)} was let through`);
+    assert.deepStrictEqual(res.body, { error: 'Missing or invalid bearer token' });
+  }
+});
+
+test('a rejected request does not act on the run', async () => {
+  const store = await storeWithRun();
+
+  const res = await request(store, {
+    method: 'POST',
+    url: '/runs/octo/app/42/cancel',
+    authorization: 'Bearer wrong-token',
+    body: { reason: 'not allowed' }
+  });
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual((await store.get('octo/app#42')).state, 'running');
+});
+
+test('an authorized request is answered', async () => {
+  const store = await storeWithRun();
+  const authorization = `Bearer ${TOKEN}`;
+
+  const list = await request(store, { url: '/runs?state=running', authorization });
+  assert.strictEqual(list.statusCode, 200);
+  assert.deepStrictEqual(list.body.runs.map(run => run.id), ['octo/app#42']);
+
+  const run = await request(store, { url: '/runs/octo%2Fapp%2342', authorization });
+  assert.strictEqual(run.statusCode, 200);
+  assert.strictEqual(run.body.issueNumber, 42);
+
+  assert.strictEqual((await request(store, { url: '/runs/octo/app/7', authorization })).statusCode, 404);
+  assert.strictEqual((await request(store, { method: 'DELETE', url: '/runs/octo/app/42', authorization })).statusCode, 405);
+});
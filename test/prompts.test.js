@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { TEMPLATES, renderPrompt, parseOverride, loadPromptOverrides } = require('../lib/prompts');
+const { FakeGitHub } = require('./support/fake-github');
+
+test('every template uses only its declared variables', () => {
+  for (const [name, template] of Object.entries(TEMPLATES)) {
+    const { errors } = parseOverride(name, `${name}.md`, template.text);
+    assert.deepStrictEqual(errors, [], name);
+  }
+});
+
+const ROLE_LISTS = { researchers: ['web-technology-researcher: Web'], developers: ['fullstack-developer: Anything'] };
+
+test('sections are kept only when their variable is set', () => {
+  const first = renderPrompt('plan.generate', { requirements: 'Build a todo API', ...ROLE_LISTS });
+  assert.doesNotMatch(first.text, /Previous plan|Maintainer feedback/);
+  assert.doesNotMatch(first.text, /\n{3}/);
+
+  const again = renderPrompt('plan.generate', {
+    requirements: 'Build a todo API',
+    ...ROLE_LISTS,
+    previousScore: 0,
+    feedback: 'Use PostgreSQL',
+    previousPlan: { components: ['api'] }
+  });
+  assert.match(again.text, /Previous plan had quality score 0%/);
+  assert.match(again.text, /Use PostgreSQL\n\nPrevious plan:\n\{\n {2}"components"/);
+});
+
+test('variables are typed and required unless marked optional', () => {
+  assert.throws(() => renderPrompt('plan.verify', {}), /Prompt plan.verify needs plan/);
+  assert.throws(() => renderPrompt('verification.fix', { source: 'lint', items: 'one' }), /items must be list/);
+  assert.throws(() => renderPrompt('no.such', {}), /Unknown prompt template/);
+
+  const { text } = renderPrompt('verification.fix', { source: 'lint check', items: ['a', 'b'] });
+  assert.strictEqual(text, 'As verification-iterator, apply these fixes from lint check:\n- a\n- b\nFix all issues found.');
+});
+
+test('text in the values is never taken for tags', () => {
+  const { text } = renderPrompt('plan.generate', { requirements: 'Print {{schema}} and {{#feedback}}', ...ROLE_LISTS });
+  assert.match(text, /implementation plan for: Print \{\{schema\}\} and \{\{#feedback\}\}/);
+});
+
+test('overrides carry their front matter version, or one taken from their text', () => {
+  const versioned = parseOverride('plan.verify', 'plan.verify.md', '---\nversion: acme-2\n---\nScore {{plan}} as {{schema}}');
+  assert.deepStrictEqual(versioned.errors, []);
+  assert.strictEqual(versioned.override.version, 'acme-2');
+
+  const plain = renderPrompt('plan.verify', { plan: { a: 1 } }, {
+    'plan.verify': parseOverride('plan.verify', 'plan.verify.md', 'Score {{plan}}').override
+  });
+  assert.strictEqual(plain.text, 'Score {\n  "a": 1\n}');
+  assert.match(plain.version, /^sha-[0-9a-f]{8}$/);
+  assert.strictEqual(plain.source, 'plan.verify.md');
+  assert.notStrictEqual(parseOverride('plan.verify', 'x.md', 'Rate {{plan}}').override.version, plain.version);
+});
+
+test('overrides naming unknown templates or variables are rejected', () => {
+  assert.match(parseOverride('plan.draft', 'plan.draft.md', 'x').errors[0], /no prompt template is named plan.draft/);
+  assert.deepStrictEqual(parseOverride('report.generate', 'r.md', '{{#checks}}{{plan}}').errors, [
+    'r.md: {{plan}} is not a variable of this template (checks)',
+    'r.md: {{#checks}} is never closed'
+  ]);
+  assert.match(parseOverride('report.generate', 'r.md', '---\n: [\n---\nx').errors[0], /front matter is not valid YAML/);
+});
+
+test('overrides are read from the prompts directory of the repository', async () => {
+  const github = new FakeGitHub({
+    files: {
+      '.github/mcp-lite/prompts/report.generate.md': '---\nversion: 3\n---\nWrite a short report.{{#checks}}\n{{checks}}{{/checks}}',
+      '.github/mcp-lite/prompts/notes.txt': 'ignored',
+      '.github/mcp-lite/prompts/plan.verify.md': 'Rate {{plan}} {{score}}'
+    }
+  });
+
+  const { prompts, errors } = await loadPromptOverrides(github.octokit(), github.owner, github.repo);
+
+  assert.deepStrictEqual(Object.keys(prompts), ['report.generate']);
+  assert.strictEqual(prompts['report.generate'].version, '3');
+  assert.strictEqual(prompts['report.generate'].source, '.github/mcp-lite/prompts/report.generate.md');
+  assert.deepStrictEqual(errors, [
+    '.github/mcp-lite/prompts/plan.verify.md: {{score}} is not a variable of this template (plan, schema)'
+  ]);
+
+  const none = await loadPromptOverrides(new FakeGitHub().octokit(), 'octo', 'app');
+  assert.deepStrictEqual(none, { prompts: {}, errors: [] });
+});
@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs that get started reach GitHub through here
+const requests = [];
+require('../lib/github').createInstallationOctokit = async () => ({
+  request: async (route, params) => {
+    requests.push({ route, params });
+    throw Object.assign(new Error('Not Found'), { status: 404 });
+  }
+});
+
+const { withLock, installationLimit, planQueue } = require('../lib/queue');
+const { MemoryRunStore, FileRunStore, createRun } = require('../lib/run-store');
+const { routeEvent } = require('../lib/events');
+
+function run(repo, issueNumber, state, since = null, maxActiveRuns = 0) {
+  return {
+    ...createRun({ owner: 'octo', repo, issueNumber, installationId: 7, config: { maxActiveRuns } }),
+    state,
+    queue: since ? { since, position: null } : null
+  };
+}
+
+test('queued runs are let in oldest first up to the installation limit', () => {
+  const runs = [
+    run('app', 3, 'queued', '2024-05-01T10:00:03Z'),
+    run('app', 1, 'running'),
+    run('app', 2, 'queued', '2024-05-01T10:00:01Z'),
+    run('app', 4, 'queued', '2024-05-01T10:00:01Z'),
+    run('app', 5, 'paused')
+  ];
+
+  const { admitted, waiting } = planQueue(runs, 3);
+  assert.deepStrictEqual(admitted.map(candidate => candidate.issueNumber), [2, 4]);
+  assert.deepStrictEqual(waiting.map(({ run: candidate, position }) => [candidate.issueNumber, position]), [[3, 1]]);
+
+  assert.strictEqual(planQueue(runs, 0).admitted.length, 3);
+  assert.strictEqual(planQueue(runs, 1).admitted.length, 0);
+});
+
+test('a repository at its own limit does not hold up other repositories', () => {
+  const runs = [
+    run('busy', 1, 'running', null, 1),
+    run('busy', 2, 'queued', '2024-05-01T10:00:01Z', 1),
+    run('quiet', 1, 'queued', '2024-05-01T10:00:02Z', 1),
+    run('quiet', 2, 'queued', '2024-05-01T10:00:03Z', 1)
+  ];
+
+  const { admitted, waiting } = planQueue(runs, 10);
+  assert.deepStrictEqual(admitted.map(candidate => candidate.id), ['octo/quiet#1']);
+  assert.deepStrictEqual(waiting.map(({ run: candidate, position }) => [candidate.id, position]), [['octo/busy#2', 1], ['octo/quiet#2', 2]]);
+});
+
+test('the installation limit comes from MCP_MAX_ACTIVE_RUNS', () => {
+  assert.strictEqual(installationLimit(undefined), 10);
+  assert.strictEqual(installationLimit(''), 10);
+  assert.strictEqual(installationLimit('0'), 0);
+  assert.strictEqual(installationLimit('3'), 3);
+  assert.throws(() => installationLimit('-1'), /MCP_MAX_ACTIVE_RUNS must be a whole number, got -1/);
+  assert.throws(() => installationLimit('two'), /must be a whole number/);
+});
+
+test('a lock is waited for, released after failures and given up on in time', async () => {
+  const store = new MemoryRunStore();
+  const order = [];
+
+  const holder = await store.acquireLock('octo/app#1', 60000);
+  const waiter = withLock(store, 'octo/app#1', async () => order.push('waiter'));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  order.push('holder');
+  await store.releaseLock('octo/app#1', holder);
+  await waiter;
+  assert.deepStrictEqual(order, ['holder', 'waiter']);
+
+  await assert.rejects(withLock(store, 'octo/app#1', async () => {
+    throw new Error('handler failed');
+  }), /handler failed/);
+  assert.ok(await store.acquireLock('octo/app#1', 60000));
+
+  await assert.rejects(withLock(store, 'octo/app#1', async () => null, { wait: 0 }), /Timed out waiting for the lock on octo\/app#1/);
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a lock expires after its TTL unless its holder renews it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-locks-'));
+  try {
+    for (const store of [new MemoryRunStore(), new FileRunStore(dir)]) {
+      const token = await store.acquireLock('octo/app#1', 100);
+      assert.strictEqual(await store.acquireLock('octo/app#1', 100), null);
+
+      await sleep(60);
+      assert.strictEqual(await store.renewLock('octo/app#1', token, 100), true);
+      await sleep(60);
+      assert.strictEqual(await store.acquireLock('octo/app#1', 100), null);
+
+      // Left behind, as by a crashed invocation
+      await sleep(120);
+      const taken = await store.acquireLock('octo/app#1', 100);
+      assert.ok(taken);
+      assert.strictEqual(await store.renewLock('octo/app#1', token, 100), false);
+      await store.releaseLock('octo/app#1', token);
+      assert.strictEqual(await store.acquireLock('octo/app#1', 100), null);
+      await store.releaseLock('octo/app#1', taken);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a lock held for longer than its TTL is renewed and keeps others out', async () => {
+  const store = new MemoryRunStore();
+  const order = [];
+
+  const holder = withLock(store, 'octo/app#1', async () => {
+    await sleep(250);
+    order.push('holder');
+  }, { ttl: 60 });
+  await sleep(150);
+  const second = withLock(store, 'octo/app#1', async () => order.push('second'), { ttl: 60 });
+
+  await Promise.all([holder, second]);
+  assert.deepStrictEqual(order, ['holder', 'second']);
+});
+
+test('losing the installation cancels its runs under their issue locks', async () => {
+  const store = new MemoryRunStore();
+  await store.save(run('app', 1, 'running'));
+  await store.save(run('app', 2, 'queued', '2024-05-01T10:00:01Z'));
+  await store.save(run('app', 3, 'completed'));
+  await store.save({ ...run('app', 4, 'running'), installationId: 8 });
+
+  // An event for issue 1 is being handled and finishes its run meanwhile
+  const token = await store.acquireLock('octo/app#1', 60000);
+  const deleted = routeEvent('installation', { action: 'deleted', installation: { id: 7 } }, { store });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await store.save({ ...await store.get('octo/app#1'), state: 'completed' });
+  await store.releaseLock('octo/app#1', token);
+
+  assert.strictEqual(await deleted, 'OK - Cancelled 1 run(s)');
+  assert.strictEqual((await store.get('octo/app#1')).state, 'completed');
+  const queued = await store.get('octo/app#2');
+  assert.strictEqual(queued.state, 'cancelled');
+  assert.strictEqual(queued.error, 'installation deleted');
+  assert.strictEqual((await store.get('octo/app#4')).state, 'running');
+});
+
+// An event that changes nothing, after which queued runs get their chance
+function unrelatedEvent(store) {
+  return routeEvent('issues', {
+    action: 'edited',
+    installation: { id: 7 },
+    repository: { name: 'app', owner: { login: 'octo' }, full_name: 'octo/app' },
+    issue: { number: 9 }
+  }, { store });
+}
+
+test('a queued run cancelled while it is being admitted stays cancelled', async () => {
+  const store = new MemoryRunStore();
+  await store.save(run('app', 2, 'queued', '2024-05-01T10:00:01Z'));
+  requests.length = 0;
+
+  // The issue is being closed while the run is let in
+  const token = await store.acquireLock('octo/app#2', 60000);
+  const event = unrelatedEvent(store);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await store.save({ ...await store.get('octo/app#2'), state: 'cancelled', queue: null });
+  await store.releaseLock('octo/app#2', token);
+
+  assert.strictEqual(await event, 'OK - No requirement change');
+  assert.strictEqual((await store.get('octo/app#2')).state, 'cancelled');
+  assert.deepStrictEqual(requests, []);
+});
+
+test('a run cancelled after it was admitted is not started as a new run', async () => {
+  const store = new MemoryRunStore();
+  const queued = run('app', 2, 'queued', '2024-05-01T10:00:01Z');
+  await store.save(queued);
+  requests.length = 0;
+
+  // The cancel gets the issue's lock between admission and the start
+  const save = store.save.bind(store);
+  store.save = async saved => {
+    await save(saved);
+    if (saved.state === 'running') {
+      await save({ ...saved, state: 'cancelled', queue: null });
+    }
+  };
+
+  await unrelatedEvent(store);
+
+  const stored = await store.get('octo/app#2');
+  assert.strictEqual(stored.state, 'cancelled');
+  assert.strictEqual(stored.createdAt, queued.createdAt);
+  assert.deepStrictEqual(requests, []);
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isReportFile,
+  parseJUnit,
+  parseSarif,
+  parseCoverageSummary,
+  parseLcov,
+  parseNpmAudit,
+  collectReports,
+  scoreReports,
+  formatIssue
+} = require('../lib/reports');
+
+const JUNIT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="api" tests="4">
+    <testcase name="lists todos" classname="api" file="test/api.test.js" line="3"/>
+    <testcase name="creates a todo" classname="api" file="test/api.test.js" line="9">
+      <failure message="expected 201 &amp; got 500" type="AssertionError">AssertionError: expected 201</failure>
+    </testcase>
+    <testcase name="deletes a todo" classname="api"><error><![CDATA[TypeError: x is undefined
+    at api.js:4]]></error></testcase>
+    <testcase name="pages" classname="api"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+function sarif(tool, results) {
+  return { version: '2.1.0', runs: [{ tool: { driver: { name: tool } }, results }] };
+}
+
+function finding(level, uri, line, text, ruleId) {
+  return {
+    level,
+    ruleId,
+    message: { text },
+    locations: [{ physicalLocation: { artifactLocation: { uri }, region: { startLine: line } } }]
+  };
+}
+
+test('JUnit failures and errors become issues; skipped tests do not count', () => {
+  const result = parseJUnit(JUNIT);
+
+  assert.deepStrictEqual({ tests: result.tests, failed: result.failed, skipped: result.skipped }, { tests: 4, failed: 2, skipped: 1 });
+  assert.deepStrictEqual(result.issues, [
+    { file: 'test/api.test.js', line: 9, message: 'creates a todo: expected 201 & got 500', rule: 'test' },
+    { file: 'api', line: null, message: 'deletes a todo: TypeError: x is undefined', rule: 'test' }
+  ]);
+  assert.deepStrictEqual(scoreReports(collectReports([{ path: 'junit.xml', content: JUNIT }])).tests, {
+    score: 33,
+    summary: '1/3 tests passed, 1 skipped',
+    issues: result.issues
+  });
+});
+
+test('empty and foreign XML are not taken for a run without tests', () => {
+  assert.deepStrictEqual(parseJUnit('<testsuites></testsuites>').tests, 0);
+  assert.throws(() => parseJUnit(''), /not a JUnit report/);
+  assert.throws(() => parseJUnit('<checkstyle version="8.0"></checkstyle>'), /not a JUnit report/);
+
+  const reports = collectReports([{ path: 'tests/junit.xml', content: Buffer.alloc(0) }]);
+  assert.deepStrictEqual(reports.errors, ['tests/junit.xml: not a JUnit report']);
+  assert.deepStrictEqual(scoreReports(reports), {});
+});
+
+test('SARIF from linters scores lint, from scanners security', () => {
+  const eslint = sarif('ESLint', [
+    finding('error', 'src/a.js', 4, 'x is not defined\nmore detail', 'no-undef'),
+    finding('warning', 'src/b.js', 1, 'Unexpected console', 'no-console'),
+    finding('note', 'src/b.js', 2, 'Style', 'style')
+  ]);
+  const gitleaks = sarif('gitleaks', [finding('error', 'config.js', 7, 'AWS key', 'aws-access-token')]);
+
+  assert.deepStrictEqual(parseSarif(eslint).findings[0], {
+    tool: 'ESLint', level: 'error', file: 'src/a.js', line: 4, message: 'x is not defined', rule: 'no-undef'
+  });
+
+  const checks = scoreReports(collectReports([
+    { path: 'lint/eslint.sarif', content: JSON.stringify(eslint) },
+    { path: 'security/gitleaks.sarif', content: JSON.stringify(gitleaks) }
+  ]));
+  assert.strictEqual(checks.lint.score, 88);
+  assert.strictEqual(checks.lint.summary, '1 error(s), 1 warning(s)');
+  assert.strictEqual(checks.lint.issues.length, 2);
+  assert.strictEqual(checks.security.score, 50);
+  assert.strictEqual(checks.security.summary, '0 vulnerable dependencies, 1 secret(s) found');
+  assert.strictEqual(formatIssue(checks.security.issues[0]), 'config.js:7 Possible secret: AWS key (aws-access-token)');
+});
+
+test('a clean SARIF run still scores, an empty or broken one does not', () => {
+  assert.deepStrictEqual(scoreReports(collectReports([{ path: 'eslint.sarif', content: JSON.stringify(sarif('ESLint', [])) }])).lint, {
+    score: 100, summary: '0 error(s), 0 warning(s)', issues: []
+  });
+  assert.deepStrictEqual(parseSarif({}), { tools: [], findings: [] });
+
+  const reports = collectReports([{ path: 'eslint.sarif', content: '{"runs": [' }]);
+  assert.strictEqual(reports.errors.length, 1);
+  assert.match(reports.errors[0], /^eslint\.sarif: /);
+  assert.deepStrictEqual(scoreReports(reports), {});
+});
+
+test('coverage comes from the Istanbul summary, or else lcov', () => {
+  const summary = {
+    total: { lines: { pct: 81.5 } },
+    'src/a.js': { lines: { pct: 100 } },
+    'src/b.js': { lines: { pct: 40 } },
+    'src/c.js': { statements: { pct: 75 } }
+  };
+  const lcov = 'SF:src/a.js\nLF:10\nLH:10\nend_of_record\nSF:src/b.js\nLF:10\nLH:5\nend_of_record\n';
+
+  assert.deepStrictEqual(parseCoverageSummary(summary), {
+    lines: 81.5,
+    files: [{ file: 'src/b.js', lines: 40 }, { file: 'src/c.js', lines: 75 }]
+  });
+  assert.deepStrictEqual(parseLcov(lcov), { lines: 75, files: [{ file: 'src/b.js', lines: 50 }] });
+
+  const checks = scoreReports(collectReports([
+    { path: 'coverage/lcov.info', content: lcov },
+    { path: 'coverage/coverage-summary.json', content: JSON.stringify(summary) }
+  ]));
+  assert.strictEqual(checks.coverage.score, 82);
+  assert.deepStrictEqual(checks.coverage.issues.map(issue => issue.file), ['src/b.js', 'src/c.js']);
+});
+
+test('coverage without any measured lines is left out', () => {
+  // c8 writes this when no test ran
+  assert.strictEqual(parseCoverageSummary({ total: { lines: { total: 0, pct: 'Unknown' } } }), null);
+  assert.strictEqual(parseCoverageSummary({}), null);
+  assert.strictEqual(parseLcov(''), null);
+  assert.deepStrictEqual(scoreReports(collectReports([{ path: 'lcov.info', content: 'TN:\nend_of_record\n' }])), {});
+});
+
+test('npm audit vulnerabilities are scored by severity', () => {
+  const audit = {
+    vulnerabilities: {
+      lodash: { severity: 'high', range: '<4.17.21', via: [{ title: 'Prototype Pollution', url: 'https://github.com/advisories/1' }] },
+      minimist: { severity: 'low', range: '<1.2.6', via: ['mkdirp'] }
+    },
+    metadata: { vulnerabilities: { critical: 0, high: 1, moderate: 0, low: 1, total: 2 } }
+  };
+
+  assert.deepStrictEqual(parseNpmAudit(audit).issues, [
+    { file: 'package.json', line: null, message: 'lodash <4.17.21: high Prototype Pollution', rule: 'https://github.com/advisories/1' },
+    { file: 'package.json', line: null, message: 'minimist <1.2.6: low vulnerability', rule: null }
+  ]);
+
+  const { security } = scoreReports(collectReports([{ path: 'npm-audit.json', content: JSON.stringify(audit) }]));
+  assert.strictEqual(security.score, 79);
+  assert.strictEqual(security.summary, '2 vulnerable dependencies, 0 secret(s) found');
+});
+
+test('an audit that could not run is not taken for a clean one', () => {
+  const failed = { error: { code: 'ENOLOCK', summary: 'This command requires an existing lockfile.\nTry again.' } };
+  assert.throws(() => parseNpmAudit(failed), /npm audit failed: This command requires an existing lockfile\.$/);
+
+  const reports = collectReports([
+    { path: 'security/npm-audit.json', content: JSON.stringify(failed) },
+    { path: 'security/other.json', content: '{}' }
+  ]);
+  assert.deepStrictEqual(reports.errors, ['security/npm-audit.json: npm audit failed: This command requires an existing lockfile.']);
+  assert.deepStrictEqual(scoreReports(reports), {});
+
+  // `npm audit --json > file || true` leaves an empty file when npm crashes
+  assert.strictEqual(collectReports([{ path: 'npm-audit.json', content: '' }]).errors.length, 1);
+});
+
+test('without reports there are no checks, and unknown files are skipped', () => {
+  assert.deepStrictEqual(scoreReports(collectReports([])), {});
+  assert.deepStrictEqual(collectReports([{ path: 'notes.json', content: 'not json' }]).errors, []);
+  assert.ok(isReportFile('reports/eslint.SARIF'));
+  assert.ok(!isReportFile('reports/screenshot.png'));
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { extractJson, findClosingBracket, parseResponse } = require('../lib/responses');
+
+test('JSON is found as the whole text, in a fence or bare in prose', () => {
+  assert.deepStrictEqual(extractJson(' {"score": 90} '), { found: true, value: { score: 90 } });
+  assert.deepStrictEqual(extractJson('Here it is:\n```json\n{"score": 80}\n```\nDone.').value, { score: 80 });
+  assert.deepStrictEqual(extractJson('I rate it {"score": 70, "issues": []} overall.').value, { score: 70, issues: [] });
+  assert.deepStrictEqual(extractJson('The list: [1, [2, 3]] and more').value, [1, [2, 3]]);
+});
+
+test('nested values and brackets inside strings are kept whole', () => {
+  const text = 'Plan: {"a": {"b": [1, {"c": "}]{["}]}, "d": "say \\"}\\""} trailing';
+  assert.deepStrictEqual(extractJson(text).value, { a: { b: [1, { c: '}]{[' }] }, d: 'say "}"' });
+});
+
+test('malformed or missing JSON is not found', () => {
+  assert.deepStrictEqual(extractJson('no json here'), { found: false, value: undefined });
+  assert.deepStrictEqual(extractJson('{"score": 90'), { found: false, value: undefined });
+  assert.deepStrictEqual(extractJson('{score: 90}'), { found: false, value: undefined });
+  assert.deepStrictEqual(extractJson('```json\n{"a": }\n```').found, false);
+});
+
+test('the first value the caller accepts wins over an earlier example', () => {
+  const text = 'The format is {"score": "N"}. My answer: {"score": 85}';
+  const isScore = value => typeof value.score === 'number';
+
+  assert.deepStrictEqual(extractJson(text).value, { score: 'N' });
+  assert.deepStrictEqual(extractJson(text, isScore).value, { score: 85 });
+  assert.deepStrictEqual(extractJson('{"score": "N"}', isScore), { found: true, value: { score: 'N' } });
+});
+
+test('findClosingBracket skips strings and rejects mismatched brackets', () => {
+  assert.strictEqual(findClosingBracket('{"a": "]"}', 0), 9);
+  assert.strictEqual(findClosingBracket('x[1, {"b": 2}] y', 1), 13);
+  assert.strictEqual(findClosingBracket('{"a": [1}', 0), -1);
+  assert.strictEqual(findClosingBracket('{"a": 1', 0), -1);
+});
+
+test('responses are validated against their schema', () => {
+  const example = 'Return {"score": "0-100"} like this:\n```json\n{"score": 92, "issues": []}\n```';
+  assert.deepStrictEqual(parseResponse(example, 'verification'), { value: { score: 92, issues: [] }, errors: [] });
+
+  assert.deepStrictEqual(parseResponse('{"score": 120}', 'verification').errors, ['$.score must be <= 100']);
+  assert.deepStrictEqual(parseResponse('nothing', 'plan').errors, ['response does not contain JSON']);
+  assert.deepStrictEqual(parseResponse('{"components": [{"files": []}]}', 'devPlan').errors, ['$.components[0].name is required']);
+  assert.throws(() => parseResponse('{}', 'nope'), /Unknown response schema: nope/);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { ROLES, DEFAULT_ROLES, getRole, resolveRoles, describeRoles, parallelLimit } = require('../lib/roles');
+const { resolveConfig } = require('../lib/config');
+
+test('every role is complete and the defaults are registered', () => {
+  for (const [name, role] of Object.entries(ROLES)) {
+    for (const field of ['kind', 'description', 'systemPrompt', 'tools', 'maxParallel', 'artifact']) {
+      assert.ok(role[field], `${name} has ${field}`);
+    }
+    assert.ok('workflow' in role, `${name} has workflow`);
+  }
+  for (const [kind, name] of Object.entries(DEFAULT_ROLES)) {
+    assert.strictEqual(getRole(name).kind, kind);
+  }
+});
+
+test('roles are resolved by kind, without duplicates, falling back to the default', () => {
+  assert.deepStrictEqual(resolveRoles(['security-researcher', 'security-researcher', 'fullstack-developer', 'oracle'], 'researcher'), {
+    roles: ['security-researcher'],
+    unknown: ['fullstack-developer', 'oracle']
+  });
+  assert.deepStrictEqual(resolveRoles(['oracle'], 'developer'), { roles: ['fullstack-developer'], unknown: ['oracle'] });
+  assert.deepStrictEqual(resolveRoles(undefined, 'researcher').roles, ['web-technology-researcher']);
+  assert.deepStrictEqual(resolveRoles([], 'verifier'), { roles: [], unknown: [] });
+  assert.strictEqual(getRole('toString'), null);
+});
+
+test('the planner is shown the roles it may choose from', () => {
+  const lines = describeRoles('developer');
+  assert.ok(lines.includes(`fullstack-developer: ${ROLES['fullstack-developer'].description}`));
+  assert.ok(lines.every(line => /^\S+-developer: /.test(line)));
+});
+
+test('a dispatch runs as many jobs at once as its most limited role allows', () => {
+  assert.strictEqual(parallelLimit(['fullstack-developer', 'fullstack-developer']), 5);
+  assert.strictEqual(parallelLimit(['backend-developer', 'devops-developer']), 2);
+  assert.strictEqual(parallelLimit(['oracle']), 1);
+});
+
+test('configured verifiers must be registered', () => {
+  assert.deepStrictEqual(resolveConfig({ verifiers: ['security-verifier'] }).errors, []);
+  const [error] = resolveConfig({ verifiers: ['security-verifier', 'style-verifier'] }).errors;
+  assert.match(error, /\$\.verifiers has unknown verifiers: style-verifier \(known: code-quality-verifier, /);
+});
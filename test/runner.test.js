@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MCP_LOG_LEVEL = 'error';
+
+const { LocalRunner } = require('../lib/runner');
+const { EVENTS, matchesWait } = require('../lib/pipeline');
+const { FakeGitHub } = require('./support/fake-github');
+
+const CLAUDE = { login: 'claude[bot]', type: 'Bot' };
+const REQUESTED_AT = '2024-05-01T10:00:00.000Z';
+
+// The orchestrator as the runner sees it: a run waiting for the model's
+// answer, which events are fed to like the webhook handler would
+function createOrchestrator(github) {
+  const orchestrator = {
+    octokit: github.octokit(),
+    owner: github.owner,
+    repo: github.repo,
+    issueNumber: 1,
+    events: [],
+    run: {
+      id: 'octo/app#1',
+      owner: github.owner,
+      repo: github.repo,
+      issueNumber: 1,
+      state: 'running',
+      step: 'plan.generate',
+      waitingFor: { type: EVENTS.MODEL_RESPONSE, requestedAt: REQUESTED_AT }
+    },
+    async requireRun() {
+      return JSON.parse(JSON.stringify(this.run));
+    },
+    async handleEvent(event) {
+      this.events.push(event);
+      if (matchesWait(this.run.waitingFor, event)) {
+        this.run.waitingFor = null;
+      }
+    }
+  };
+  return orchestrator;
+}
+
+function answer(github, createdAt, body, user = CLAUDE) {
+  const comment = github.addComment(1, body, user);
+  Object.assign(comment, { created_at: createdAt, updated_at: createdAt });
+}
+
+test('only an answer posted after the prompt is taken for the model response', async () => {
+  const github = new FakeGitHub();
+  const runner = new LocalRunner(createOrchestrator(github), { pollInterval: 1 });
+  const { run } = runner.orchestrator;
+
+  answer(github, '2024-05-01T10:00:00Z', 'stamped with the prompt');
+  answer(github, '2024-05-01T10:00:05Z', 'from a person', { login: 'maintainer', type: 'User' });
+  assert.strictEqual(await runner.findModelResponse(run, REQUESTED_AT), null);
+
+  answer(github, '2024-05-01T10:00:06Z', 'the answer');
+  assert.deepStrictEqual(await runner.findModelResponse(run, REQUESTED_AT), {
+    type: EVENTS.MODEL_RESPONSE,
+    body: 'the answer',
+    createdAt: '2024-05-01T10:00:06Z'
+  });
+});
+
+test('the runner polls until the answer arrives and hands it to the run', async () => {
+  const github = new FakeGitHub();
+  const orchestrator = createOrchestrator(github);
+  const runner = new LocalRunner(orchestrator, { pollInterval: 5 });
+
+  answer(github, REQUESTED_AT, 'stamped with the prompt');
+  setTimeout(() => answer(github, '2024-05-01T10:00:30Z', 'the answer'), 30);
+
+  const run = await runner.follow();
+
+  assert.strictEqual(run.waitingFor, null);
+  assert.deepStrictEqual(orchestrator.events.map(event => event.body), ['the answer']);
+  assert.ok(github.requestsTo('GET /repos/{owner}/{repo}/issues/{issue_number}/comments').length > 1);
+});
+
+test('polling gives up after the timeout', async () => {
+  const github = new FakeGitHub();
+  const runner = new LocalRunner(createOrchestrator(github), { pollInterval: 5, timeout: 20 });
+
+  await assert.rejects(runner.follow(), /Timed out waiting for model_response in plan.generate/);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SCHEMAS, validate, describeSchema } = require('../lib/schemas');
+
+test('types, required properties and ranges are checked with their paths', () => {
+  assert.deepStrictEqual(validate(SCHEMAS.verification, { score: 50 }), []);
+  assert.deepStrictEqual(validate(SCHEMAS.verification, []), ['$ must be object, got array']);
+  assert.deepStrictEqual(validate(SCHEMAS.verification, { issues: 'none' }), [
+    '$.score is required',
+    '$.issues must be array, got string'
+  ]);
+  assert.deepStrictEqual(validate(SCHEMAS.verification, { score: -1 }), ['$.score must be >= 0']);
+  assert.deepStrictEqual(validate(SCHEMAS.verification, { score: NaN }), ['$.score must be a number, got NaN']);
+  assert.deepStrictEqual(validate(SCHEMAS.verification, { score: null }), ['$.score must be number, got null']);
+});
+
+test('array items and closed objects are checked', () => {
+  assert.deepStrictEqual(validate(SCHEMAS.plan, {
+    requirements: 'x',
+    components: [],
+    researchers: ['a', 2]
+  }), ['$.researchers[1] must be string, got number']);
+
+  const closed = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  assert.deepStrictEqual(validate(closed, { a: 'x', b: 1 }), ['$.b is not a known property']);
+});
+
+test('schemas are described compactly for prompts', () => {
+  assert.strictEqual(
+    describeSchema(SCHEMAS.verification),
+    '{"score": number (0-100, required), "issues": array, "improvements": array, "fixes": array}'
+  );
+  assert.strictEqual(describeSchema(SCHEMAS.research), 'object');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { evaluate, bestIndex, isStagnant, decide, describeEvaluation } = require('../lib/scoring');
+
+function entry(score, belowMinimum = []) {
+  return { score, belowMinimum, passed: false };
+}
+
+test('dimensions are combined as a weighted mean', () => {
+  const evaluation = evaluate(
+    { 'security-verifier': 60, 'code-quality-verifier': 90, tests: 100 },
+    { threshold: 80, weights: { 'security-verifier': 2 } }
+  );
+
+  // (2 * 60 + 90 + 100) / 4
+  assert.strictEqual(evaluation.score, 78);
+  assert.strictEqual(evaluation.passed, false);
+  assert.strictEqual(evaluate({ a: 60, b: 90 }, { threshold: 80, weights: { a: 0 } }).score, 90);
+  assert.strictEqual(evaluate({ a: 60, b: 90 }, { threshold: 75 }).passed, true);
+});
+
+test('missing scores are left out, and fail a minimum they have', () => {
+  const evaluation = evaluate({ a: 80, b: undefined, c: NaN }, { threshold: 80, minimums: { b: 50 } });
+
+  assert.deepStrictEqual(evaluation.dimensions, { a: 80 });
+  assert.deepStrictEqual(evaluation.missing, ['b', 'c']);
+  assert.deepStrictEqual(evaluation.belowMinimum, [{ name: 'b', score: null, minimum: 50 }]);
+  assert.strictEqual(evaluation.passed, false);
+  assert.strictEqual(describeEvaluation(evaluation), '80%, b missing is below its minimum of 50%');
+
+  const nothing = evaluate({ a: null }, { threshold: 0 });
+  assert.strictEqual(nothing.score, 0);
+  assert.strictEqual(nothing.passed, false);
+});
+
+test('a score above the threshold still fails a dimension below its minimum', () => {
+  const evaluation = evaluate({ security: 70, tests: 100 }, { threshold: 80, minimums: { security: 90 } });
+
+  assert.strictEqual(evaluation.score, 85);
+  assert.strictEqual(evaluation.passed, false);
+  assert.strictEqual(describeEvaluation(evaluation), '85%, security 70% is below its minimum of 90%');
+});
+
+test('the best entry meets its minimums first, and later entries win ties', () => {
+  assert.strictEqual(bestIndex([entry(70), entry(90, [{ name: 'security' }]), entry(60)]), 0);
+  assert.strictEqual(bestIndex([entry(80), entry(75), entry(80)]), 2);
+  assert.strictEqual(bestIndex([entry(50, [{}]), entry(60, [{}])]), 1);
+  assert.strictEqual(bestIndex([]), -1);
+});
+
+test('stagnation is no improvement of minImprovement within patience', () => {
+  const options = { patience: 2, minImprovement: 1 };
+
+  assert.strictEqual(isStagnant([entry(60), entry(60)], options), false);
+  assert.strictEqual(isStagnant([entry(60), entry(60), entry(60.5)], options), true);
+  assert.strictEqual(isStagnant([entry(60), entry(55), entry(61)], options), false);
+  assert.strictEqual(isStagnant([entry(70), entry(65), entry(60)], options), true);
+  assert.strictEqual(isStagnant([entry(60), entry(61), entry(62), entry(62)], options), false);
+  assert.strictEqual(isStagnant([entry(60), entry(60), entry(60)], { patience: 0, minImprovement: 1 }), false);
+  assert.strictEqual(isStagnant([entry(60), entry(65), entry(66)], { patience: 2, minImprovement: 10 }), true);
+});
+
+test('the loop passes, stops at its limit, stagnates or goes on, in that order', () => {
+  const options = { maxIterations: 3, patience: 1, minImprovement: 1 };
+
+  assert.strictEqual(decide([entry(60), { ...entry(60), passed: true }], { ...options, iteration: 3 }), 'passed');
+  assert.strictEqual(decide([entry(60), entry(70)], { ...options, iteration: 3 }), 'exhausted');
+  assert.strictEqual(decide([entry(60), entry(60)], { ...options, iteration: 2 }), 'stagnated');
+  assert.strictEqual(decide([entry(60), entry(70)], { ...options, iteration: 2 }), 'continue');
+});
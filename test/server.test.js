@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'server-webhook-secret';
+
+process.env.MCP_RUN_STORE = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+
+// Like a repository without a config file
+require('../lib/github').createInstallationOctokit = async () => ({
+  request: async () => {
+    throw Object.assign(new Error('Not Found'), { status: 404 });
+  }
+});
+
+const { createServer, readDelivery, replayDelivery } = require('../lib/server');
+
+const ISSUE_OPENED = path.join(__dirname, 'fixtures', 'issues.opened.json');
+
+// Serves the app on a free port for the length of `fn`
+async function withServer(options, fn) {
+  const server = createServer(options).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    return await fn(url);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('the webhook, /health and /metrics answer as deployed', async () => {
+  await withServer({}, async url => {
+    const health = await fetch(`${url}/health`);
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual((await health.json()).status, 'ok');
+
+    assert.strictEqual((await fetch(`${url}/metrics`)).status, 503);
+
+    const unsigned = await fetch(`${url}/api/github/webhooks`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-github-event': 'issues' },
+      body: fs.readFileSync(ISSUE_OPENED)
+    });
+    assert.strictEqual(unsigned.status, 401);
+    assert.strictEqual(await unsigned.text(), 'Missing signature');
+
+    const replayed = await replayDelivery(readDelivery(ISSUE_OPENED, 'issues'), { url: `${url}/api/github/webhooks`, secret: SECRET });
+    assert.deepStrictEqual(replayed, { status: 200, body: 'OK - No claude-build label' });
+
+    const forged = await replayDelivery(readDelivery(ISSUE_OPENED, 'issues'), { url: `${url}/api/github/webhooks`, secret: 'wrong' });
+    assert.strictEqual(forged.status, 401);
+  });
+});
+
+test('signed deliveries are saved as they arrive and can be replayed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-deliveries-'));
+  try {
+    const delivery = readDelivery(ISSUE_OPENED, 'issues');
+
+    await withServer({ recordDir: dir }, async url => {
+      await replayDelivery(delivery, { url: `${url}/api/github/webhooks`, secret: SECRET });
+      await replayDelivery(delivery, { url: `${url}/api/github/webhooks`, secret: 'wrong' });
+    });
+
+    const saved = fs.readdirSync(dir);
+    assert.strictEqual(saved.length, 1);
+    assert.match(saved[0], /-issues-[0-9a-f-]{36}\.json$/);
+    assert.deepStrictEqual(readDelivery(path.join(dir, saved[0])), delivery);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a bare payload needs its event named', () => {
+  assert.throws(() => readDelivery(ISSUE_OPENED), /is a bare payload; name its event/);
+  assert.strictEqual(readDelivery(ISSUE_OPENED, 'issues').payload.action, 'opened');
+});
@@ -0,0 +1,533 @@
+// An in-process GitHub for end-to-end tests. It keeps the state the app
+// reads and writes — issues and comments, refs, commits, trees and blobs,
+// check runs, workflow runs with their jobs and artifacts, and pull
+// requests — and answers `octokit.request(route, params)` calls on it.
+//
+// Tests drive what GitHub would do on its own: `completeWorkflowRun` finishes
+// a dispatched workflow and returns the workflow_run payload to deliver, and
+// `fail` makes the next matching requests throw.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const BOT = { login: 'mcp-lite[bot]', type: 'Bot' };
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status, response: { status, headers: {} } });
+}
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function toBuffer(content) {
+  return Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+}
+
+// A zip archive with stored entries, like the artifact downloads
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = toBuffer(content);
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+class FakeGitHub {
+  constructor({ owner = 'octo', repo = 'app', installationId = 1, defaultBranch = 'main', files = {} } = {}) {
+    this.owner = owner;
+    this.repo = repo;
+    this.installationId = installationId;
+    this.defaultBranch = defaultBranch;
+
+    this.requests = [];
+    this.failures = [];
+    this.nextId = 1000;
+
+    this.issues = new Map();
+    this.comments = [];
+    this.checkRuns = new Map();
+    this.workflowRuns = [];
+    this.pulls = new Map();
+    this.collaborators = {};
+
+    this.blobs = new Map();
+    this.trees = new Map();
+    this.commits = new Map();
+    this.refs = new Map();
+    // File modes by path, as last written by a created tree ('100644' when
+    // never set)
+    this.modes = new Map();
+    this.refs.set(`heads/${defaultBranch}`, this.commit(files, [], 'Initial commit'));
+  }
+
+  // The client handed to the app in place of an installation Octokit
+  octokit() {
+    return {
+      request: (route, params = {}) => this.request(route, params),
+      log: { debug() {}, info() {}, warn() {}, error() {} }
+    };
+  }
+
+  id() {
+    return this.nextId++;
+  }
+
+  // Webhook payload fields every event carries
+  payload(fields = {}) {
+    return {
+      installation: { id: this.installationId },
+      repository: {
+        name: this.repo,
+        owner: { login: this.owner },
+        full_name: `${this.owner}/${this.repo}`,
+        default_branch: this.defaultBranch
+      },
+      sender: { login: 'maintainer', type: 'User' },
+      ...fields
+    };
+  }
+
+  // Failure injection: the next `times` requests on `route` for which `when`
+  // holds throw `status` with `message`
+  fail(route, { status = 500, message = 'Injected failure', times = 1, when = () => true } = {}) {
+    this.failures.push({ route, status, message, times, when });
+    return this;
+  }
+
+  async request(route, params) {
+    this.requests.push({ route, params });
+
+    const failure = this.failures.find(candidate => candidate.route === route && candidate.times > 0 && candidate.when(params));
+    if (failure) {
+      failure.times--;
+      throw httpError(failure.status, failure.message);
+    }
+
+    const handler = ROUTES[route];
+    if (!handler) {
+      throw new Error(`FakeGitHub does not implement ${route}`);
+    }
+    return handler.call(this, params);
+  }
+
+  // Requests made on `route`, optionally only those whose params match
+  requestsTo(route, when = () => true) {
+    return this.requests.filter(request => request.route === route && when(request.params));
+  }
+
+  // Issues and comments
+
+  addIssue({ number, title = 'Build something', body = '', labels = [], user = { login: 'maintainer', type: 'User' } }) {
+    const issue = {
+      number,
+      title,
+      body,
+      labels: labels.map(name => ({ name })),
+      user,
+      state: 'open',
+      html_url: `https://github.com/${this.owner}/${this.repo}/issues/${number}`
+    };
+    this.issues.set(number, issue);
+    return issue;
+  }
+
+  addComment(issueNumber, body, user = { login: 'maintainer', type: 'User' }) {
+    const comment = {
+      id: this.id(),
+      issue_number: issueNumber,
+      body,
+      user,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    this.comments.push(comment);
+    return comment;
+  }
+
+  commentsOn(issueNumber) {
+    return this.comments.filter(comment => comment.issue_number === issueNumber);
+  }
+
+  // Git data
+
+  blob(content) {
+    const data = toBuffer(content);
+    const sha = sha1(Buffer.concat([Buffer.from(`blob ${data.length}\0`), data]));
+    this.blobs.set(sha, data);
+    return sha;
+  }
+
+  tree(entries) {
+    const sorted = new Map([...entries].sort(([a], [b]) => a.localeCompare(b)));
+    const sha = sha1(`tree\0${JSON.stringify([...sorted])}`);
+    this.trees.set(sha, sorted);
+    return sha;
+  }
+
+  commit(files, parents, message) {
+    const tree = this.tree(Object.entries(files).map(([path, content]) => [path, this.blob(content)]));
+    return this.createCommit(tree, parents, message);
+  }
+
+  createCommit(tree, parents, message) {
+    const sha = sha1(`commit\0${this.id()}\0${tree}\0${parents.join(',')}\0${message}`);
+    this.commits.set(sha, { sha, tree, parents, message });
+    return sha;
+  }
+
+  // Files on a branch (or at a commit) as `{ path: text }`
+  files(ref = this.defaultBranch) {
+    const commit = this.commits.get(this.refs.get(`heads/${ref}`) || ref);
+    if (!commit) {
+      throw new Error(`No branch or commit ${ref}`);
+    }
+    return Object.fromEntries([...this.trees.get(commit.tree)].map(([path, sha]) => [path, this.blobs.get(sha).toString('utf8')]));
+  }
+
+  // Creates a branch from the default branch, with extra files committed
+  addBranch(branch, files = {}) {
+    const base = this.refs.get(`heads/${this.defaultBranch}`);
+    const head = Object.keys(files).length > 0
+      ? this.commit({ ...this.files(this.defaultBranch), ...files }, [base], `Files on ${branch}`)
+      : base;
+    this.refs.set(`heads/${branch}`, head);
+    return head;
+  }
+
+  resolveCommit(ref) {
+    const sha = this.refs.get(`heads/${ref}`) || this.refs.get(ref) || ref;
+    if (!this.commits.has(sha)) {
+      throw httpError(404, `No commit found for the ref ${ref}`);
+    }
+    return this.commits.get(sha);
+  }
+
+  // Workflows
+
+  // Finishes a dispatched workflow run. `jobs` maps job names to their
+  // conclusion; `artifacts` maps artifact names to their `{ path: content }`.
+  // Returns the workflow_run.completed payload to deliver.
+  completeWorkflowRun(workflowRun, { conclusion = 'success', jobs = {}, artifacts = {} } = {}) {
+    Object.assign(workflowRun, {
+      status: 'completed',
+      conclusion,
+      updated_at: new Date().toISOString()
+    });
+    workflowRun.jobs = Object.entries(jobs).map(([name, jobConclusion]) => ({
+      id: this.id(),
+      name,
+      status: 'completed',
+      conclusion: jobConclusion
+    }));
+    workflowRun.artifacts = Object.entries(artifacts).map(([name, files]) => ({
+      id: this.id(),
+      name,
+      archive: createZip(files)
+    }));
+
+    return this.payload({ action: 'completed', workflow_run: this.workflowRunData(workflowRun) });
+  }
+
+  // The latest dispatch of `workflow`, completed or not
+  lastWorkflowRun(workflow) {
+    const runs = this.workflowRuns.filter(run => run.workflow === workflow);
+    return runs[runs.length - 1] || null;
+  }
+
+  workflowRunData(workflowRun) {
+    const { jobs, artifacts, inputs, ...data } = workflowRun;
+    return data;
+  }
+}
+
+// Handlers by route, called with the FakeGitHub as `this`
+const ROUTES = {
+  'GET /repos/{owner}/{repo}/issues/{issue_number}'({ issue_number }) {
+    const issue = this.issues.get(Number(issue_number));
+    if (!issue) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: issue };
+  },
+
+  'GET /repos/{owner}/{repo}/issues/{issue_number}/comments'({ issue_number, since }) {
+    return { data: this.commentsOn(Number(issue_number)).filter(comment => !since || comment.updated_at >= since) };
+  },
+
+  'POST /repos/{owner}/{repo}/issues/{issue_number}/comments'({ issue_number, body }) {
+    return { status: 201, data: this.addComment(Number(issue_number), body, BOT) };
+  },
+
+  'PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}'({ comment_id, body }) {
+    const comment = this.comments.find(candidate => candidate.id === Number(comment_id));
+    if (!comment) {
+      throw httpError(404, 'Not Found');
+    }
+    Object.assign(comment, { body, updated_at: new Date().toISOString() });
+    return { data: comment };
+  },
+
+  'GET /repos/{owner}/{repo}/collaborators/{username}/permission'({ username }) {
+    if (!this.collaborators[username]) {
+      throw httpError(404, 'Not a collaborator');
+    }
+    return { data: { permission: this.collaborators[username] } };
+  },
+
+  'POST /repos/{owner}/{repo}/check-runs'(params) {
+    const checkRun = { ...params, id: this.id(), html_url: `https://github.com/${this.owner}/${this.repo}/runs/${this.nextId}` };
+    this.checkRuns.set(checkRun.id, checkRun);
+    return { status: 201, data: checkRun };
+  },
+
+  'PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}'({ check_run_id, ...changes }) {
+    const checkRun = this.checkRuns.get(Number(check_run_id));
+    if (!checkRun) {
+      throw httpError(404, 'Not Found');
+    }
+    Object.assign(checkRun, changes);
+    return { data: checkRun };
+  },
+
+  'GET /repos/{owner}/{repo}/contents/{path}'({ path, ref = this.defaultBranch }) {
+    const files = [...this.trees.get(this.resolveCommit(ref).tree)];
+    const target = path.replace(/^\/+|\/+$/g, '');
+
+    const file = files.find(([filePath]) => filePath === target);
+    if (file) {
+      const content = this.blobs.get(file[1]);
+      return { data: { type: 'file', name: target.split('/').pop(), path: target, sha: file[1], encoding: 'base64', content: content.toString('base64') } };
+    }
+
+    const entries = new Map();
+    for (const [filePath, sha] of files.filter(([filePath]) => filePath.startsWith(`${target}/`))) {
+      const [name, ...rest] = filePath.slice(target.length + 1).split('/');
+      entries.set(name, { type: rest.length > 0 ? 'dir' : 'file', name, path: `${target}/${name}`, sha });
+    }
+    if (entries.size === 0) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: [...entries.values()] };
+  },
+
+  'GET /repos/{owner}/{repo}/git/ref/{ref}'({ ref }) {
+    if (!this.refs.has(ref)) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: { ref: `refs/${ref}`, object: { type: 'commit', sha: this.refs.get(ref) } } };
+  },
+
+  'POST /repos/{owner}/{repo}/git/refs'({ ref, sha }) {
+    const name = ref.replace(/^refs\//, '');
+    if (this.refs.has(name)) {
+      throw httpError(422, 'Reference already exists');
+    }
+    this.refs.set(name, sha);
+    return { status: 201, data: { ref, object: { type: 'commit', sha } } };
+  },
+
+  'PATCH /repos/{owner}/{repo}/git/refs/{ref}'({ ref, sha, force }) {
+    if (!this.refs.has(ref)) {
+      throw httpError(422, 'Reference does not exist');
+    }
+    if (!force && !this.commits.get(sha).parents.includes(this.refs.get(ref))) {
+      throw httpError(422, 'Update is not a fast forward');
+    }
+    this.refs.set(ref, sha);
+    return { data: { ref: `refs/${ref}`, object: { type: 'commit', sha } } };
+  },
+
+  // Like GitHub, closes the pull requests open from a deleted branch
+  'DELETE /repos/{owner}/{repo}/git/refs/{ref}'({ ref }) {
+    if (!this.refs.delete(ref)) {
+      throw httpError(422, 'Reference does not exist');
+    }
+    for (const pull of this.pulls.values()) {
+      if (`heads/${pull.head.ref}` === ref && pull.state === 'open') {
+        pull.state = 'closed';
+      }
+    }
+    return { status: 204, data: '' };
+  },
+
+  'GET /repos/{owner}/{repo}/git/commits/{commit_sha}'({ commit_sha }) {
+    const commit = this.commits.get(commit_sha);
+    if (!commit) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: { sha: commit.sha, message: commit.message, tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })) } };
+  },
+
+  'POST /repos/{owner}/{repo}/git/commits'({ tree, parents, message }) {
+    const sha = this.createCommit(tree, parents, message);
+    return { status: 201, data: { sha, message, tree: { sha: tree }, parents: parents.map(parent => ({ sha: parent })) } };
+  },
+
+  'POST /repos/{owner}/{repo}/git/blobs'({ content, encoding }) {
+    return { status: 201, data: { sha: this.blob(Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8')) } };
+  },
+
+  'GET /repos/{owner}/{repo}/git/blobs/{file_sha}'({ file_sha }) {
+    return { data: { sha: file_sha, encoding: 'base64', content: this.blobs.get(file_sha).toString('base64') } };
+  },
+
+  'POST /repos/{owner}/{repo}/git/trees'({ base_tree, tree }) {
+    const entries = new Map(base_tree ? this.trees.get(base_tree) : []);
+    for (const entry of tree) {
+      if (entry.sha === null) {
+        entries.delete(entry.path);
+      } else {
+        entries.set(entry.path, entry.sha || this.blob(entry.content));
+        this.modes.set(entry.path, entry.mode);
+      }
+    }
+    return { status: 201, data: { sha: this.tree(entries) } };
+  },
+
+  'GET /repos/{owner}/{repo}/git/trees/{tree_sha}'({ tree_sha }) {
+    const directories = new Set();
+    const blobs = [...this.trees.get(tree_sha)].map(([path, sha]) => {
+      path.split('/').slice(0, -1).forEach((_, i, parts) => directories.add(parts.slice(0, i + 1).join('/')));
+      return { path, mode: this.modes.get(path) || '100644', type: 'blob', sha };
+    });
+    const trees = [...directories].map(path => ({ path, mode: '040000', type: 'tree', sha: sha1(path) }));
+    return { data: { sha: tree_sha, tree: [...trees, ...blobs], truncated: false } };
+  },
+
+  'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches'({ workflow_id, ref, inputs = {} }) {
+    const id = this.id();
+    this.workflowRuns.push({
+      id,
+      workflow: workflow_id,
+      name: workflow_id,
+      path: `.github/workflows/${workflow_id}`,
+      display_title: `${workflow_id}${inputs.correlation_id ? ` [mcp:${inputs.correlation_id}]` : ''}`,
+      head_branch: ref,
+      event: 'workflow_dispatch',
+      status: 'queued',
+      conclusion: null,
+      run_attempt: 1,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      inputs,
+      jobs: [],
+      artifacts: []
+    });
+    return { status: 204, data: '' };
+  },
+
+  'GET /repos/{owner}/{repo}/actions/runs'({ branch, event, status }) {
+    const runs = this.workflowRuns
+      .filter(run => (!branch || run.head_branch === branch) && (!event || run.event === event) && (!status || run.status === status))
+      .map(run => this.workflowRunData(run));
+    return { data: { total_count: runs.length, workflow_runs: runs } };
+  },
+
+  'GET /repos/{owner}/{repo}/actions/runs/{run_id}/jobs'({ run_id }) {
+    const run = this.workflowRuns.find(candidate => candidate.id === Number(run_id));
+    return { data: { total_count: run.jobs.length, jobs: run.jobs } };
+  },
+
+  'GET /repos/{owner}/{repo}/actions/runs/{run_id}/artifacts'({ run_id }) {
+    const run = this.workflowRuns.find(candidate => candidate.id === Number(run_id));
+    const artifacts = run.artifacts.map(({ id, name }) => ({ id, name }));
+    return { data: { total_count: artifacts.length, artifacts } };
+  },
+
+  'GET /repos/{owner}/{repo}/actions/artifacts/{artifact_id}/{archive_format}'({ artifact_id }) {
+    const artifact = this.workflowRuns.flatMap(run => run.artifacts).find(candidate => candidate.id === Number(artifact_id));
+    if (!artifact) {
+      throw httpError(404, 'Not Found');
+    }
+    const archive = artifact.archive;
+    return { data: archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.length) };
+  },
+
+  'POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs'({ run_id }) {
+    const run = this.workflowRuns.find(candidate => candidate.id === Number(run_id));
+    Object.assign(run, { status: 'queued', conclusion: null, run_attempt: run.run_attempt + 1 });
+    return { status: 201, data: {} };
+  },
+
+  'POST /repos/{owner}/{repo}/actions/runs/{run_id}/cancel'({ run_id }) {
+    const run = this.workflowRuns.find(candidate => candidate.id === Number(run_id));
+    if (run.status === 'completed') {
+      throw httpError(409, 'Cannot cancel a workflow run that is completed');
+    }
+    Object.assign(run, { status: 'completed', conclusion: 'cancelled' });
+    return { status: 202, data: {} };
+  },
+
+  'POST /repos/{owner}/{repo}/pulls'({ title, body, head, base }) {
+    const open = [...this.pulls.values()].find(pull => pull.head.ref === head && pull.state === 'open');
+    if (open) {
+      throw httpError(422, `Validation Failed: A pull request already exists for ${this.owner}:${head}.`);
+    }
+    const number = this.id();
+    const pull = {
+      number,
+      title,
+      body,
+      state: 'open',
+      head: { ref: head, sha: this.refs.get(`heads/${head}`) },
+      base: { ref: base },
+      html_url: `https://github.com/${this.owner}/${this.repo}/pull/${number}`
+    };
+    this.pulls.set(number, pull);
+    return { status: 201, data: pull };
+  },
+
+  'GET /repos/{owner}/{repo}/pulls'({ head, state = 'open' }) {
+    const pulls = [...this.pulls.values()].filter(pull =>
+      (!head || `${this.owner}:${pull.head.ref}` === head) && (state === 'all' || pull.state === state)
+    );
+    return { data: pulls };
+  },
+
+  'GET /repos/{owner}/{repo}/pulls/{pull_number}'({ pull_number }) {
+    const pull = this.pulls.get(Number(pull_number));
+    if (!pull) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: pull };
+  }
+};
+
+module.exports = { FakeGitHub, createZip, BOT };
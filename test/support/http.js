@@ -0,0 +1,27 @@
+// A stand-in for the response object the Vercel runtime and lib/server.js
+// hand to the handlers. It records the status, headers and body sent.
+
+function createResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+module.exports = { createResponse };
@@ -0,0 +1,47 @@
+// A model provider for end-to-end tests. Prompts matching a scripted pattern
+// get the scripted responses in order; an Error among them is thrown, as a
+// provider that cannot reach its model would. Everything else is answered by
+// the mock provider, which passes every phase.
+
+const { MockProvider } = require('../../lib/providers');
+
+function matches(pattern, prompt) {
+  return typeof pattern === 'string' ? prompt.startsWith(pattern) : pattern.test(prompt);
+}
+
+class ScriptedModel {
+  constructor() {
+    this.name = 'scripted';
+    this.scripts = [];
+    this.calls = [];
+    this.fallback = new MockProvider();
+  }
+
+  // `pattern` is a prompt prefix or a RegExp
+  answer(pattern, ...responses) {
+    this.scripts.push({ pattern, responses });
+    return this;
+  }
+
+  async complete(prompt, options = {}) {
+    this.calls.push({ prompt, branch: options.branch || null });
+
+    const script = this.scripts.find(candidate => candidate.responses.length > 0 && matches(candidate.pattern, prompt));
+    if (!script) {
+      return await this.fallback.complete(prompt, options);
+    }
+
+    const response = script.responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return { response: typeof response === 'string' ? response : JSON.stringify(response) };
+  }
+
+  // Prompts asked so far that match `pattern`
+  prompts(pattern) {
+    return this.calls.map(call => call.prompt).filter(prompt => matches(pattern, prompt));
+  }
+}
+
+module.exports = { ScriptedModel };
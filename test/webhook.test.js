@@ -0,0 +1,205 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+
+// Fixtures are byte-exact webhook bodies, signed with this secret
+const SECRET = 'test-webhook-secret';
+
+process.env.MCP_RUN_STORE = 'memory';
+process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+
+// Verified deliveries go on to read the repository config; answer like a
+// repository without one, or like GitHub having an outage while `outages`
+// is above zero
+let outages = 0;
+require('../lib/github').createInstallationOctokit = async () => ({
+  request: async () => {
+    if (outages > 0) {
+      outages--;
+      throw Object.assign(new Error('Bad Gateway'), { status: 502 });
+    }
+    throw Object.assign(new Error('Not Found'), { status: 404 });
+  }
+});
+
+const handler = require('../api/webhook');
+const { signPayload, verifySignature } = require('../lib/webhook-verification');
+const { createResponse } = require('./support/http');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const deliveries = require('./fixtures/deliveries.json');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(fixturesDir, name));
+}
+
+function createRequest(rawBody, headers) {
+  const req = Readable.from([rawBody]);
+  req.method = 'POST';
+  req.url = '/api/github/webhooks';
+  req.headers = { 'content-type': 'application/json', ...headers };
+  return req;
+}
+
+// Builds the request as the Vercel runtime's helpers hand it over: the stream
+// already read, the bytes replayed to `data` and `end` listeners only, and
+// `req.body` a getter that parses them
+async function createVercelRequest(rawBody, headers) {
+  const req = createRequest(rawBody, headers);
+  for await (const chunk of req) {
+    assert.ok(chunk);
+  }
+
+  const replay = new PassThrough();
+  const on = req.on.bind(req);
+  req.on = req.addListener = (name, listener) => (
+    name === 'data' || name === 'end' ? replay.on(name, listener) : on(name, listener)
+  );
+  replay.end(rawBody);
+
+  Object.defineProperty(req, 'body', {
+    configurable: true,
+    enumerable: true,
+    get: () => JSON.parse(rawBody.toString('utf8'))
+  });
+  return req;
+}
+
+async function deliver(fixture, overrides = {}) {
+  const { event, delivery, signature } = deliveries[fixture];
+  const req = createRequest(overrides.body || readFixture(fixture), {
+    'x-github-event': event,
+    'x-github-delivery': overrides.delivery || delivery,
+    'x-hub-signature-256': overrides.signature === undefined ? signature : overrides.signature
+  });
+  const res = createResponse();
+
+  await handler(req, res);
+  return res;
+}
+
+test('fixture signatures match the raw bytes, not a re-serialised body', () => {
+  for (const [fixture, { signature }] of Object.entries(deliveries)) {
+    const rawBody = readFixture(fixture);
+    const reserialised = JSON.stringify(JSON.parse(rawBody.toString('utf8')));
+
+    assert.strictEqual(signPayload(SECRET, rawBody), signature);
+    assert.ok(verifySignature(SECRET, rawBody, signature));
+    assert.ok(!verifySignature(SECRET, Buffer.from(reserialised), signature));
+  }
+});
+
+test('verifySignature rejects malformed and missing signatures', () => {
+  const rawBody = readFixture('ping.json');
+
+  assert.ok(!verifySignature(SECRET, rawBody, undefined));
+  assert.ok(!verifySignature(SECRET, rawBody, 'sha256=abc'));
+  assert.ok(!verifySignature(SECRET, rawBody, deliveries['ping.json'].signature.replace('sha256=', 'sha1=')));
+  assert.ok(!verifySignature('', rawBody, deliveries['ping.json'].signature));
+});
+
+test('accepts a correctly signed delivery', async () => {
+  const res = await deliver('issues.opened.json', { delivery: crypto.randomUUID() });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body, 'OK - No claude-build label');
+});
+
+test('rejects a delivery without a signature', async () => {
+  const res = await deliver('ping.json', { delivery: crypto.randomUUID(), signature: null });
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body, 'Missing signature');
+});
+
+test('rejects a tampered body', async () => {
+  const tampered = Buffer.from(readFixture('issues.opened.json').toString('utf8').replace('"number": 42', '"number": 43'));
+  const res = await deliver('issues.opened.json', { delivery: crypto.randomUUID(), body: tampered });
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body, 'Invalid signature');
+});
+
+test('rejects every delivery when the secret is not configured', async () => {
+  delete process.env.GITHUB_WEBHOOK_SECRET;
+
+  try {
+    const res = await deliver('ping.json', { delivery: crypto.randomUUID() });
+    assert.strictEqual(res.statusCode, 500);
+  } finally {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+  }
+});
+
+test('ignores a redelivery with the same X-GitHub-Delivery ID', async () => {
+  const first = await deliver('ping.json');
+  const second = await deliver('ping.json');
+
+  assert.strictEqual(first.statusCode, 200);
+  assert.strictEqual(first.body, 'OK');
+  assert.strictEqual(second.statusCode, 200);
+  assert.strictEqual(second.body, 'OK - Duplicate delivery');
+});
+
+test('accepts a signed delivery whose body the Vercel helpers already read', async () => {
+  const { event, signature } = deliveries['issues.opened.json'];
+  const req = await createVercelRequest(readFixture('issues.opened.json'), {
+    'x-github-event': event,
+    'x-github-delivery': crypto.randomUUID(),
+    'x-hub-signature-256': signature
+  });
+  assert.ok(req.readableEnded);
+  const res = createResponse();
+
+  await handler(req, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body, 'OK - No claude-build label');
+});
+
+test('a delivery that failed is handled when it is delivered again', async () => {
+  const delivery = crypto.randomUUID();
+  outages = 1;
+
+  const failed = await deliver('issues.opened.json', { delivery });
+  assert.strictEqual(failed.statusCode, 500);
+  assert.strictEqual(failed.body, 'Bad Gateway');
+
+  const redelivered = await deliver('issues.opened.json', { delivery });
+  assert.strictEqual(redelivered.statusCode, 200);
+  assert.strictEqual(redelivered.body, 'OK - No claude-build label');
+
+  const again = await deliver('issues.opened.json', { delivery });
+  assert.strictEqual(again.body, 'OK - Duplicate delivery');
+});
+
+async function scrape(authorization) {
+  const req = Readable.from([]);
+  req.method = 'GET';
+  req.url = '/metrics';
+  req.headers = authorization ? { authorization } : {};
+  const res = createResponse();
+
+  await handler(req, res);
+  return res;
+}
+
+test('metrics are served only with the operator token', async t => {
+  t.after(() => {
+    delete process.env.MCP_OPERATOR_TOKEN;
+  });
+
+  assert.strictEqual((await scrape('Bearer anything')).statusCode, 503);
+
+  process.env.MCP_OPERATOR_TOKEN = 'metrics-token';
+  assert.strictEqual((await scrape()).statusCode, 401);
+  assert.strictEqual((await scrape('Bearer wrong-token')).statusCode, 401);
+
+  const res = await scrape('Bearer metrics-token');
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+  assert.match(res.body, /^# TYPE mcp_lite_runs gauge$/m);
+});
@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { extractZip } = require('../lib/zip');
+const { groupResults, buildResult, researcherFromFile } = require('../lib/results');
+const { createZip } = require('./support/fake-github');
+
+// Written by Python's zipfile: a directory entry, deflated and stored files
+function readArchive(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'artifacts', name));
+}
+
+// Offset of the central directory header of `name`
+function centralHeader(archive, name) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = archive.readUInt32LE(end + 16);
+  while (archive.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    if (archive.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      return offset;
+    }
+    offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+  }
+  throw new Error(`${name} is not in the archive`);
+}
+
+// A copy of the archive with one field of an entry's central header changed
+function patchEntry(archive, name, field, value, bytes = 4) {
+  const patched = Buffer.from(archive);
+  const offset = centralHeader(patched, name) + field;
+  if (bytes === 2) {
+    patched.writeUInt16LE(value, offset);
+  } else {
+    patched.writeUInt32LE(value, offset);
+  }
+  return patched;
+}
+
+const NOTES = 'security-researcher/notes.md';
+const COMPRESSED_SIZE = 20;
+const SIZE = 24;
+
+test('stored and deflated entries are extracted, directories skipped', () => {
+  const files = extractZip(readArchive('research-results.zip'));
+
+  assert.deepStrictEqual(files.map(file => file.path), [
+    'security-researcher/security-researcher-results.json',
+    NOTES,
+    'web-technology-researcher-results.md',
+    'logs/run.txt'
+  ]);
+  assert.deepStrictEqual(JSON.parse(files[0].content).findings, ['Use helmet', 'Rotate secrets']);
+  assert.strictEqual(files[1].content.toString(), `# Notes\n\n${'Threat model pending.\n'.repeat(20)}`);
+  assert.strictEqual(files[2].content.toString(), '# Web technology\n\nUse Express 5.\n');
+});
+
+test('the filter picks entries before any limit or check applies', () => {
+  const files = extractZip(readArchive('research-results.zip'), {
+    filter: filePath => filePath.endsWith('.md'),
+    limits: { maxEntrySize: 500 }
+  });
+  assert.deepStrictEqual(files.map(file => file.path), [NOTES, 'web-technology-researcher-results.md']);
+});
+
+test('archives that are not zips, or are truncated, are rejected', () => {
+  const archive = readArchive('research-results.zip');
+
+  assert.throws(() => extractZip(Buffer.from('PK')), /Not a zip archive/);
+  assert.throws(() => extractZip(Buffer.from('just some text that is long enough')), /Not a zip archive/);
+  assert.throws(() => extractZip(archive.subarray(0, archive.length - 10)), /Not a zip archive/);
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, COMPRESSED_SIZE, 100000)), /notes\.md is truncated/);
+});
+
+test('offsets that point at the wrong place are reported as corrupt', () => {
+  const archive = readArchive('research-results.zip');
+  const end = archive.length - 22;
+
+  const badDirectory = Buffer.from(archive);
+  badDirectory.writeUInt32LE(10, end + 16);
+  assert.throws(() => extractZip(badDirectory), /bad central directory/);
+
+  const pastTheEnd = Buffer.from(archive);
+  pastTheEnd.writeUInt32LE(archive.length + 100, end + 16);
+  assert.throws(() => extractZip(pastTheEnd), /bad central directory/);
+
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, 42, 3)), /bad local header for security-researcher\/notes\.md/);
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, 42, archive.length)), /bad local header/);
+});
+
+test('sizes that do not match the data are reported as corrupt', () => {
+  const archive = readArchive('research-results.zip');
+
+  // A deflated entry that inflates to more than it claims stops at the claim
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, SIZE, 10)), RangeError);
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, SIZE, 1000)), /notes\.md has the wrong size/);
+
+  const garbled = Buffer.from(archive);
+  const local = garbled.readUInt32LE(centralHeader(garbled, NOTES) + 42);
+  garbled.fill(0xff, local + 30 + NOTES.length, local + 30 + NOTES.length + 8);
+  assert.throws(() => extractZip(garbled), error => error.code && error.code.startsWith('Z_'));
+});
+
+test('limits on entry count, entry size and total size are enforced', () => {
+  const archive = readArchive('research-results.zip');
+
+  assert.throws(() => extractZip(archive, { limits: { maxEntries: 4 } }), /has 5 entries, the limit is 4/);
+  assert.throws(() => extractZip(archive, { limits: { maxEntrySize: 100 } }), /notes\.md is 449 bytes, the limit is 100/);
+  assert.throws(() => extractZip(archive, { limits: { maxTotalSize: 500 } }), /expands beyond 500 bytes/);
+});
+
+test('unsafe paths, encryption, zip64 and unknown methods are refused', () => {
+  assert.throws(() => extractZip(readArchive('unsafe-path.zip')), /Unsafe path in zip archive: \.\.\/outside\.md/);
+  assert.throws(() => extractZip(createZip({ '/etc/passwd': 'x' })), /Unsafe path/);
+  assert.throws(() => extractZip(createZip({ 'C:\\temp\\x.md': 'x' })), /Unsafe path/);
+
+  const archive = readArchive('research-results.zip');
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, 8, 0x1, 2)), /Encrypted zip entry: security-researcher\/notes\.md/);
+  assert.throws(() => extractZip(patchEntry(archive, NOTES, 10, 12, 2)), /Unsupported compression method 12/);
+
+  const zip64 = Buffer.from(archive);
+  zip64.writeUInt16LE(0xffff, archive.length - 22 + 10);
+  assert.throws(() => extractZip(zip64), /Zip64 archives are not supported/);
+});
+
+test('extracted files become one result per researcher', () => {
+  const results = groupResults(extractZip(readArchive('research-results.zip')));
+
+  assert.deepStrictEqual(Object.keys(results), ['security-researcher', 'web-technology-researcher']);
+  assert.deepStrictEqual(results['security-researcher'], {
+    researcher: 'security-researcher',
+    format: 'json',
+    data: { findings: ['Use helmet', 'Rotate secrets'], recommendations: ['Enable CSP'] },
+    text: '{"findings": ["Use helmet", "Rotate secrets"], "recommendations": ["Enable CSP"]}\n',
+    files: [NOTES, 'security-researcher/security-researcher-results.json']
+  });
+  assert.strictEqual(results['web-technology-researcher'].format, 'markdown');
+  assert.strictEqual(results['web-technology-researcher'].data, null);
+});
+
+test('results under a root are grouped by file name or directory', () => {
+  const results = groupResults([
+    { path: 'research/devops-researcher.md', content: '# Devops' },
+    { path: 'research/database-researcher/schema.json', content: '{"tables": 3}' },
+    { path: 'research/database-researcher/overview.md', content: '# Overview' },
+    { path: 'research/README.txt', content: 'not a result' }
+  ], 'research/');
+
+  assert.deepStrictEqual(Object.keys(results), ['devops-researcher', 'database-researcher']);
+  assert.deepStrictEqual(results['database-researcher'].data, { tables: 3 });
+  assert.strictEqual(researcherFromFile('x/security-expert-results.markdown'), 'security-expert');
+});
+
+test('the researcher\'s own file stands for the result, and bad JSON keeps its text', () => {
+  const result = buildResult('perf', [
+    { path: 'other.json', content: '{}' },
+    { path: 'perf-results.md', content: '# Perf' },
+    { path: 'perf-results.json', content: Buffer.from('{"p95": ') }
+  ]);
+
+  assert.strictEqual(result.format, 'json');
+  assert.strictEqual(result.text, '{"p95": ');
+  assert.strictEqual(result.data, null);
+  assert.match(result.error, /^perf-results\.json is not valid JSON: /);
+  assert.strictEqual(buildResult('perf', [{ path: 'perf.txt', content: 'x' }]), null);
+});